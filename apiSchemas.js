@@ -0,0 +1,369 @@
+/**
+ * JSON schemas for the HTTP API (server.js), plus a small validator.
+ *
+ * The schemas use a subset of JSON Schema—`type`, `properties`, `required`,
+ * `additionalProperties`, `items`, `enum`, `minLength`/`maxLength`,
+ * `pattern`, `minimum`/`maximum`, `minItems`/`maxItems`, `minProperties`—so
+ * they can be published as-is at `GET /v1/schemas` and consumed by the
+ * dashboard’s own tooling, while `validate()` below needs no extra dependency.
+ *
+ * Naming: API envelopes use camelCase (`userId`, `sourceId`); documents are
+ * returned with the column names of the `documents` table (`source_table`…),
+ * exactly as stored.
+ * ============================================================================
+ */
+
+import { TABLES_TO_EMBED } from './serializers.js';
+
+const id = { type: 'string', minLength: 1, maxLength: 100 };
+const question = { type: 'string', minLength: 1, maxLength: 2000 };
+const conversation = { type: 'string', minLength: 1, maxLength: 100 };
+
+const document = {
+    type: 'object',
+    properties: {
+        user_id: { type: ['string', 'null'] },
+        source_table: { type: 'string' },
+        source_id: { type: 'string' },
+        content: { type: 'string' },
+        content_hash: { type: ['string', 'null'] },
+        embedding_model: { type: ['string', 'null'] },
+        metadata: { type: ['object', 'null'] },
+    },
+};
+
+const embedCounts = {
+    type: 'object',
+    required: ['new', 'changed', 'unchanged', 'removed'],
+    properties: Object.fromEntries(
+        ['new', 'changed', 'unchanged', 'resumed', 'removed'].map((k) => [
+            k,
+            { type: 'integer', minimum: 0 },
+        ])
+    ),
+};
+
+/** Every request and response body the API accepts or returns. */
+export const schemas = {
+    askRequest: {
+        type: 'object',
+        required: ['userId', 'question'],
+        additionalProperties: false,
+        properties: {
+            userId: id,
+            question,
+            conversation,
+            mode: { type: 'string', enum: ['rag', 'tools'] },
+            remember: { type: 'boolean' },
+        },
+    },
+    askResponse: {
+        type: 'object',
+        required: ['answer', 'citations'],
+        properties: {
+            answer: { type: 'string' },
+            citations: { type: 'array', items: { type: 'string' } },
+        },
+    },
+    askStreamToken: {
+        type: 'object',
+        required: ['text'],
+        properties: { text: { type: 'string' } },
+    },
+    askStreamDone: {
+        type: 'object',
+        required: ['answer', 'citations', 'replaced'],
+        properties: {
+            answer: { type: 'string' },
+            citations: { type: 'array', items: { type: 'string' } },
+            replaced: { type: 'boolean' },
+        },
+    },
+
+    contextRequest: {
+        type: 'object',
+        required: ['userId', 'question'],
+        additionalProperties: false,
+        properties: {
+            userId: id,
+            question,
+            count: { type: 'integer', minimum: 1, maximum: 200 },
+        },
+    },
+    contextResponse: {
+        type: 'object',
+        required: ['text', 'sources'],
+        properties: {
+            text: { type: 'string' },
+            sources: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+            },
+            packing: {
+                type: 'object',
+                required: ['model', 'budget', 'used', 'sections', 'dropped'],
+                properties: {
+                    model: { type: 'string' },
+                    budget: { type: 'integer', minimum: 0 },
+                    fixed: { type: 'integer', minimum: 0 },
+                    used: { type: 'integer', minimum: 0 },
+                    sections: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                kept: { type: 'integer', minimum: 0 },
+                                dropped: { type: 'integer', minimum: 0 },
+                                tokens: { type: 'integer', minimum: 0 },
+                            },
+                        },
+                    },
+                    dropped: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                section: { type: 'string' },
+                                id: { type: 'string' },
+                                tokens: { type: 'integer', minimum: 0 },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+
+    embedRequest: {
+        type: 'object',
+        required: ['table'],
+        additionalProperties: false,
+        properties: {
+            table: { type: 'string', enum: TABLES_TO_EMBED },
+            ids: { type: 'array', items: id, minItems: 1, maxItems: 1000 },
+            force: { type: 'boolean' },
+        },
+    },
+    embedResponse: {
+        type: 'object',
+        required: ['table', 'counts'],
+        properties: { table: { type: 'string' }, counts: embedCounts },
+    },
+
+    // Always scoped to one user: a missing userId must not reach every tenant
+    listDocumentsQuery: {
+        type: 'object',
+        required: ['userId'],
+        additionalProperties: false,
+        properties: {
+            userId: id,
+            table: { type: 'string', enum: TABLES_TO_EMBED },
+            sourceId: id,
+            limit: { type: 'integer', minimum: 1, maximum: 1000 },
+            offset: { type: 'integer', minimum: 0 },
+        },
+    },
+    listDocumentsResponse: {
+        type: 'object',
+        required: ['total', 'documents'],
+        properties: {
+            total: { type: 'integer', minimum: 0 },
+            documents: { type: 'array', items: document },
+        },
+    },
+
+    deleteDocumentsRequest: {
+        type: 'object',
+        required: ['userId'],
+        additionalProperties: false,
+        properties: {
+            userId: id,
+            table: { type: 'string', enum: TABLES_TO_EMBED },
+            sourceId: id,
+        },
+    },
+    deleteDocumentsResponse: {
+        type: 'object',
+        required: ['deleted'],
+        properties: { deleted: { type: 'integer', minimum: 0 } },
+    },
+
+    historyQuery: {
+        type: 'object',
+        required: ['userId'],
+        additionalProperties: false,
+        properties: {
+            userId: id,
+            conversation,
+            limit: { type: 'integer', minimum: 1, maximum: 1000 },
+        },
+    },
+    historyResponse: {
+        type: 'object',
+        required: ['userId', 'messages'],
+        properties: {
+            userId: { type: 'string' },
+            messages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['role', 'content'],
+                    properties: {
+                        role: {
+                            type: 'string',
+                            enum: ['system', 'user', 'assistant'],
+                        },
+                        content: { type: 'string' },
+                        metadata: { type: ['object', 'null'] },
+                        created_at: { type: ['string', 'null'] },
+                    },
+                },
+            },
+            summary: {
+                type: ['object', 'null'],
+                required: ['content', 'turns'],
+                properties: {
+                    content: { type: 'string' },
+                    through: { type: ['string', 'null'] },
+                    turns: { type: 'integer', minimum: 0 },
+                    updated_at: { type: ['string', 'null'] },
+                },
+            },
+        },
+    },
+    conversationsQuery: {
+        type: 'object',
+        required: ['userId'],
+        additionalProperties: false,
+        properties: { userId: id },
+    },
+    conversationsResponse: {
+        type: 'object',
+        required: ['userId', 'conversations'],
+        properties: {
+            userId: { type: 'string' },
+            conversations: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'turns'],
+                    properties: {
+                        name: { type: 'string' },
+                        turns: { type: 'integer', minimum: 0 },
+                        updated_at: { type: ['string', 'null'] },
+                    },
+                },
+            },
+        },
+    },
+
+    error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['message'],
+                properties: {
+                    message: { type: 'string' },
+                    details: { type: 'array', items: { type: 'string' } },
+                },
+            },
+        },
+    },
+};
+
+/** JSON type name of a value, distinguishing integers, arrays and null. */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against one of the schemas above.
+ *
+ * @param {Object} schema
+ * @param {any}    value
+ * @param {string} [path='$'] – Prefix for error messages.
+ * @returns {string[]} Human-readable problems; empty when valid.
+ */
+export function validate(schema, value, path = '$') {
+    const errors = [];
+    const types = [].concat(schema.type ?? []);
+    const actual = typeOf(value);
+    if (
+        types.length &&
+        !types.includes(actual) &&
+        !(actual === 'integer' && types.includes('number'))
+    ) {
+        return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        if (value.length < (schema.minLength ?? 0)) {
+            errors.push(
+                `${path}: must not be shorter than ${schema.minLength}`
+            );
+        }
+        if (value.length > (schema.maxLength ?? Infinity)) {
+            errors.push(`${path}: must not be longer than ${schema.maxLength}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path}: must match ${schema.pattern}`);
+        }
+    }
+    if (typeof value === 'number') {
+        if (value < (schema.minimum ?? -Infinity)) {
+            errors.push(`${path}: must be ≥ ${schema.minimum}`);
+        }
+        if (value > (schema.maximum ?? Infinity)) {
+            errors.push(`${path}: must be ≤ ${schema.maximum}`);
+        }
+    }
+    if (actual === 'array') {
+        if (value.length < (schema.minItems ?? 0)) {
+            errors.push(`${path}: needs at least ${schema.minItems} items`);
+        }
+        if (value.length > (schema.maxItems ?? Infinity)) {
+            errors.push(`${path}: allows at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((v, i) =>
+                errors.push(...validate(schema.items, v, `${path}[${i}]`))
+            );
+        }
+    }
+    if (actual === 'object') {
+        const props = schema.properties ?? {};
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined)
+                errors.push(`${path}.${key}: required`);
+        }
+        if (Object.keys(value).length < (schema.minProperties ?? 0)) {
+            errors.push(
+                `${path}: needs at least ${schema.minProperties} property(ies)`
+            );
+        }
+        for (const [key, v] of Object.entries(value)) {
+            if (props[key]) {
+                errors.push(...validate(props[key], v, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: unknown property`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(
+                    ...validate(
+                        schema.additionalProperties,
+                        v,
+                        `${path}.${key}`
+                    )
+                );
+            }
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,344 @@
+/**
+ * End-to-end answer accuracy benchmark.
+ *
+ * seedAll.js produces books with known ground truth—Main Checking at 15900,
+ * monthly expenses of 5200 / 4900 / 6500, one unpaid invoice of 2000, one
+ * unpaid bill of 1500.  This runner asks the questions in
+ * `eval/answers.golden.json` through `answer()` from queryBot.js, pulls the
+ * numbers out of each reply and scores them against the expected values.
+ *
+ * Unlike evalRetrieval.js, which measures only what reaches the prompt,
+ * this measures what the *user* sees, so a prompt, model, serializer or
+ * retrieval change shows up as a concrete accuracy delta.
+ *
+ * SCORING
+ * -------
+ * Numbers are extracted with `extractNumbers()` from citations.js (tags and
+ * list enumerators ignored, signs dropped).  An expected value is *matched*
+ * when any extracted number lies within its absolute `tolerance` (default
+ * 0.5).  Each question ends up as:
+ *
+ *   pass     – every expected value matched;
+ *   partial  – some matched;
+ *   fail     – none matched;
+ *   refused  – the reply was the refusal message;
+ *   error    – `answer()` threw.
+ *
+ * PITFALLS
+ * --------
+ * A reply that lists many inputs can “match” by accident (15900 appears in
+ * a runway answer, too).  Keep each question narrow so the expected value is
+ * the answer, not merely an input.
+ *
+ * REGRESSIONS
+ * -----------
+ * Every run writes a JSON report (`--out`, default
+ * `eval/reports/answers-<timestamp>.json`).  Pass an earlier report as
+ * `--baseline` to list questions that got worse or better; the process
+ * exits with code 1 when anything regressed, so the benchmark can gate CI.
+ * Reports from a different golden `version` are refused as baselines.
+ *
+ * Questions are asked with `remember: false`, so the benchmark neither reads
+ * nor writes chat history.  Each run costs real model calls.
+ *
+ * Usage:
+ *   node benchmarkAnswers.js [--golden eval/answers.golden.json]
+ *                            [--out report.json] [--baseline old.json]
+ *                            [--only id1,id2]
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { answer, REFUSAL } from './queryBot.js';
+import { extractNumbers } from './citations.js';
+
+const DEFAULT_GOLDEN = 'eval/answers.golden.json';
+const REPORT_DIR = 'eval/reports';
+const DEFAULT_TOLERANCE = 0.5;
+
+/** Worse-to-better order, used to classify baseline changes. */
+const STATUS_RANK = { error: 0, refused: 1, fail: 2, partial: 3, pass: 4 };
+
+/* -------------------------------------------------------------------------- */
+/* 1) Golden set                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Read and sanity-check the known-answer questions.
+ *
+ * @param {string} file
+ * @returns {{version: number, questions: Object[]}}
+ */
+export function loadBenchmark(file) {
+    const golden = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Number.isInteger(golden.version)) {
+        throw new Error(`${file}: missing integer "version"`);
+    }
+    const ids = new Set();
+    for (const q of golden.questions ?? []) {
+        if (!q.id || !q.question || !q.expected?.length) {
+            throw new Error(
+                `${file}: each question needs id, question, expected`
+            );
+        }
+        if (q.expected.some((e) => !Number.isFinite(e.value))) {
+            throw new Error(
+                `${file}: ${q.id} has a non-numeric expected value`
+            );
+        }
+        if (ids.has(q.id)) throw new Error(`${file}: duplicate id ${q.id}`);
+        ids.add(q.id);
+    }
+    return golden;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Scoring                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Score one reply against its expected values.
+ *
+ * @param {{expected: Array<{label?: string, value: number,
+ *          tolerance?: number}>}} question
+ * @param {string} reply
+ * @returns {{status: string, numbers: number[], matched: Object[],
+ *            missing: Object[]}}
+ */
+export function scoreAnswer(question, reply) {
+    const numbers = extractNumbers(reply);
+    const matched = [];
+    const missing = [];
+    for (const exp of question.expected) {
+        const tol = exp.tolerance ?? DEFAULT_TOLERANCE;
+        const hit = numbers.find(
+            (n) => Math.abs(n - Math.abs(exp.value)) <= tol
+        );
+        if (hit === undefined) missing.push(exp);
+        else matched.push({ ...exp, actual: hit });
+    }
+
+    let status = 'partial';
+    if (reply.trim() === REFUSAL) status = 'refused';
+    else if (!missing.length) status = 'pass';
+    else if (!matched.length) status = 'fail';
+    return { status, numbers, matched, missing };
+}
+
+/**
+ * Aggregate question results.
+ *
+ * @param {Object[]} results
+ * @returns {{questions: number, passed: number, accuracy: number,
+ *            valueAccuracy: number, byStatus: Record<string, number>}}
+ */
+export function summarize(results) {
+    const byStatus = {};
+    for (const r of results) byStatus[r.status] = (byStatus[r.status] ?? 0) + 1;
+    const values = results.reduce((acc, r) => acc + r.expected, 0);
+    const hits = results.reduce((acc, r) => acc + r.matched.length, 0);
+    return {
+        questions: results.length,
+        passed: byStatus.pass ?? 0,
+        accuracy: (byStatus.pass ?? 0) / (results.length || 1),
+        valueAccuracy: hits / (values || 1),
+        byStatus,
+    };
+}
+
+/**
+ * Questions whose status changed since a baseline report.
+ *
+ * @param {Object} baseline – An earlier report from this script.
+ * @param {Object} report
+ * @returns {{regressions: Object[], improvements: Object[]}}
+ */
+export function compareReports(baseline, report) {
+    if (baseline.version !== report.version) {
+        throw new Error(
+            `Baseline uses golden v${baseline.version}, this run v${report.version}`
+        );
+    }
+    const before = new Map(baseline.results.map((r) => [r.id, r.status]));
+    const regressions = [];
+    const improvements = [];
+    for (const r of report.results) {
+        const was = before.get(r.id);
+        if (!was || was === r.status) continue;
+        const change = { id: r.id, from: was, to: r.status };
+        if (STATUS_RANK[r.status] < STATUS_RANK[was]) regressions.push(change);
+        else improvements.push(change);
+    }
+    return { regressions, improvements };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Report                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/** Markdown summary of a run (and its diff against a baseline, if any). */
+export function formatReport(report, diff) {
+    const s = report.summary;
+    const pct = (x) => `${(x * 100).toFixed(1)} %`;
+    const lines = [
+        `# Answer benchmark – golden v${report.version}`,
+        '',
+        `Commit ${report.commit ?? 'unknown'} · ${report.generated_at}`,
+        '',
+        `Accuracy: ${s.passed}/${s.questions} questions ` +
+            `(${pct(s.accuracy)}), ${pct(s.valueAccuracy)} of expected values`,
+        `Statuses: ${Object.entries(s.byStatus)
+            .map(([k, v]) => `${k} ${v}`)
+            .join(', ')}`,
+        '',
+        '| question | status | expected | got |',
+        '| --- | --- | --- | --- |',
+    ];
+    for (const r of report.results) {
+        const expected = [...r.matched, ...r.missing]
+            .map((e) => `${e.label ?? ''} ${e.value}`.trim())
+            .join('; ');
+        const got = r.matched.map((m) => m.actual).join(', ') || '–';
+        lines.push(`| ${r.id} | ${r.status} | ${expected} | ${got} |`);
+    }
+
+    if (diff) {
+        lines.push('', '## Against baseline', '');
+        const fmt = (c) => `-   ${c.id}: ${c.from} → ${c.to}`;
+        lines.push(
+            diff.regressions.length
+                ? `Regressions:\n${diff.regressions.map(fmt).join('\n')}`
+                : 'No regressions.'
+        );
+        if (diff.improvements.length) {
+            lines.push(
+                `Improvements:\n${diff.improvements.map(fmt).join('\n')}`
+            );
+        }
+    }
+    return lines.join('\n');
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) Run                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/** Short commit hash of the working tree, if this is a git checkout. */
+function currentCommit() {
+    try {
+        return execSync('git rev-parse --short HEAD', {
+            stdio: ['ignore', 'pipe', 'ignore'],
+        })
+            .toString()
+            .trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Ask every question sequentially and score the replies.
+ *
+ * @async
+ * @param {Object[]} questions
+ * @returns {Promise<Object[]>}
+ */
+async function runBenchmark(questions) {
+    const results = [];
+    for (const q of questions) {
+        const started = Date.now();
+        let reply = '';
+        let scored;
+        try {
+            reply = await answer(q.question, { remember: false });
+            scored = scoreAnswer(q, reply);
+        } catch (err) {
+            scored = {
+                status: 'error',
+                error: err.message,
+                numbers: [],
+                matched: [],
+                missing: q.expected,
+            };
+        }
+        const result = {
+            id: q.id,
+            question: q.question,
+            expected: q.expected.length,
+            ms: Date.now() - started,
+            reply,
+            ...scored,
+        };
+        console.log(`  ${result.status.padEnd(8)} ${q.id} (${result.ms} ms)`);
+        results.push(result);
+    }
+    return results;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 5) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+/** `--name value` pairs from argv. */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const golden = loadBenchmark(args.golden ?? DEFAULT_GOLDEN);
+    const only = args.only ? new Set(args.only.split(',')) : null;
+    const questions = golden.questions.filter((q) => !only || only.has(q.id));
+
+    console.log(`🏁 Asking ${questions.length} benchmark questions…`);
+    const results = await runBenchmark(questions);
+    const report = {
+        version: golden.version,
+        generated_at: new Date().toISOString(),
+        commit: currentCommit(),
+        settings: {
+            vector_store: process.env.VECTOR_STORE ?? 'supabase',
+            embedding_provider: process.env.EMBEDDING_PROVIDER ?? 'openai',
+            embedding_model: process.env.EMBEDDING_MODEL ?? null,
+        },
+        summary: summarize(results),
+        results,
+    };
+
+    const diff = args.baseline
+        ? compareReports(
+              JSON.parse(fs.readFileSync(args.baseline, 'utf8')),
+              report
+          )
+        : null;
+
+    const out =
+        args.out ??
+        path.join(
+            REPORT_DIR,
+            `answers-${report.generated_at.replace(/[:.]/g, '-')}.json`
+        );
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+
+    console.log(`\n${formatReport(report, diff)}\n\n📝 Wrote ${out}`);
+    if (diff?.regressions.length) process.exit(1);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Benchmark failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,38 @@
+/**
+ * Helpers shared by the modules that read the books (kpis.js, ledger.js,
+ * snapshots.js, statements.js, financeTools.js, importStatement.js,
+ * currency.js, embedAll.js):
+ *
+ *   selectAll(build)  – every row of a query, a page at a time
+ *   PAGE_SIZE         – rows per request
+ *   round2(n)         – round to cents (or two decimals for ratios)
+ *   TOLERANCE         – half a cent; smaller differences are rounding
+ * ============================================================================
+ */
+
+/** Rows per request: PostgREST returns at most 1000 by default. */
+export const PAGE_SIZE = 1000;
+
+/** Differences below half a cent are rounding, not a real difference. */
+export const TOLERANCE = 0.005;
+
+/** Round to cents (or two decimals for ratios). */
+export const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Every row of a query, fetched in pages of `PAGE_SIZE`.  The query must be
+ * ordered on a unique key, or pages can skip or repeat rows.
+ *
+ * @async
+ * @param {() => Object} build – Builds the query afresh for each page.
+ * @returns {Promise<Object[]>}
+ */
+export async function selectAll(build) {
+    const out = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        out.push(...data);
+        if (data.length < PAGE_SIZE) return out;
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Structured citations and numeric verification for assistant replies.
+ *
+ * Every chunk placed in the prompt carries a tag naming its origin:
+ *
+ *   [transactions:3fa85f64-…]   a retrieved data row  (source_table:source_id)
+ *   [kpi:runway]                a verified KPI from kpis.js
+ *   [formula:runway]            a financial_kb definition
+ *
+ * The model must cite those tags next to every number it gives.  After the
+ * reply comes back, `verifyAnswer()` checks that:
+ *
+ *   1. every cited tag exists in the context that was actually sent, and
+ *   2. every number in the reply appears in a *cited* chunk, or can be
+ *      derived from cited numbers with one arithmetic step (sum, difference,
+ *      product, ratio, percentage) or as the running total of the numbers
+ *      before it on the same line.
+ *
+ * Anything else is reported as unsupported, giving queryBot.js a concrete
+ * reason to retry or refuse—and giving auditors a real trail.
+ *
+ * LIMITS
+ * ------
+ * The derivation search is deliberately shallow.  Multi-step calculations
+ * the model writes out line by line pass (each step becomes a verified
+ * number); unexplained multi-step results do not, which is the point.
+ * ============================================================================
+ */
+
+/** Numbers that carry no financial claim: counts, months, day conventions. */
+const HARMLESS_NUMBERS = [
+    ...Array.from({ length: 13 }, (_, i) => i),
+    30,
+    60,
+    90,
+    100,
+    365,
+];
+
+/** Tag matcher: `[table:id]` with no whitespace inside. */
+const TAG_RE = /\[([a-z_]+):([^\]\s]+)\]/g;
+
+/* -------------------------------------------------------------------------- */
+/* 1) Tags                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/** Lower-case, dash-separated identifier safe to use inside a tag. */
+export function slug(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Build the citation tag for one context chunk.
+ *
+ * @param {string} kind – `source_table`, or `kpi` / `formula`.
+ * @param {string|number} id – `source_id` or a slug.
+ * @returns {string} e.g. `[invoices:42]`
+ */
+export function makeTag(kind, id) {
+    return `[${kind}:${id}]`;
+}
+
+/**
+ * All distinct tags cited in a piece of text.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseCitations(text) {
+    return [...new Set([...text.matchAll(TAG_RE)].map((m) => m[0]))];
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Number extraction                                                       */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Extract the absolute value of every number in `text`.  Currency symbols,
+ * thousands separators and signs are ignored—“−$1,200” and “1200” are the
+ * same fact.  Citation tags are stripped first since ids contain digits.
+ *
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function extractNumbers(text) {
+    return (
+        text
+            .replace(TAG_RE, ' ')
+            .replace(/^\s*\d+[.)]\s/gm, ' ') // list enumerators
+            .match(/\d[\d,]*(?:\.\d+)?/g) ?? []
+    )
+        .map((n) => Number(n.replace(/,/g, '').replace(/\.$/, '')))
+        .filter(Number.isFinite);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Verification                                                            */
+/* -------------------------------------------------------------------------- */
+
+/** Equal within rounding: one cent, or 0.5 % for derived ratios. */
+function close(a, b) {
+    return Math.abs(a - b) <= Math.max(0.01, 0.005 * Math.abs(b));
+}
+
+/** Every value reachable from `nums` with one arithmetic step. */
+function oneStep(nums) {
+    const out = [];
+    for (const a of nums) {
+        for (const b of nums) {
+            out.push(a + b, Math.abs(a - b), a * b);
+            if (b) out.push(a / b, (a / b) * 100);
+        }
+    }
+    return out;
+}
+
+/**
+ * Check a reply against the context chunks it was given.
+ *
+ * @param {string} reply – Assistant text.
+ * @param {Map<string,string>} sources – tag → chunk content, as sent.
+ * @param {Object}   [options]
+ * @param {string[]} [options.trusted] – Extra text whose numbers are allowed
+ *        without citation (the question, earlier verified turns).
+ * @returns {{ok: boolean, citedTags: string[], unknownTags: string[],
+ *            unsupported: number[]}}
+ */
+export function verifyAnswer(reply, sources, { trusted = [] } = {}) {
+    const citedTags = parseCitations(reply);
+    const unknownTags = citedTags.filter((t) => !sources.has(t));
+
+    const base = [
+        ...HARMLESS_NUMBERS,
+        ...trusted.flatMap(extractNumbers),
+        ...citedTags
+            .filter((t) => sources.has(t))
+            .flatMap((t) => extractNumbers(sources.get(t))),
+    ];
+    const allowed = [...new Set(base)];
+    const derived = oneStep(allowed);
+    const supported = (n) =>
+        allowed.some((a) => close(n, a)) || derived.some((d) => close(n, d));
+
+    const unsupported = [];
+    for (const line of reply.split('\n')) {
+        const seen = [];
+        for (const n of extractNumbers(line)) {
+            const runningTotal = seen.reduce((acc, v) => acc + v, 0);
+            const ok =
+                supported(n) || (seen.length > 1 && close(n, runningTotal));
+            if (ok) {
+                // A verified figure may feed the next step of a calculation.
+                if (!allowed.some((a) => a === n)) {
+                    allowed.push(n);
+                    derived.push(...oneStep([n, ...allowed.slice(0, 200)]));
+                }
+                seen.push(n);
+            } else {
+                unsupported.push(n);
+            }
+        }
+    }
+
+    return {
+        ok: unknownTags.length === 0 && unsupported.length === 0,
+        citedTags,
+        unknownTags,
+        unsupported: [...new Set(unsupported)],
+    };
+}
+
+/**
+ * Human-readable summary of a failed verification, suitable both for logs
+ * and for the corrective message sent back to the model.
+ *
+ * @param {ReturnType<typeof verifyAnswer>} result
+ * @returns {string}
+ */
+export function describeProblems({ unknownTags, unsupported }) {
+    return [
+        unknownTags.length &&
+            `cited tags not present in the context: ${unknownTags.join(', ')}`,
+        unsupported.length &&
+            `numbers not found in or derivable from the cited rows: ${unsupported.join(
+                ', '
+            )}`,
+    ]
+        .filter(Boolean)
+        .join('; ');
+}
@@ -0,0 +1,213 @@
+/**
+ * Token-budgeted context packing.
+ *
+ * fetchContext() used to send every `financial_kb` formula, every KPI and a
+ * fixed 50 rows, and answerDetailed() added the chat history on top—no
+ * matter how long any of them were.  The packer counts real tokens (the
+ * model’s own tokenizer, via js-tiktoken) and fits the prompt into a
+ * per-model budget, dropping the lowest-ranked chunks first and reporting
+ * exactly what it dropped.
+ *
+ * HOW IT WORKS
+ * ------------
+ *   1. `fixed` text (policy, question, scope, section headings) is always
+ *      sent; its tokens come off the top of the budget.
+ *   2. Every section gets a guaranteed *share* of what is left and takes
+ *      its chunks in rank order while they fit.
+ *   3. Whatever a section did not use goes into a common pool, which is
+ *      handed out by section priority, then rank.  A section with little
+ *      content therefore never wastes budget another section could use.
+ *   4. Chunks that still do not fit are dropped and listed in the report.
+ *
+ * Ranks are set by the caller: rows by fused retrieval score, formulas by
+ * relevance to the question, history newest first.  A dropped chunk never
+ * stops later, smaller chunks from being packed.
+ *
+ * PITFALLS
+ * --------
+ * • Token counts are exact for the text, but chat formatting adds a few
+ *   tokens per message; MESSAGE_OVERHEAD approximates that (pass it as a
+ *   chunk’s `overhead` when the chunk becomes a message of its own).
+ * • The budget caps the *prompt*; the reply’s `max_tokens` is reserved on
+ *   top of it, so budget + reply must fit the model’s window.
+ * ============================================================================
+ */
+
+import { encodingForModel, getEncoding } from 'js-tiktoken';
+
+/** Approximate formatting tokens added per chat message. */
+export const MESSAGE_OVERHEAD = 4;
+
+/**
+ * Prompt budgets per model.  `window` is the model’s context size; `prompt`
+ * is what we are willing to spend per question (cost, latency, focus).
+ * `CONTEXT_TOKEN_BUDGET` overrides `prompt` for every model.
+ */
+export const MODEL_BUDGETS = {
+    'gpt-4o-mini': { window: 128000, prompt: 16000 },
+    'gpt-4o': { window: 128000, prompt: 16000 },
+    'gpt-4.1-mini': { window: 1047576, prompt: 24000 },
+    'gpt-4.1': { window: 1047576, prompt: 24000 },
+    'gpt-3.5-turbo': { window: 16385, prompt: 12000 },
+};
+const FALLBACK_BUDGET = { window: 16385, prompt: 8000 };
+
+/**
+ * Guaranteed share of the variable budget per section, and the order in
+ * which leftover budget is handed out (first = highest priority).
+ */
+export const SECTION_SHARES = {
+    kpis: 0.15,
+    history: 0.25,
+    rows: 0.45,
+    formulas: 0.15,
+};
+
+/* -------------------------------------------------------------------------- */
+/* 1) Counting                                                                */
+/* -------------------------------------------------------------------------- */
+
+const encoders = new Map();
+
+/** The tokenizer of `model` (o200k_base for models js-tiktoken lacks). */
+function encoderFor(model) {
+    if (!encoders.has(model)) {
+        let enc;
+        try {
+            enc = encodingForModel(model);
+        } catch {
+            enc = getEncoding('o200k_base');
+        }
+        encoders.set(model, enc);
+    }
+    return encoders.get(model);
+}
+
+/**
+ * Number of tokens `text` costs for `model`.
+ *
+ * @param {string} text
+ * @param {string} model
+ * @returns {number}
+ */
+export function countTokens(text, model) {
+    return text ? encoderFor(model).encode(text).length : 0;
+}
+
+/**
+ * Prompt budget for a model, after reserving room for the reply.
+ *
+ * @param {string} model
+ * @param {Object} [options]
+ * @param {number} [options.reply=0] – `max_tokens` of the completion.
+ * @returns {number}
+ */
+export function budgetFor(model, { reply = 0 } = {}) {
+    const { window, prompt } = MODEL_BUDGETS[model] ?? FALLBACK_BUDGET;
+    const wanted = Number(process.env.CONTEXT_TOKEN_BUDGET) || prompt;
+    return Math.min(wanted, window - reply);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Packing                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Fit ranked chunks into a token budget.
+ *
+ * @param {Object} options
+ * @param {string} options.model
+ * @param {number} options.budget – Prompt tokens available in total.
+ * @param {string[]} [options.fixed] – Text that is always sent.
+ * @param {number} [options.fixedMessages=0] – Messages `fixed` is sent as.
+ * @param {Record<string, Array<{id: string, text: string,
+ *        overhead?: number}>>} options.sections – Chunks per section (keys
+ *        of SECTION_SHARES), best first.  `overhead` defaults to 1 token
+ *        for the separator.
+ * @returns {{kept: Record<string, Object[]>, report: Object}} The kept
+ *          chunks themselves (same objects) per section, best first, and
+ *          `{ model, budget, fixed, used, sections: { [name]: { kept,
+ *          dropped, tokens } }, dropped: [{ section, id, tokens }] }`.
+ */
+export function packContext({
+    model,
+    budget,
+    fixed = [],
+    fixedMessages = 0,
+    sections,
+}) {
+    const fixedTokens = fixed.reduce(
+        (acc, t) => acc + countTokens(t, model),
+        fixedMessages * MESSAGE_OVERHEAD
+    );
+    const available = Math.max(0, budget - fixedTokens);
+    const names = Object.keys(SECTION_SHARES).filter((n) => sections[n]);
+
+    const chunks = Object.fromEntries(
+        names.map((name) => [
+            name,
+            sections[name].map((chunk) => ({
+                chunk,
+                tokens: countTokens(chunk.text, model) + (chunk.overhead ?? 1),
+                keep: false,
+            })),
+        ])
+    );
+
+    // Guaranteed shares first, then the shared pool by priority and rank.
+    let pool = available;
+    for (const name of names) {
+        let share = Math.floor(available * SECTION_SHARES[name]);
+        for (const c of chunks[name]) {
+            if (c.tokens > share) continue;
+            c.keep = true;
+            share -= c.tokens;
+            pool -= c.tokens;
+        }
+    }
+    for (const name of names) {
+        for (const c of chunks[name]) {
+            if (c.keep || c.tokens > pool) continue;
+            c.keep = true;
+            pool -= c.tokens;
+        }
+    }
+
+    const kept = {};
+    const report = {
+        model,
+        budget,
+        fixed: fixedTokens,
+        used: fixedTokens + available - pool,
+        sections: {},
+        dropped: [],
+    };
+    for (const name of names) {
+        const packed = chunks[name].filter((c) => c.keep);
+        const dropped = chunks[name].filter((c) => !c.keep);
+        kept[name] = packed.map((c) => c.chunk);
+        report.sections[name] = {
+            kept: packed.length,
+            dropped: dropped.length,
+            tokens: packed.reduce((acc, c) => acc + c.tokens, 0),
+        };
+        report.dropped.push(
+            ...dropped.map((c) => ({
+                section: name,
+                id: c.chunk.id,
+                tokens: c.tokens,
+            }))
+        );
+    }
+    return { kept, report };
+}
+
+/** One line describing what was dropped, or `null` when nothing was. */
+export function describeDropped(report) {
+    const parts = Object.entries(report.sections)
+        .filter(([, s]) => s.dropped)
+        .map(([name, s]) => `${s.dropped} ${name}`);
+    return parts.length
+        ? `dropped ${parts.join(', ')} to fit ${report.budget} tokens`
+        : null;
+}
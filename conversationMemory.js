@@ -0,0 +1,188 @@
+/**
+ * Rolling conversation summaries: long-term memory for the chatbot.
+ *
+ * queryBot.js used to send only the last HISTORY_LIMIT turns, so a question
+ * like “why did you say my working capital was 18600?” failed as soon as
+ * that answer had aged out.  Now older turns are *compacted* instead of
+ * dropped: once more than `limit` turns sit outside the summary, all but the
+ * newest `keep` are folded into a running summary by the model, and the
+ * prompt carries
+ *
+ *   summary (everything older)  +  the unsummarized recent turns (≤ limit)
+ *
+ * The summary is stored with the conversation (historyStore.js
+ * `loadSummary` / `saveSummary`), so it survives restarts and is shared by
+ * the CLI, the REPL and the HTTP API.  The full turns stay in the store for
+ * /history and exports; only the prompt sees the compacted form.
+ *
+ * RATIONALE
+ * ---------
+ * • Folding in batches (`limit − keep` turns at a time) costs one extra
+ *   model call every few questions, not one per question.
+ * • The summary is told to keep every figure the assistant stated, with
+ *   its period and meaning.  queryBot.js trusts those numbers during
+ *   verification, exactly like the raw turns they came from, so meta
+ *   questions about old answers still pass the citation check.
+ *
+ * PITFALLS
+ * --------
+ * • A summary is lossy.  Phrasing is gone; numbers and conclusions should
+ *   survive, but a model can still drop one.
+ * • Citation tags are removed from the summary: they point at rows that
+ *   are no longer in the prompt and would fail verification if re-cited.
+ * • Turns are matched to the summary by `created_at` (`through`).  Turns
+ *   written before timestamps existed are folded all at once.
+ * ============================================================================
+ */
+
+import { parseCitations } from './citations.js';
+
+const SUMMARY_MODEL = 'gpt-4o-mini';
+const SUMMARY_MAX_TOKENS = 500;
+
+const SUMMARY_PROMPT = [
+    'You maintain the running memory of a conversation between a business',
+    'owner and their financial analyst assistant.',
+    'Merge the existing summary with the new turns into one updated summary.',
+    'Keep, for every answer the assistant gave: each number it stated, what',
+    'the number measured and for which account, period or counterparty, and',
+    'any conclusion or recommendation.  Keep what the user asked for and',
+    'their stated goals.  Drop greetings, refusals and repetition.',
+    'Never invent or recompute numbers.  Do not include citation tags.',
+    'Write concise bullet points, oldest first, at most 250 words.',
+].join(' ');
+
+/* -------------------------------------------------------------------------- */
+/* 1) Which turns are already summarized                                      */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Turns the summary does not cover yet, oldest first.
+ *
+ * @param {Object[]} turns – Stored turns (historyStore `load()`).
+ * @param {{through: string|null}|null} summary
+ * @returns {Object[]}
+ */
+export function unsummarized(turns, summary) {
+    if (!summary) return turns;
+    const through = summary.through ? Date.parse(summary.through) : -Infinity;
+    return turns.filter(
+        (t) => t.created_at && Date.parse(t.created_at) > through
+    );
+}
+
+/**
+ * Split unsummarized turns into those to fold now and those to keep raw.
+ * Nothing is folded until more than `limit` turns are waiting; then all
+ * but the newest `keep` are (and every turn without a timestamp, since
+ * `through` cannot mark a position among those).
+ *
+ * @param {Object[]} pending – From `unsummarized()`.
+ * @param {{limit: number, keep: number}} options
+ * @returns {{fold: Object[], recent: Object[]}}
+ */
+export function planCompaction(pending, { limit, keep }) {
+    if (pending.length <= limit) return { fold: [], recent: pending };
+    const undated = pending.findLastIndex((t) => !t.created_at) + 1;
+    const cut = Math.max(pending.length - keep, undated);
+    return { fold: pending.slice(0, cut), recent: pending.slice(cut) };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Summarizing                                                             */
+/* -------------------------------------------------------------------------- */
+
+/** Strip `[table:id]` citation tags from text. */
+function stripTags(text) {
+    let out = text;
+    for (const tag of parseCitations(text)) out = out.split(tag).join('');
+    return out
+        .replace(/[ \t]+([.,;:)])/g, '$1')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Fold turns into the existing summary with one model call.
+ *
+ * @async
+ * @param {OpenAI} client
+ * @param {{content: string, turns: number}|null} summary – Current summary.
+ * @param {Object[]} turns – Turns to fold in, oldest first.
+ * @returns {Promise<{content: string, through: string|null, turns: number,
+ *          updated_at: string}>} The summary to store.
+ */
+export async function summarizeTurns(client, summary, turns) {
+    const transcript = turns
+        .map(
+            (t) =>
+                `${t.role === 'user' ? 'User' : 'Assistant'}: ${stripTags(
+                    t.content
+                )}`
+        )
+        .join('\n\n');
+    const resp = await client.chat.completions.create({
+        model: SUMMARY_MODEL,
+        temperature: 0,
+        max_tokens: SUMMARY_MAX_TOKENS,
+        messages: [
+            { role: 'system', content: SUMMARY_PROMPT },
+            {
+                role: 'user',
+                content:
+                    `Existing summary:\n${summary?.content || '(none)'}\n\n` +
+                    `New turns:\n${transcript}`,
+            },
+        ],
+    });
+    return {
+        content: stripTags(resp.choices[0].message.content.trim()),
+        through:
+            turns.findLast((t) => t.created_at)?.created_at ??
+            summary?.through ??
+            null,
+        turns: (summary?.turns ?? 0) + turns.length,
+        updated_at: new Date().toISOString(),
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Recall                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Load a conversation’s memory for the prompt, compacting it first when
+ * too many turns have piled up outside the summary.
+ *
+ * @async
+ * @param {Object} options
+ * @param {HistoryStore} options.store
+ * @param {OpenAI}       options.client
+ * @param {string}       options.userId
+ * @param {string}       [options.conversation]
+ * @param {number}       options.limit – Most raw turns sent to the model.
+ * @param {number}       options.keep  – Raw turns left after compaction.
+ * @returns {Promise<{summary: Object|null, turns: Object[]}>}
+ */
+export async function recallConversation({
+    store,
+    client,
+    userId,
+    conversation,
+    limit,
+    keep,
+}) {
+    const [turns, stored] = await Promise.all([
+        store.load(userId, { conversation }),
+        store.loadSummary(userId, { conversation }),
+    ]);
+    const { fold, recent } = planCompaction(unsummarized(turns, stored), {
+        limit,
+        keep,
+    });
+    if (!fold.length) return { summary: stored, turns: recent };
+
+    const summary = await summarizeTurns(client, stored, fold);
+    await store.saveSummary(userId, summary, { conversation });
+    return { summary, turns: recent };
+}
@@ -0,0 +1,237 @@
+/**
+ * Currency conversion for multi-currency books.
+ *
+ * Every account has a `currency` (seedAll.js `seedAccounts`), invoices and
+ * bills may carry one, and each profile reports in a `reporting_currency`.
+ * Amounts are converted with the `fx_rates` table, using the rate in force
+ * on the amount’s own date, before anything adds them up:
+ *
+ *   −2,000 EUR on 2025-01-15  ×  1.0850 (EUR→USD, 2025-01-01)  =  −2,170 USD
+ *
+ * The original amount and currency are always kept next to the converted
+ * one, so answers and documents can show both.
+ *
+ * RATE LOOKUP
+ * -----------
+ * `fx_rates` rows read “1 base = rate quote” on `rate_date`.  A conversion
+ * uses the latest rate on or before the amount’s date, trying in order:
+ *   1. the direct pair (EUR→USD),
+ *   2. the inverse pair (USD→EUR, as 1 ÷ rate),
+ *   3. a cross rate through any third currency (GBP→EUR→USD).
+ *
+ * PITFALLS
+ * --------
+ * • No rate on or before the date is an error (`code: 'FX_RATE'`), not a
+ *   silent 1:1.  Adding EUR to USD unconverted is exactly the bug this
+ *   prevents.
+ * • Rows without a currency (budgets, monthly expense snapshots, invoices
+ *   and bills created before the column existed) are taken to be in the
+ *   reporting currency.
+ *
+ * Usage:  `node currency.js <amount> <from> [to] [date]`
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { PAGE_SIZE, round2 } from './books.js';
+
+/** Reporting currency of profiles without one (`REPORTING_CURRENCY`). */
+export const DEFAULT_CURRENCY = process.env.REPORTING_CURRENCY || 'USD';
+
+/** Error for a currency pair no rate converts on a date (`code: 'FX_RATE'`). */
+function fxRateError(from, to, date) {
+    return Object.assign(
+        new Error(`No ${from}→${to} exchange rate on or before ${date}`),
+        { code: 'FX_RATE', from, to, date }
+    );
+}
+
+/* -------------------------------------------------------------------------- */
+/* 1) Converter                                                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Build a converter over a set of dated rates.
+ *
+ * @param {Array<{base_currency: string, quote_currency: string,
+ *        rate_date: string, rate: number|string}>} rates
+ * @returns {{rate: Function, convert: Function, currencies: string[]}}
+ */
+export function createFx(rates) {
+    // 'EUR>USD' → [{ date, rate }] newest first
+    const pairs = new Map();
+    for (const r of rates) {
+        const key = `${r.base_currency}>${r.quote_currency}`;
+        if (!pairs.has(key)) pairs.set(key, []);
+        pairs.get(key).push({ date: r.rate_date, rate: Number(r.rate) });
+    }
+    for (const list of pairs.values()) {
+        list.sort((a, b) => b.date.localeCompare(a.date));
+    }
+    const currencies = [
+        ...new Set(rates.flatMap((r) => [r.base_currency, r.quote_currency])),
+    ];
+
+    /** Direct or inverse rate on or before `date`, or null. */
+    const leg = (from, to, date) => {
+        const direct = pairs.get(`${from}>${to}`)?.find((r) => r.date <= date);
+        if (direct) return direct;
+        const inverse = pairs.get(`${to}>${from}`)?.find((r) => r.date <= date);
+        return inverse && { date: inverse.date, rate: 1 / inverse.rate };
+    };
+
+    /**
+     * Rate converting `from` into `to` on `date`.
+     *
+     * @param {string} from
+     * @param {string} to
+     * @param {string} date – ISO date.
+     * @returns {{rate: number, date: string|null}} `date` is the rate’s own
+     *          date (the older leg for cross rates; null for same currency).
+     * @throws {Error} `code: 'FX_RATE'` when no rate applies.
+     */
+    const rate = (from, to, date) => {
+        if (from === to) return { rate: 1, date: null };
+        const found = leg(from, to, date);
+        if (found) return found;
+        for (const via of currencies) {
+            if (via === from || via === to) continue;
+            const a = leg(from, via, date);
+            const b = a && leg(via, to, date);
+            if (b) {
+                return {
+                    rate: a.rate * b.rate,
+                    date: a.date < b.date ? a.date : b.date,
+                };
+            }
+        }
+        throw fxRateError(from, to, date);
+    };
+
+    return {
+        rate,
+
+        /**
+         * Convert an amount, keeping the original.
+         *
+         * @param {number|string} amount
+         * @param {string} from – Currency of `amount`.
+         * @param {string} to   – Target currency.
+         * @param {string} date – Date of the amount (ISO).
+         * @returns {{amount: number, currency: string, original: number,
+         *          original_currency: string, rate: number,
+         *          rate_date: string|null}}
+         * @throws {Error} `code: 'FX_RATE'` when no rate applies.
+         */
+        convert(amount, from, to, date) {
+            const r = rate(from, to, date);
+            return {
+                amount: round2(Number(amount) * r.rate),
+                currency: to,
+                original: Number(amount),
+                original_currency: from,
+                rate: Math.round(r.rate * 1e6) / 1e6,
+                rate_date: r.date,
+            };
+        },
+
+        currencies,
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Loading                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Load every rate from `fx_rates` into a converter.
+ *
+ * @async
+ * @param {SupabaseClient} supabase
+ * @returns {Promise<ReturnType<typeof createFx>>}
+ */
+export async function loadFx(supabase) {
+    const rates = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('fx_rates')
+            .select('base_currency, quote_currency, rate_date, rate')
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rates.push(...data);
+        if (data.length < PAGE_SIZE) return createFx(rates);
+    }
+}
+
+/**
+ * The currency a user reports in: their profile’s `reporting_currency`,
+ * else DEFAULT_CURRENCY.
+ *
+ * @async
+ * @param {SupabaseClient} supabase
+ * @param {string}         userId
+ * @returns {Promise<string>}
+ */
+export async function reportingCurrency(supabase, userId) {
+    const { data, error } = await supabase
+        .from('profiles')
+        .select('reporting_currency')
+        .eq('id', userId)
+        .maybeSingle();
+    if (error) throw error;
+    return data?.reporting_currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * “−2,000.00 EUR (−2,170.00 USD)” – an amount with its converted value, or
+ * just the amount when no conversion happened.
+ *
+ * @param {{amount: number, currency: string, original: number,
+ *        original_currency: string}} converted – From `convert()`.
+ * @returns {string}
+ */
+export function describeConversion(converted) {
+    const fmt = (n, c) =>
+        `${n.toLocaleString('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+        })} ${c}`;
+    const original = fmt(converted.original, converted.original_currency);
+    return converted.original_currency === converted.currency
+        ? original
+        : `${original} (${fmt(converted.amount, converted.currency)})`;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const supabase = createDataClient();
+    const [amount, from, to = DEFAULT_CURRENCY, date] = process.argv.slice(2);
+    if (!amount || !from) {
+        throw new Error('Usage: node currency.js <amount> <from> [to] [date]');
+    }
+    const fx = await loadFx(supabase);
+    const converted = fx.convert(
+        amount,
+        from.toUpperCase(),
+        to.toUpperCase(),
+        date || new Date().toISOString().slice(0, 10)
+    );
+    console.log(
+        `💱 ${describeConversion(converted)} at ${converted.rate} (${
+            converted.rate_date ?? 'same currency'
+        })`
+    );
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Conversion failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,329 @@
+/**
+ * Where the source tables (transactions, accounts, invoices…) are read from
+ * and written to.
+ *
+ * Every module that touches the books takes a `supabase` client and builds
+ * PostgREST queries with it.  `createDataClient()` hands out either a real
+ * Supabase client or a local stand-in with the same query interface, so
+ * seeding, embedding, KPIs, tools and the chatbot run unchanged on either.
+ *
+ * BACKENDS
+ * --------
+ * • **supabase** (default) – the project at `SUPABASE_URL`, with the
+ *   service-role key.  Production path.
+ *
+ * • **local** – every table held in one JSON file (`data_store.json`,
+ *   `DATA_STORE_FILE`), `{ [table]: row[] }`.  Seed it with
+ *   `DATA_STORE=local node seedAll.js`, or write the fixtures by hand.
+ *   Together with `VECTOR_STORE=local` and `EMBEDDING_PROVIDER=local` the
+ *   whole seed → embed → ask pipeline needs no Postgres at all.
+ *
+ * Select with `DATA_STORE=supabase|local`.
+ *
+ * PITFALLS
+ * --------
+ * • The local client implements the part of the query builder this repo
+ *   uses: `select` (column lists, `{ count, head }`), `insert`, `upsert`
+ *   (`onConflict`), `update`, `delete`, the `eq` / `neq` / `gt` / `gte` /
+ *   `lt` / `lte` / `in` filters, `order`, `range`, `limit`, `single` and
+ *   `maybeSingle`.  No joins, no RPCs: `rpc()` returns an error, so the
+ *   Supabase vector store (`match_documents`) cannot sit on top of it.
+ * • Inserted rows get a random UUID `id` and nothing else; column defaults
+ *   and constraints of the migrations are not applied.
+ * • The file is rewritten after every write.  Fine for demo books and CI,
+ *   not for concurrent writers.
+ * ============================================================================
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { createClient } from '@supabase/supabase-js';
+
+const DEFAULT_LOCAL_FILE = 'data_store.json';
+
+/* -------------------------------------------------------------------------- */
+/* 1) Local backend                                                           */
+/* -------------------------------------------------------------------------- */
+
+/** Equality as Postgres sees it: `'5'` and `5` name the same id. */
+const same = (a, b) =>
+    a === b || (a != null && b != null && String(a) === String(b));
+
+/** Order two column values; nulls sort last (first when descending). */
+function compareValues(a, b) {
+    if (a == null || b == null) return (a == null) - (b == null);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/** `'id, name'` → `['id', 'name']`; `'*'` → `null` (every column). */
+function parseColumns(columns = '*') {
+    const list = columns
+        .split(',')
+        .map((c) => c.trim())
+        .filter(Boolean);
+    return list.includes('*') ? null : list;
+}
+
+const project = (row, columns) =>
+    columns
+        ? Object.fromEntries(columns.map((c) => [c, row[c] ?? null]))
+        : { ...row };
+
+/**
+ * One PostgREST-style query against the local tables.  Builder methods
+ * chain; the query runs when awaited and resolves to `{ data, error,
+ * count }` like supabase-js, never rejecting.
+ */
+function createLocalQuery(db, table) {
+    const filters = [];
+    const orders = [];
+    let action = { kind: 'select', columns: null };
+    let returning; // columns of `.select()` after a write; undefined: none
+    let window = null; // [from, to], inclusive
+    let single = null; // 'single' | 'maybe'
+    let countRows = false;
+    let head = false;
+
+    const where = (test) => {
+        filters.push(test);
+        return query;
+    };
+    // Comparisons with NULL are never true in SQL
+    const compare = (test) => (column, value) =>
+        where(
+            (r) => r[column] != null && test(compareValues(r[column], value))
+        );
+
+    const run = () => {
+        const rows = db.rows(table);
+        const matched = rows.filter((r) => filters.every((f) => f(r)));
+        let data;
+        let changed = false;
+
+        if (action.kind === 'select') {
+            data = matched;
+        } else if (action.kind === 'insert') {
+            data = action.rows.map((r) => ({ id: crypto.randomUUID(), ...r }));
+            rows.push(...data);
+            changed = true;
+        } else if (action.kind === 'upsert') {
+            data = action.rows.map((r) => {
+                const existing = rows.find((e) =>
+                    // Nulls never conflict, as in a Postgres unique index
+                    action.keys.every((k) => r[k] != null && same(e[k], r[k]))
+                );
+                if (existing) return Object.assign(existing, r);
+                const row = { id: crypto.randomUUID(), ...r };
+                rows.push(row);
+                return row;
+            });
+            changed = true;
+        } else if (action.kind === 'update') {
+            for (const r of matched) Object.assign(r, action.values);
+            data = matched;
+            changed = matched.length > 0;
+        } else {
+            const gone = new Set(matched);
+            db.replace(
+                table,
+                rows.filter((r) => !gone.has(r))
+            );
+            data = matched;
+            changed = matched.length > 0;
+        }
+        if (changed) db.save();
+
+        if (action.kind !== 'select') {
+            if (returning === undefined) return { data: null, error: null };
+            data = data.map((r) => project(r, returning));
+            return single ? one(data) : { data, error: null };
+        }
+
+        for (const { column, ascending } of [...orders].reverse()) {
+            data = [...data].sort(
+                (a, b) =>
+                    (ascending ? 1 : -1) * compareValues(a[column], b[column])
+            );
+        }
+        const count = countRows ? data.length : null;
+        if (window) data = data.slice(window[0], window[1] + 1);
+        data = data.map((r) => project(r, action.columns));
+        if (head) return { data: null, error: null, count };
+        return single ? one(data) : { data, error: null, count };
+    };
+
+    const one = (data) => {
+        if (data.length === 1 || (!data.length && single === 'maybe')) {
+            return { data: data[0] ?? null, error: null };
+        }
+        return {
+            data: null,
+            error: Object.assign(
+                new Error(
+                    `Expected one ${table} row, got ${data.length} (local data store)`
+                ),
+                { code: 'PGRST116' }
+            ),
+        };
+    };
+
+    const query = {
+        select(columns = '*', options = {}) {
+            if (action.kind === 'select') {
+                action = { kind: 'select', columns: parseColumns(columns) };
+                countRows = Boolean(options.count);
+                head = Boolean(options.head);
+            } else {
+                returning = parseColumns(columns);
+            }
+            return query;
+        },
+        insert(rows) {
+            action = { kind: 'insert', rows: [].concat(rows) };
+            return query;
+        },
+        upsert(rows, { onConflict = 'id' } = {}) {
+            const keys = Array.isArray(onConflict)
+                ? onConflict
+                : onConflict.split(',').map((k) => k.trim());
+            action = { kind: 'upsert', rows: [].concat(rows), keys };
+            return query;
+        },
+        update(values) {
+            action = { kind: 'update', values };
+            return query;
+        },
+        delete() {
+            action = { kind: 'delete' };
+            return query;
+        },
+        eq: (column, value) => where((r) => same(r[column], value)),
+        neq: compare((order) => order !== 0),
+        gt: compare((order) => order > 0),
+        gte: compare((order) => order >= 0),
+        lt: compare((order) => order < 0),
+        lte: compare((order) => order <= 0),
+        in: (column, values) =>
+            where((r) => values.some((v) => same(r[column], v))),
+        order(column, { ascending = true } = {}) {
+            orders.push({ column, ascending });
+            return query;
+        },
+        range(from, to) {
+            window = [from, to];
+            return query;
+        },
+        limit(n) {
+            window = [0, n - 1];
+            return query;
+        },
+        single() {
+            single = 'single';
+            return query;
+        },
+        maybeSingle() {
+            single = 'maybe';
+            return query;
+        },
+        then(resolve, reject) {
+            return Promise.resolve()
+                .then(run)
+                .catch((error) => ({ data: null, error }))
+                .then(resolve, reject);
+        },
+    };
+    return query;
+}
+
+/**
+ * Supabase-compatible client over tables kept in memory and, optionally, a
+ * JSON file (see PITFALLS above for what it supports).
+ *
+ * @param {Object}      [options]
+ * @param {string|null} [options.file] – JSON file used for persistence;
+ *        `null` keeps the tables in memory only.
+ * @param {Object}      [options.tables] – Initial `{ [table]: row[] }`,
+ *        used when the file does not exist yet.
+ * @returns {{from: (table: string) => Object,
+ *            rpc: (name: string) => Promise<{data: null, error: Error}>}}
+ */
+export function createLocalDataClient({
+    file = DEFAULT_LOCAL_FILE,
+    tables = {},
+} = {}) {
+    let data = tables;
+    if (file) {
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch {
+            /* ignore – fresh store */
+        }
+    }
+
+    const db = {
+        rows: (table) => (data[table] ??= []),
+        replace: (table, rows) => {
+            data[table] = rows;
+        },
+        save: () => {
+            if (!file) return;
+            const tmp = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(data));
+            fs.renameSync(tmp, file);
+        },
+    };
+
+    return {
+        from: (table) => createLocalQuery(db, table),
+        async rpc(name) {
+            return {
+                data: null,
+                error: Object.assign(
+                    new Error(
+                        `rpc("${name}") needs Postgres; the local data store has no functions (use VECTOR_STORE=local)`
+                    ),
+                    { code: 'UNSUPPORTED' }
+                ),
+            };
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Factory                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/** Local clients already opened by `createDataClient()`, by file. */
+const localClients = new Map();
+
+/**
+ * Build the data client selected by `DATA_STORE` (default `supabase`).
+ *
+ * Local clients are shared per file, for the same reason as local vector
+ * stores: server.js loads queryBot.js and embedAll.js into one process,
+ * and two in-memory copies would overwrite each other on save.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.kind] – `supabase` or `local`.
+ * @param {string} [options.file] – Local backend file.
+ * @returns {SupabaseClient} Or its local stand-in.
+ */
+export function createDataClient({
+    kind = process.env.DATA_STORE || 'supabase',
+    file = process.env.DATA_STORE_FILE || DEFAULT_LOCAL_FILE,
+} = {}) {
+    if (kind === 'local') {
+        if (!localClients.has(file)) {
+            localClients.set(file, createLocalDataClient({ file }));
+        }
+        return localClients.get(file);
+    }
+    if (kind === 'supabase') {
+        return createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+    }
+    throw new Error(`Unknown DATA_STORE "${kind}"`);
+}
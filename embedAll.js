@@ -3,8 +3,10 @@
  * For every row in a curated list of Supabase tables, this script:
  *
  *   1. **Serialises** the row into a deterministic, human-readable fact string.
- *   2. **Embeds** that string into a float vector via the OpenAI Embeddings API.
- *   3. **Upserts** the vector plus source metadata into the `documents` table.
+ *   2. **Embeds** that string into a float vector via the configured embedding
+ *      provider (OpenAI by default; see embeddings.js).
+ *   3. **Upserts** the vector plus source metadata into the vector store
+ *      (the Supabase `documents` table by default; see vectorStore.js).
  *
  * RATIONALE
  * ---------
@@ -12,14 +14,16 @@
  * vectors they retrieve.  Three pitfalls shape the design of this pipeline:
  *
  * • **Opaque identifiers** – Vectors that contain only UUIDs or foreign-key
- *   columns (“account_id=...”) hide meaning.  By enriching snapshots with the
- *   *name* and *type* of the account (“Main Checking, cash”), we anchor each
- *   embedding in language the model—and our teammates—can understand.
+ *   columns (“account_id=...”) hide meaning.  By replacing every foreign key
+ *   with the *name* and *type* of the row it points to (“Main Checking,
+ *   bank”; “Rent, expense”), we anchor each embedding in language the
+ *   model—and our teammates—can understand (templates: serializers.js).
  *
  * • **Lack of semantic anchors** – Embeddings match *words*, not invisible
  *   schema.  If the serialised string never mentions *cash*, *expense*, or the
  *   friendly column name, a query for “cash balance” or “burn rate” may never
- *   surface that row.  Explicit, readable fields ensure the right vectors get
+ *   surface that row.  Explicit, readable fields plus a `keywords` field
+ *   (“expense”, “receivable”, “overdue”) ensure the right vectors get
  *   recalled.
  *
  * • **Precision vs. vector noise** – Finance demands exact numbers, yet
@@ -39,105 +43,335 @@
  *   vector back to the row that produced it.
  * • **Idempotence** – Upserts ensure exactly one vector per row, so we can
  *   re-run the script safely (e.g. nightly or after schema changes).
+ * • **Incremental updates** – Each document stores a SHA-256 of its content
+ *   (and filter metadata) and the embedding model name.  Rows whose fingerprint is unchanged are
+ *   skipped, so a nightly run only pays for new or edited rows.
  *
  * EXECUTION MODEL
  * ---------------
- *   • Runs serially, keeping logs deterministic and well within API limits.
+ *   • Tables run one after another; within a table, rows are embedded in
+ *     batches (`EMBED_BATCH_SIZE`, default 100 inputs per API call) with at
+ *     most `EMBED_CONCURRENCY` batches in flight (default 4).
+ *   • Rate limits (429) and transient network/5xx errors are retried with
+ *     exponential backoff (`EMBED_MAX_RETRIES`, default 5; see retry.js).
+ *   • Source tables are read in pages of 1000 rows and each page is embedded
+ *     before the next is read, so memory does not grow with the table.
+ *     Lookup tables (accounts, categories, customers, vendors, profiles) and
+ *     the FX rates are read once per run and cached, so resolving foreign
+ *     keys and converting amounts costs no query per row.
+ *   • Before a full run every user’s ledger is checked for double-entry
+ *     integrity (ledger.js).  An unbalanced ledger is logged, or with
+ *     `--strict-ledger` / `LEDGER_CHECK=strict` stops the run before
+ *     anything is embedded; `LEDGER_CHECK=off` skips the check.
+ *   • Progress is checkpointed to `embed_checkpoint.json` after every batch
+ *     as a cursor: the last id, in `id` order, up to which every row is
+ *     done.  An interrupted run resumes after it; the file is removed once
+ *     a run completes.
  *   • Can be invoked manually, by CI, or as a Supabase Edge Function.
  *   • Service-role key is required; restrict execution to back-end contexts.
  *
- * Usage:  `node embedAll.js`
+ * Usage:  `node embedAll.js [--force] [--strict-ledger]`
+ *         (--force re-embeds every row)
+ *
+ * server.js imports `embedTable()` to re-embed one table or a few rows on
+ * demand; those targeted runs skip the checkpoint.
  * ============================================================================
  */
 
 import 'dotenv/config';
-import { createClient } from '@supabase/supabase-js';
-import OpenAI from 'openai';
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { PAGE_SIZE } from './books.js';
+import { createEmbedder } from './embeddings.js';
+import { createVectorStore } from './vectorStore.js';
+import { createSerializer, TABLES_TO_EMBED } from './serializers.js';
+import { loadFx } from './currency.js';
+import { checkLedger, summarizeLedger } from './ledger.js';
+import { withRetry } from './retry.js';
+
+/**
+ * Source tables: Supabase with service-role privileges (server-side only),
+ * or the local data store, selected by `DATA_STORE`.
+ */
+const supabaseAdmin = createDataClient();
+
+/** Destination for embeddings, selected by `VECTOR_STORE`. */
+const store = createVectorStore({ supabase: supabaseAdmin });
+
+/** Embedding provider selected by `EMBEDDING_PROVIDER` / `EMBEDDING_MODEL`. */
+const embedder = createEmbedder();
 
-/** Supabase client with service-role privileges (server-side only). */
-const supabaseAdmin = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+/** Re-embed every row, ignoring stored content hashes. */
+const FORCE = process.argv.includes('--force');
 
-/** Shared OpenAI SDK instance (reads OPENAI_API_KEY from env). */
-const openai = new OpenAI();
+/**
+ * What an unbalanced ledger does to a full run (ledger.js): `warn` (default)
+ * logs it, `strict` refuses to embed anything, `off` skips the check.
+ */
+const LEDGER_CHECK = process.argv.includes('--strict-ledger')
+    ? 'strict'
+    : process.env.LEDGER_CHECK || 'warn';
+
+/** Throughput and resilience knobs (see EXECUTION MODEL above). */
+const BATCH_SIZE = Number(process.env.EMBED_BATCH_SIZE) || 100;
+const CONCURRENCY = Number(process.env.EMBED_CONCURRENCY) || 4;
+const MAX_RETRIES = Number(process.env.EMBED_MAX_RETRIES ?? 5);
+const CHECKPOINT_FILE =
+    process.env.EMBED_CHECKPOINT_FILE || 'embed_checkpoint.json';
+
+/** Row ids per `.in()` filter, keeping request URLs short. */
+const IDS_PER_QUERY = 100;
+
+/** Document columns needed to decide whether a row changed. */
+const FINGERPRINT_COLUMNS = ['source_id', 'content_hash', 'embedding_model'];
 
 /* -------------------------------------------------------------------------- */
 /* 1) Embedding utility                                                       */
 /* -------------------------------------------------------------------------- */
 
 /**
- * Produce a vector embedding for an arbitrary piece of text.
+ * Log a retry so a slow run is visibly waiting, not hung.
+ */
+function logRetry(what) {
+    return (err, attempt, delay) =>
+        console.warn(
+            `⚠️  ${what} failed (${err.status ?? err.code ?? err.message}); ` +
+                `retry ${attempt}/${MAX_RETRIES} in ${Math.round(delay)} ms`
+        );
+}
+
+/**
+ * Produce vector embeddings for a batch of texts in a single API call.
  *
- * Centralising this call lets us layer in batching, retries, or model swaps
- * without changing downstream logic.
+ * Centralising this call is where batching, retries and model swaps live,
+ * so downstream logic stays unchanged.
  *
  * @async
- * @param {string} text – Plain-text sentence to embed.
- * @returns {Promise<number[]>} Float32 vector produced by the model.
+ * @param {string[]} texts – Plain-text sentences to embed.
+ * @returns {Promise<number[][]>} One vector per input, in input order.
  */
-async function makeEmbedding(text) {
-    const res = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: text,
-        encoding_format: 'float',
+async function makeEmbeddings(texts) {
+    return withRetry(() => embedder.embedMany(texts), {
+        retries: MAX_RETRIES,
+        onRetry: logRetry(`Embedding ${texts.length} rows`),
     });
-    return res.data[0].embedding;
+}
+
+/**
+ * Fingerprint of a serialised row and its filter metadata.  Paired with the
+ * embedding model name it tells us whether a stored document is still valid.
+ *
+ * @param {string} content  – Output of `serialize()`.
+ * @param {Object} metadata – Output of `documentMetadata()`.
+ * @returns {string} Hex-encoded SHA-256 digest.
+ */
+function contentHash(content, metadata) {
+    return crypto
+        .createHash('sha256')
+        .update(content)
+        .update(JSON.stringify(metadata))
+        .digest('hex');
 }
 
 /* -------------------------------------------------------------------------- */
-/* 2) Serialisation                                                           */
+/* 1B) Checkpoint & concurrency                                               */
 /* -------------------------------------------------------------------------- */
 
 /**
- * Turn a DB row into a deterministic, pipe-delimited fact string.
+ * Load the checkpoint left by an interrupted run.  A checkpoint written for
+ * a different embedding model is stale and ignored.
  *
- * Bespoke templates add clarity (e.g. account snapshots get the account’s
- * name/type).  For all other tables we fall back to a generic KEY=VALUE list,
- * omitting noisy fields such as `metadata` and audit timestamps.
+ * Shape: `{ model, done: { [table]: true | { after, count } } }` – `true`
+ * marks a finished table; otherwise every row up to id `after` (in `id`
+ * order, `count` rows) is done and the table resumes after it.
  *
- * @async
- * @param {string} table – Source table name.
- * @param {Object} row   – Row object returned by Supabase.
- * @returns {Promise<string>} Human-readable description of the row.
+ * @returns {{model: string, done: Object}}
  */
-async function serialize(table, row) {
-    if (table === 'account_snapshots') {
-        // Enrich snapshot with account metadata for clearer semantics.
-        const { data: acct, error: acctErr } = await supabaseAdmin
-            .from('accounts')
-            .select('name, type')
-            .eq('id', row.account_id)
-            .single();
-        if (acctErr) throw acctErr;
-
-        return (
-            `Account Balance | account_name="${acct.name}" | ` +
-            `account_type="${acct.type}" | as_of="${row.snapshot_date}" | ` +
-            `cash_balance=${row.balance}`
-        );
+function loadCheckpoint() {
+    try {
+        const cp = JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf8'));
+        if (cp.model === embedder.model) {
+            console.log(`↩️  Resuming from ${CHECKPOINT_FILE}`);
+            return cp;
+        }
+    } catch {
+        /* ignore – no previous run */
     }
+    return { model: embedder.model, done: {} };
+}
 
-    if (table === 'monthly_expense_snapshots') {
-        return (
-            `Monthly Expense Snapshot | ` +
-            `period="${row.period_start} to ${row.period_end}" | ` +
-            `total_expense=${row.total_expense}`
-        );
-    }
+/** Persist the checkpoint (sync, so concurrent batches never interleave). */
+function saveCheckpoint(cp) {
+    fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(cp));
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` promises in flight.  The
+ * first failure stops new work from starting and is re-thrown once the
+ * in-flight items settle.
+ *
+ * @async
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<void>} worker
+ * @template T
+ */
+async function runPool(items, limit, worker) {
+    let next = 0;
+    let failure = null;
+    const lane = async () => {
+        while (!failure && next < items.length) {
+            const item = items[next++];
+            try {
+                await worker(item);
+            } catch (err) {
+                failure ??= err;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: limit }, lane));
+    if (failure) throw failure;
+}
 
-    if (table === 'financial_kb') {
-        return `Formula | title="${row.title}" | expression="${row.content}"`;
+/* -------------------------------------------------------------------------- */
+/* 2) Serialisation                                                           */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Read a table page by page, `PAGE_SIZE` rows at a time in `id` order, so
+ * memory holds one page however large the table is.
+ *
+ * `ids` go in the request URL (`id=in.(…)`), so they are sent
+ * `IDS_PER_QUERY` at a time; one query per chunk is then one page.
+ *
+ * @param {string}   table
+ * @param {Object}   [options]
+ * @param {string[]} [options.ids]   – Restrict to these row ids.
+ * @param {string}   [options.after] – Start after this id (ignored with
+ *        `ids`).
+ * @returns {AsyncGenerator<Object[]>} One array per page.
+ */
+async function* readPages(table, { ids, after } = {}) {
+    if (ids) {
+        const sorted = [...ids].sort();
+        for (let i = 0; i < sorted.length; i += IDS_PER_QUERY) {
+            const { data, error } = await supabaseAdmin
+                .from(table)
+                .select('*')
+                .in('id', sorted.slice(i, i + IDS_PER_QUERY))
+                .order('id');
+            if (error) throw error;
+            if (data.length) yield data;
+        }
+        return;
+    }
+    for (let from = 0; ; from += PAGE_SIZE) {
+        let query = supabaseAdmin.from(table).select('*');
+        if (after != null) query = query.gt('id', after);
+        const { data, error } = await query
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        if (data.length) yield data;
+        if (data.length < PAGE_SIZE) return;
     }
+}
 
-    // Generic fallback: stringify every relevant field.
-    const fields = Object.entries(row)
-        .filter(([k]) => !['metadata', 'updated_at'].includes(k))
-        .map(([k, v]) => `${k}=${JSON.stringify(v)}`)
-        .join(' | ');
+/**
+ * Cache of the rows foreign keys point at (accounts, categories, customers,
+ * vendors, profiles) and of the FX rates, shared by every table of one run.
+ *
+ * `preload()` reads a lookup table once, a page at a time; `get()` then
+ * answers from memory.  An id that is not cached (a row inserted during the
+ * run) costs one query and is cached too, missing rows included.  `fx()`
+ * loads `fx_rates` on first use.
+ *
+ * @returns {{preload: (tables: string[]) => Promise<void>,
+ *            get: (table: string, id: string) => Promise<Object|null>,
+ *            fx: () => Promise<Object>}}
+ */
+function createLookupCache() {
+    const tables = new Map(); // table → Map(id → row|null)
+    const loaded = new Set();
+    let fx = null;
+    const rowsOf = (table) => {
+        if (!tables.has(table)) tables.set(table, new Map());
+        return tables.get(table);
+    };
+
+    return {
+        async preload(names) {
+            for (const table of names.filter((t) => !loaded.has(t))) {
+                const rows = rowsOf(table);
+                for await (const page of readPages(table)) {
+                    for (const row of page) rows.set(String(row.id), row);
+                }
+                loaded.add(table);
+            }
+        },
+
+        async get(table, id) {
+            const rows = rowsOf(table);
+            const key = String(id);
+            if (!rows.has(key)) {
+                const { data, error } = await supabaseAdmin
+                    .from(table)
+                    .select('*')
+                    .eq('id', id)
+                    .maybeSingle();
+                if (error) throw error;
+                rows.set(key, data);
+            }
+            return rows.get(key);
+        },
+
+        fx() {
+            fx ??= loadFx(supabaseAdmin);
+            return fx;
+        },
+    };
+}
 
-    return `${table.toUpperCase()} | ${fields}`;
+/** Source table → the foreign-key column its own id represents. */
+const ENTITY_KEY_FOR_TABLE = {
+    accounts: 'account_id',
+    categories: 'category_id',
+    customers: 'customer_id',
+    vendors: 'vendor_id',
+};
+
+/**
+ * Extract the filterable attributes of a row (see vectorStore.js): the date
+ * range it covers and the entities it belongs to.  Retrieval uses these as
+ * hard filters, so “March” questions only ever see March rows.
+ *
+ * @param {string} table – Source table name.
+ * @param {Object} row   – Row object returned by Supabase.
+ * @returns {Object} `{ date_start?, date_end?, account_id?, … }`
+ */
+function documentMetadata(table, row) {
+    const meta = {};
+    const date = row.date ?? row.snapshot_date;
+    if (date) {
+        meta.date_start = meta.date_end = date;
+    } else if (row.period_start) {
+        meta.date_start = row.period_start;
+        meta.date_end = row.period_end ?? row.period_start;
+    }
+    for (const key of [
+        'account_id',
+        'category_id',
+        'customer_id',
+        'vendor_id',
+    ]) {
+        if (row[key] != null) meta[key] = String(row[key]);
+    }
+    if (ENTITY_KEY_FOR_TABLE[table]) {
+        meta[ENTITY_KEY_FOR_TABLE[table]] = String(row.id);
+    }
+    return meta;
 }
 
 /* -------------------------------------------------------------------------- */
@@ -145,75 +379,262 @@ async function serialize(table, row) {
 /* -------------------------------------------------------------------------- */
 
 /**
- * Embed every row of a specific table and upsert results into `documents`.
+ * Embed the new or changed rows of a specific table and upsert results into
+ * the store.  A row is *unchanged* when its stored document has the same
+ * content hash and embedding model; those rows cost no API call.
+ *
+ * The table is read a page (`PAGE_SIZE` rows) at a time, and each page is
+ * serialised and embedded before the next is read.  Foreign keys resolve
+ * through `lookups`, which holds the referenced tables in memory, so
+ * serialising costs no query per row.  Pending rows are embedded in
+ * batches of `BATCH_SIZE`, `CONCURRENCY` batches at a time.  The checkpoint
+ * records how far through the table (in `id` order) every row is done, and
+ * moves past a batch once it and all batches before it have finished, so a
+ * crash loses at most the batches in flight.
+ *
+ * With `ids`, only those rows are processed; an id whose row no longer
+ * exists has its document deleted (counted as `removed`).  A full run that
+ * did not resume from the checkpoint has read every row, so it deletes
+ * every document of the table whose row is gone.
  *
  * @async
- * @param {string} table – Table to process.
+ * @param {string}   table – Table to process (one of `TABLES_TO_EMBED`).
+ * @param {Object}   [options]
+ * @param {Object}   [options.checkpoint] – Mutable checkpoint from
+ *        `loadCheckpoint()`; omit for a one-off run.
+ * @param {string[]} [options.ids]   – Restrict the run to these row ids.
+ * @param {boolean}  [options.force] – Re-embed even unchanged rows.
+ * @param {Object}   [options.lookups] – Lookup cache from
+ *        `createLookupCache()`, shared across the tables of one run; a
+ *        fresh one is made when omitted.
+ * @returns {Promise<{new: number, changed: number, unchanged: number,
+ *                    resumed: number, removed: number}>}
  */
-async function embedTable(table) {
-    console.log(`⏳ Embedding ${table}...`);
-    const { data: rows, error } = await supabaseAdmin.from(table).select('*');
-    if (error) throw error;
-
-    for (const row of rows) {
-        const content = await serialize(table, row);
-        const embedding = await makeEmbedding(content);
-
-        const { error: upsertErr } = await supabaseAdmin
-            .from('documents')
-            .upsert(
-                {
-                    user_id: row.user_id,
-                    source_table: table,
-                    source_id: row.id,
-                    content,
-                    embedding,
-                },
-                { onConflict: ['source_table', 'source_id'] }
-            );
-        if (upsertErr) throw upsertErr;
-        console.log(`📝  ${table} ${row.id}`);
+export async function embedTable(
+    table,
+    { checkpoint, ids, force = FORCE, lookups = createLookupCache() } = {}
+) {
+    const counts = { new: 0, changed: 0, unchanged: 0, resumed: 0, removed: 0 };
+    if (checkpoint?.done[table] === true) {
+        console.log(`⏭️  ${table} already embedded in interrupted run`);
+        return counts;
     }
+
+    console.log(
+        `⏳ Embedding ${table}${ids ? ` (${ids.length} rows)` : ''}...`
+    );
+    const serializer = createSerializer({
+        lookup: lookups.get,
+        fx: await lookups.fx(),
+    });
+    await lookups.preload(serializer.references(table));
+
+    // Fingerprints of what is already indexed for this table.
+    const existing = new Map(
+        (
+            await store.list(
+                { source_table: table },
+                { columns: FINGERPRINT_COLUMNS }
+            )
+        ).map((d) => [String(d.source_id), d])
+    );
+    const found = new Set();
+    // Rows up to the cursor were done by the interrupted run
+    const cursor = checkpoint?.done[table];
+    counts.resumed = cursor?.count ?? 0;
+    let seen = counts.resumed; // rows read so far, in id order
+    const advance = (after, count) => {
+        if (!checkpoint) return;
+        checkpoint.done[table] = { after, count };
+        saveCheckpoint(checkpoint);
+    };
+
+    for await (const rows of readPages(table, { ids, after: cursor?.after })) {
+        const pending = [];
+        for (const [i, row] of rows.entries()) {
+            found.add(String(row.id));
+
+            const content = await serializer.serialize(table, row);
+            const metadata = documentMetadata(table, row);
+            const hash = contentHash(content, metadata);
+            const prev = existing.get(String(row.id));
+
+            if (
+                !force &&
+                prev?.content_hash === hash &&
+                prev?.embedding_model === embedder.model
+            ) {
+                counts.unchanged++;
+                continue;
+            }
+            pending.push({
+                row,
+                content,
+                metadata,
+                hash,
+                kind: prev ? 'changed' : 'new',
+                position: seen + i + 1,
+            });
+        }
+
+        const batches = [];
+        for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+            batches.push(pending.slice(i, i + BATCH_SIZE));
+        }
+        // Batches finish out of order: the cursor only moves past the ones
+        // whose predecessors have all finished
+        const finished = new Set();
+        let settled = 0;
+
+        await runPool(batches, CONCURRENCY, async (batch) => {
+            const vectors = await makeEmbeddings(batch.map((p) => p.content));
+            const docs = batch.map((p, i) => ({
+                user_id: p.row.user_id,
+                source_table: table,
+                source_id: p.row.id,
+                content: p.content,
+                metadata: p.metadata,
+                content_hash: p.hash,
+                embedding_model: embedder.model,
+                embedding: vectors[i],
+            }));
+            await withRetry(() => store.upsert(docs), {
+                retries: MAX_RETRIES,
+                onRetry: logRetry(`Upserting ${docs.length} ${table} rows`),
+            });
+
+            for (const p of batch) counts[p.kind]++;
+            finished.add(batch);
+            const from = settled;
+            while (finished.has(batches[settled])) settled++;
+            if (settled > from) {
+                const last = batches[settled - 1].at(-1);
+                advance(last.row.id, last.position);
+            }
+            console.log(`📝  ${table} +${batch.length} rows`);
+        });
+        seen += rows.length;
+        advance(rows.at(-1).id, seen);
+    }
+
+    // Drop documents whose source row has been deleted.  A resumed run
+    // never read the rows before its cursor, so it cannot tell.
+    let gone = [];
+    if (ids) {
+        gone = ids.filter((i) => !found.has(String(i)));
+    } else if (!cursor) {
+        gone = [...existing.values()]
+            .map((d) => d.source_id)
+            .filter((i) => !found.has(String(i)));
+    }
+    for (const id of gone) {
+        await store.delete({ source_table: table, source_id: id });
+        counts.removed++;
+    }
+
+    if (checkpoint) {
+        checkpoint.done[table] = true;
+        saveCheckpoint(checkpoint);
+    }
+
+    console.log(
+        `   ${table}: ${counts.new} new, ${counts.changed} changed, ` +
+            `${counts.unchanged} unchanged` +
+            (counts.resumed ? `, ${counts.resumed} resumed` : '') +
+            (counts.removed ? `, ${counts.removed} removed` : '')
+    );
+    return counts;
 }
 
 /* -------------------------------------------------------------------------- */
 /* 4) Orchestration                                                           */
 /* -------------------------------------------------------------------------- */
 
-const TABLES_TO_EMBED = [
-    'profiles',
-    'accounts',
-    'categories',
-    'transactions',
-    'budgets',
-    'customers',
-    'invoices',
-    'vendors',
-    'bills',
-    'account_snapshots',
-    'monthly_expense_snapshots',
-    'financial_kb',
-];
+/**
+ * Check every user’s ledger (see LEDGER_CHECK).  A ledger that cannot be
+ * checked (no FX rate for an account’s currency, a failed query) is logged
+ * like an unbalanced one; only strict mode stops the run.
+ *
+ * @async
+ * @throws {Error} `code: 'LEDGER_UNBALANCED'` in strict mode when any
+ *         ledger does not balance or could not be checked.
+ */
+async function checkLedgers() {
+    if (LEDGER_CHECK === 'off') return;
+    const unbalanced = [];
+    for await (const page of readPages('profiles')) {
+        for (const { id } of page) {
+            let report;
+            try {
+                report = await checkLedger(supabaseAdmin, id);
+            } catch (err) {
+                // A missing FX rate or a failed query leaves this ledger
+                // unchecked; like the serializer, warn mode carries on
+                unbalanced.push(id);
+                console.warn(
+                    `⚠️  Ledger of ${id} could not be checked: ${err.message}`
+                );
+                continue;
+            }
+            if (report.balanced) continue;
+            unbalanced.push(id);
+            console.warn(
+                `⚠️  Ledger of ${id} does not balance: ${summarizeLedger(
+                    report
+                )} (details: node ledger.js ${id})`
+            );
+        }
+    }
+    if (unbalanced.length && LEDGER_CHECK === 'strict') {
+        throw Object.assign(
+            new Error(
+                `Refusing to embed ${unbalanced.length} unbalanced or unchecked ledger(s)`
+            ),
+            { code: 'LEDGER_UNBALANCED', users: unbalanced }
+        );
+    }
+}
 
 /**
- * Sequentially process every table in `TABLES_TO_EMBED`.
+ * Process every table in `TABLES_TO_EMBED`, one table at a time.
  *
- * Serial execution is deterministic (helpful for audit logs) and stays within
- * rate limits by default.  If throughput becomes the bottleneck we can
- * parallelise at the table level or introduce batch embeddings.
+ * Keeping tables sequential keeps the log readable (helpful for audits);
+ * throughput comes from batching and bounded concurrency *within* a table.
+ * The checkpoint is deleted only after every table has finished.
  */
 async function run() {
+    await checkLedgers();
+    const checkpoint = loadCheckpoint();
+    const lookups = createLookupCache();
+    const totals = { new: 0, changed: 0, unchanged: 0, resumed: 0, removed: 0 };
     for (const table of TABLES_TO_EMBED) {
-        await embedTable(table);
+        const counts = await embedTable(table, { checkpoint, lookups });
+        for (const k of Object.keys(totals)) totals[k] += counts[k];
     }
-    console.log('✅ All embeddings inserted');
+    fs.rmSync(CHECKPOINT_FILE, { force: true });
+    console.log(
+        `✅ Embeddings up to date: ${totals.new} new, ` +
+            `${totals.changed} changed, ${totals.unchanged} unchanged, ` +
+            `${totals.removed} removed`
+    );
 }
 
 /* -------------------------------------------------------------------------- */
 /* 5) Entrypoint                                                              */
 /* -------------------------------------------------------------------------- */
 
-run().catch((err) => {
-    console.error('❌ Embedding failed:', err);
-    process.exit(1);
-});
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    run().catch((err) => {
+        if (err.code === 'LEDGER_UNBALANCED') {
+            console.error(
+                `❌ ${err.message}; fix the books or drop --strict-ledger.`
+            );
+            process.exit(1);
+        }
+        console.error('❌ Embedding failed:', err);
+        console.error(
+            `   Progress saved to ${CHECKPOINT_FILE}; re-run to resume.`
+        );
+        process.exit(1);
+    });
+}
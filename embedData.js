@@ -1,7 +1,8 @@
 // embedAll.js
 import 'dotenv/config';
 import { createClient } from '@supabase/supabase-js';
-import OpenAI from 'openai';
+import { createEmbedder } from './embeddings.js';
+import { createVectorStore } from './vectorStore.js';
 
 const tables = [
     'profiles',
@@ -24,17 +25,14 @@ const supabase = createClient(
     process.env.SUPABASE_ANON_KEY
 );
 
-// 2) OpenAI client
-const openai = new OpenAI();
+const store = createVectorStore({ supabase });
+
+// 2) Embedding provider (EMBEDDING_PROVIDER=openai|local)
+const embedder = createEmbedder();
 
 // 3) Your embedding function
 async function generateEmbeddings(input) {
-    const res = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input,
-        encoding_format: 'float',
-    });
-    return res.data[0].embedding;
+    return embedder.embed(input);
 }
 
 // 4) Serialize a record into a text blob
@@ -66,20 +64,19 @@ async function embedTable(tableName) {
         const content = serialize(tableName, rec);
         const vector = await generateEmbeddings(content);
 
-        const { error: upsertErr } = await supabase.from('documents').upsert(
-            {
+        try {
+            await store.upsert({
                 user_id: rec.user_id,
                 source_table: tableName,
                 source_id: rec.id,
                 content,
                 embedding: vector,
-            },
-            { onConflict: ['source_table', 'source_id'] }
-        );
-        if (upsertErr)
+            });
+        } catch (upsertErr) {
             throw new Error(
                 `Upsert doc for ${tableName} ${rec.id}: ${upsertErr.message}`
             );
+        }
 
         console.log(`📝 Upserted ${tableName} ${rec.id}`);
     }
@@ -0,0 +1,217 @@
+/**
+ * Embedding providers for the RAG pipeline.
+ *
+ * Every script that turns text into vectors (embedAll.js, embedData.js and
+ * both query bots) goes through one interface, so the backend is a config
+ * choice rather than a code change:
+ *
+ *   embed(text)       → Promise<number[]>
+ *   embedMany(texts)  → Promise<number[][]>   (same order as the input)
+ *
+ * Each embedder also exposes `provider`, `model` and `dimensions`, which is
+ * what gets recorded next to stored vectors.
+ *
+ * PROVIDERS
+ * ---------
+ * • **openai** (default) – OpenAI Embeddings API.  The model comes from
+ *   `EMBEDDING_MODEL` (default `text-embedding-3-small`).
+ *
+ * • **local** – Hashed n-gram vectors computed in-process: word unigrams and
+ *   bigrams plus character trigrams, hashed into `EMBEDDING_DIM` buckets
+ *   (default 512) with sublinear term frequency and L2 normalisation.  Needs
+ *   no network and is fully deterministic, so retrieval can be tested
+ *   offline and compared against the API model on our own data.
+ *
+ * Select with `EMBEDDING_PROVIDER=openai|local`.
+ *
+ * PITFALL
+ * -------
+ * Query and document vectors must come from the same provider and model, and
+ * the `documents.embedding` column has a fixed dimension.  Pair the local
+ * provider with `VECTOR_STORE=local` (or a column of matching size).
+ * ============================================================================
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * @typedef {Object} Embedder
+ * @property {string} provider   – `openai` or `local`.
+ * @property {string} model      – Model identifier stored with each vector.
+ * @property {number|undefined} dimensions – Vector length, when known.
+ * @property {(text: string) => Promise<number[]>} embed
+ * @property {(texts: string[]) => Promise<number[][]>} embedMany
+ */
+
+/* -------------------------------------------------------------------------- */
+/* 1) OpenAI provider                                                         */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Embedder backed by the OpenAI Embeddings API.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.model]  – Embedding model name.
+ * @param {OpenAI} [options.client] – Reuse an existing SDK instance.
+ * @returns {Embedder}
+ */
+export function createOpenAIEmbedder({
+    model = 'text-embedding-3-small',
+    client = new OpenAI(),
+} = {}) {
+    const embedMany = async (texts) => {
+        if (!texts.length) return [];
+        const res = await client.embeddings.create({
+            model,
+            input: texts,
+            encoding_format: 'float',
+        });
+        // The API echoes an index per input; sort defensively.
+        return [...res.data]
+            .sort((a, b) => a.index - b.index)
+            .map((d) => d.embedding);
+    };
+
+    return {
+        provider: 'openai',
+        model,
+        dimensions: undefined,
+        embedMany,
+        embed: async (text) => (await embedMany([text]))[0],
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Local hashed n-gram provider                                            */
+/* -------------------------------------------------------------------------- */
+
+/** 32-bit FNV-1a hash – small, fast and stable across runs. */
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Break text into the features we hash: lower-cased word unigrams, word
+ * bigrams and character trigrams (which tolerate plurals and typos).
+ */
+function features(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+    const out = [...words.map((w) => `w:${w}`)];
+    for (let i = 1; i < words.length; i++) {
+        out.push(`b:${words[i - 1]} ${words[i]}`);
+    }
+    for (const w of words) {
+        const padded = `^${w}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            out.push(`c:${padded.slice(i, i + 3)}`);
+        }
+    }
+    return out;
+}
+
+/**
+ * Deterministic, offline embedder using the hashing trick.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dimensions=512] – Number of hash buckets.
+ * @returns {Embedder}
+ */
+export function createLocalEmbedder({ dimensions = 512 } = {}) {
+    const embedOne = (text) => {
+        const counts = new Map();
+        for (const f of features(text)) {
+            counts.set(f, (counts.get(f) ?? 0) + 1);
+        }
+
+        const vec = new Array(dimensions).fill(0);
+        for (const [f, tf] of counts) {
+            const h = fnv1a(f);
+            // Signed hashing keeps collisions from only ever adding up.
+            const sign = h & 0x80000000 ? -1 : 1;
+            vec[h % dimensions] += sign * (1 + Math.log(tf));
+        }
+
+        const norm = Math.sqrt(vec.reduce((acc, v) => acc + v * v, 0));
+        return norm ? vec.map((v) => v / norm) : vec;
+    };
+
+    return {
+        provider: 'local',
+        model: `local-hash-ngram-${dimensions}`,
+        dimensions,
+        embed: async (text) => embedOne(text),
+        embedMany: async (texts) => texts.map(embedOne),
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Factory                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Build the embedder selected by config.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.provider] – Defaults to `EMBEDDING_PROVIDER`, then
+ *        `openai`.
+ * @param {string} [options.model]    – Defaults to `EMBEDDING_MODEL`.
+ * @param {number} [options.dimensions] – Local provider only; defaults to
+ *        `EMBEDDING_DIM`.
+ * @param {OpenAI} [options.client]   – OpenAI provider only.
+ * @returns {Embedder}
+ */
+export function createEmbedder({
+    provider = process.env.EMBEDDING_PROVIDER || 'openai',
+    model = process.env.EMBEDDING_MODEL,
+    dimensions = Number(process.env.EMBEDDING_DIM) || undefined,
+    client,
+} = {}) {
+    if (provider === 'local') {
+        return createLocalEmbedder(dimensions ? { dimensions } : {});
+    }
+    if (provider === 'openai') {
+        return createOpenAIEmbedder({
+            ...(model && { model }),
+            ...(client && { client }),
+        });
+    }
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}"`);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) Caching                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Embed each distinct text once.  Several lookups for the same question
+ * (data rows, formulas, an evaluation sweep) then cost one API call.
+ * Failed calls are not cached.
+ *
+ * @param {Embedder} embedder
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=Infinity] – Oldest entries are
+ *        evicted beyond this, so long-running processes stay bounded.
+ * @returns {Embedder}
+ */
+export function memoizeEmbedder(embedder, { maxEntries = Infinity } = {}) {
+    const cache = new Map();
+    return {
+        ...embedder,
+        embed(text) {
+            if (!cache.has(text)) {
+                const pending = embedder.embed(text);
+                pending.catch(() => cache.delete(text));
+                cache.set(text, pending);
+                if (cache.size > maxEntries) {
+                    cache.delete(cache.keys().next().value);
+                }
+            }
+            return cache.get(text);
+        },
+    };
+}
@@ -0,0 +1,401 @@
+/**
+ * Retrieval evaluation harness.
+ *
+ * Runs the golden questions in `eval/retrieval.golden.json` through the
+ * retriever under several `match_count` / `match_threshold` settings and
+ * reports, per setting:
+ *
+ *   • **recall@k** – share of required rows that made it into the top k;
+ *   • **MRR**      – mean reciprocal rank of the first required row;
+ *   • **complete** – questions whose required rows were *all* retrieved;
+ *   • **avg docs** – rows actually returned (the prompt-size side of the
+ *                    trade-off).
+ *
+ * followed by every question that missed a row, so a tuning change can be
+ * judged on evidence instead of on a handful of manual chats.
+ *
+ * GOLDEN LABELS
+ * -------------
+ * seedAll.js inserts rows with database-generated UUIDs, so labels cannot
+ * hard-code `source_id`s.  Each *need* names its row by natural key instead:
+ *
+ *   { "table": "account_snapshots", "where": { "account": "Main Checking" } }
+ *
+ * and is resolved to `(source_table, source_id)` pairs for the evaluated
+ * user at start-up.  The keys `account`, `category`, `customer` and `vendor`
+ * are looked up by name and become `<key>_id` filters.  A need is met when
+ * *any* row it resolves to is retrieved, so re-running the seed (which
+ * duplicates rows) does not break the labels.  A need resolving to nothing
+ * aborts the run—the dataset has drifted from the golden file.
+ *
+ * The golden file carries a `version`; bump it whenever questions or labels
+ * change so reports from different versions are never compared.
+ *
+ * MODES
+ * -----
+ *   vector  – embedding similarity only (queryBot2.js);
+ *   hybrid  – vector + BM25 fused with RRF (retrieval.js);
+ *   scoped  – hybrid plus the hard filters from queryAnalysis.js (queryBot.js).
+ *
+ * Usage:
+ *   node evalRetrieval.js [--golden eval/retrieval.golden.json]
+ *                         [--configs 50:0,8:0.1] [--modes vector,hybrid,scoped]
+ *                         [--json report.json]
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import OpenAI from 'openai';
+import { createDataClient } from './dataStore.js';
+import { resolvePeriod } from './kpis.js';
+import {
+    analyzeQuestion,
+    loadLexicon,
+    toRetrievalFilter,
+} from './queryAnalysis.js';
+import { createEmbedder, memoizeEmbedder } from './embeddings.js';
+import { createVectorStore } from './vectorStore.js';
+import { createRetriever } from './retrieval.js';
+
+/** Settings compared by default: queryBot.js vs queryBot2.js. */
+const DEFAULT_CONFIGS = '50:0,8:0.1';
+const DEFAULT_MODES = 'vector,hybrid,scoped';
+const DEFAULT_GOLDEN = 'eval/retrieval.golden.json';
+
+/** Label shorthand → [foreign-key column, lookup table]. */
+const NAME_KEYS = {
+    account: ['account_id', 'accounts'],
+    category: ['category_id', 'categories'],
+    customer: ['customer_id', 'customers'],
+    vendor: ['vendor_id', 'vendors'],
+};
+
+/* -------------------------------------------------------------------------- */
+/* 1) Golden set                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Read and sanity-check a golden file.
+ *
+ * @param {string} file
+ * @returns {{version: number, questions: Object[]}}
+ */
+export function loadGolden(file) {
+    const golden = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Number.isInteger(golden.version)) {
+        throw new Error(`${file}: missing integer "version"`);
+    }
+    const ids = new Set();
+    for (const q of golden.questions ?? []) {
+        if (!q.id || !q.question || !q.needs?.length) {
+            throw new Error(`${file}: each question needs id, question, needs`);
+        }
+        if (ids.has(q.id)) throw new Error(`${file}: duplicate id ${q.id}`);
+        ids.add(q.id);
+    }
+    return golden;
+}
+
+/** Short label for a need, used in miss reports: `bills(status=sent)`. */
+export function describeNeed({ table, where = {} }) {
+    const args = Object.entries(where)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(', ');
+    return `${table}(${args})`;
+}
+
+/**
+ * Resolve one need to the `source_id`s of the rows it names.
+ *
+ * @async
+ * @param {SupabaseClient} supabase
+ * @param {string} userId
+ * @param {{table: string, where?: Object}} need
+ * @returns {Promise<string[]>}
+ */
+async function resolveNeed(supabase, userId, { table, where = {} }) {
+    let query = supabase.from(table).select('id').eq('user_id', userId);
+    for (const [key, value] of Object.entries(where)) {
+        if (!NAME_KEYS[key]) {
+            query = query.eq(key, value);
+            continue;
+        }
+        const [column, lookup] = NAME_KEYS[key];
+        const { data, error } = await supabase
+            .from(lookup)
+            .select('id')
+            .eq('user_id', userId)
+            .eq('name', value);
+        if (error) throw error;
+        query = query.in(
+            column,
+            data.map((r) => r.id)
+        );
+    }
+    const { data, error } = await query;
+    if (error) throw error;
+    return data.map((r) => String(r.id));
+}
+
+/**
+ * Attach `keys` (`source_table:source_id` strings) to every need.
+ *
+ * @async
+ * @returns {Promise<Object[]>} Questions with resolved needs.
+ */
+async function resolveGolden(supabase, userId, questions) {
+    const resolved = [];
+    for (const q of questions) {
+        const needs = [];
+        for (const need of q.needs) {
+            const ids = await resolveNeed(supabase, userId, need);
+            if (!ids.length) {
+                throw new Error(
+                    `Golden label ${q.id} → ${describeNeed(
+                        need
+                    )} matches no rows; has the seed data changed?`
+                );
+            }
+            needs.push({
+                ...need,
+                keys: new Set(ids.map((id) => `${need.table}:${id}`)),
+            });
+        }
+        resolved.push({ ...q, needs });
+    }
+    return resolved;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Scoring                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Score one retrieval result against a question’s resolved needs.
+ *
+ * @param {{needs: Array<{keys: Set<string>}>}} question
+ * @param {Object[]} docs – Retrieved rows, best-first.
+ * @returns {{recall: number, reciprocalRank: number, ranks: Array<number|null>,
+ *            missed: Object[]}}
+ */
+export function scoreQuestion(question, docs) {
+    const rankOf = new Map();
+    docs.forEach((d, i) => {
+        const key = `${d.source_table}:${d.source_id}`;
+        if (!rankOf.has(key)) rankOf.set(key, i + 1);
+    });
+
+    const ranks = question.needs.map((need) => {
+        const hits = [...need.keys].map((k) => rankOf.get(k)).filter(Boolean);
+        return hits.length ? Math.min(...hits) : null;
+    });
+    const found = ranks.filter((r) => r !== null);
+    return {
+        recall: found.length / ranks.length,
+        reciprocalRank: found.length ? 1 / Math.min(...found) : 0,
+        ranks,
+        missed: question.needs.filter((_, i) => ranks[i] === null),
+    };
+}
+
+/**
+ * Aggregate per-question scores for one setting.
+ *
+ * @param {Object[]} results – `{ id, docs, ...scoreQuestion() }`
+ * @returns {{recall: number, mrr: number, complete: number, avgDocs: number}}
+ */
+export function summarize(results) {
+    const mean = (f) =>
+        results.reduce((acc, r) => acc + f(r), 0) / (results.length || 1);
+    return {
+        recall: mean((r) => r.recall),
+        mrr: mean((r) => r.reciprocalRank),
+        complete: results.filter((r) => r.recall === 1).length,
+        avgDocs: mean((r) => r.docs),
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Evaluation                                                              */
+/* -------------------------------------------------------------------------- */
+
+/** `"50:0,8:0.1"` → `[{count: 50, threshold: 0}, {count: 8, threshold: 0.1}]` */
+function parseConfigs(spec) {
+    return spec.split(',').map((pair) => {
+        const [count, threshold = '0'] = pair.split(':');
+        const cfg = { count: Number(count), threshold: Number(threshold) };
+        if (!(cfg.count > 0) || !Number.isFinite(cfg.threshold)) {
+            throw new Error(`Bad config "${pair}"; expected count:threshold`);
+        }
+        return cfg;
+    });
+}
+
+/**
+ * Run every question under every (mode, count, threshold) setting.
+ *
+ * @async
+ * @returns {Promise<Object[]>} One entry per setting with `summary` and
+ *          per-question `results`.
+ */
+async function evaluate({
+    supabase,
+    retriever,
+    userId,
+    questions,
+    configs,
+    modes,
+}) {
+    const books = await resolvePeriod(supabase, userId);
+    const lexicon = await loadLexicon(supabase, userId);
+    const filters = new Map(
+        questions.map((q) => [
+            q.id,
+            toRetrievalFilter(
+                analyzeQuestion(q.question, { asOf: books.end, lexicon })
+            ),
+        ])
+    );
+
+    const runs = [];
+    for (const mode of modes) {
+        for (const { count, threshold } of configs) {
+            const results = [];
+            for (const q of questions) {
+                const docs = await retriever.search(userId, q.question, {
+                    count,
+                    threshold,
+                    hybrid: mode !== 'vector',
+                    filter: mode === 'scoped' ? filters.get(q.id) : undefined,
+                });
+                results.push({
+                    id: q.id,
+                    docs: docs.length,
+                    ...scoreQuestion(q, docs),
+                });
+            }
+            runs.push({
+                mode,
+                count,
+                threshold,
+                summary: summarize(results),
+                results,
+            });
+        }
+    }
+    return runs;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) Report                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Plain-text report: one summary line per setting, then the misses.
+ *
+ * @param {{version: number}} golden
+ * @param {Object[]} runs – From `evaluate()`.
+ * @returns {string}
+ */
+export function formatReport(golden, runs) {
+    const total = runs[0]?.results.length ?? 0;
+    const pad = (v, n) => String(v).padEnd(n);
+    const lines = [
+        `Golden set v${golden.version} · ${total} questions`,
+        '',
+        `${pad('mode', 8)}${pad('count', 7)}${pad('thresh', 8)}` +
+            `${pad('recall@k', 10)}${pad('MRR', 7)}${pad(
+                'complete',
+                10
+            )}avg docs`,
+    ];
+    for (const { mode, count, threshold, summary: s } of runs) {
+        lines.push(
+            `${pad(mode, 8)}${pad(count, 7)}${pad(threshold.toFixed(2), 8)}` +
+                `${pad(s.recall.toFixed(3), 10)}${pad(s.mrr.toFixed(3), 7)}` +
+                `${pad(`${s.complete}/${total}`, 10)}${s.avgDocs.toFixed(1)}`
+        );
+    }
+
+    for (const { mode, count, threshold, results } of runs) {
+        const misses = results.filter((r) => r.missed.length);
+        if (!misses.length) continue;
+        lines.push('', `Misses – ${mode} ${count}/${threshold}:`);
+        for (const r of misses) {
+            lines.push(`  ${r.id}: ${r.missed.map(describeNeed).join('; ')}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/* -------------------------------------------------------------------------- */
+/* 5) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+/** `--name value` pairs from argv. */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const golden = loadGolden(args.golden ?? DEFAULT_GOLDEN);
+    const configs = parseConfigs(args.configs ?? DEFAULT_CONFIGS);
+    const modes = (args.modes ?? DEFAULT_MODES).split(',');
+    for (const m of modes) {
+        if (!['vector', 'hybrid', 'scoped'].includes(m)) {
+            throw new Error(`Unknown mode "${m}"`);
+        }
+    }
+
+    const supabase = createDataClient();
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const retriever = createRetriever({
+        store: createVectorStore({ supabase }),
+        embedder: memoizeEmbedder(createEmbedder({ client: openai })),
+    });
+    const userId = process.env.DUMMY_USER_ID;
+
+    const questions = await resolveGolden(supabase, userId, golden.questions);
+    const runs = await evaluate({
+        supabase,
+        retriever,
+        userId,
+        questions,
+        configs,
+        modes,
+    });
+
+    console.log(formatReport(golden, runs));
+    if (args.json) {
+        const report = {
+            version: golden.version,
+            generated_at: new Date().toISOString(),
+            runs: runs.map(({ results, ...run }) => ({
+                ...run,
+                results: results.map(({ missed, ...r }) => ({
+                    ...r,
+                    missed: missed.map(describeNeed),
+                })),
+            })),
+        };
+        fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+        console.log(`\n📝 Wrote ${args.json}`);
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Retrieval evaluation failed:', err.message);
+        process.exit(1);
+    });
+}
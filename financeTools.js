@@ -0,0 +1,551 @@
+/**
+ * Finance tools for tool-calling mode: safe, user-scoped aggregations the
+ * chat model can call instead of adding up serialized rows itself.
+ *
+ *   sum_transactions     – inflow / outflow / net by category, month or account
+ *   get_account_balance  – latest snapshot balance per account
+ *   list_open_items      – unpaid invoices and bills, with days overdue
+ *   compute_kpi          – one KPI from kpis.js, with its inputs
+ *
+ * RATIONALE
+ * ---------
+ * • **The model picks, JS computes** – In RAG mode the model reads up to 50
+ *   rows and sums them in its head; one missed row changes the answer.  A
+ *   tool sums the *whole* scoped table, and the model only chooses which
+ *   question to ask of the books.
+ * • **The user is bound, not an argument** – `createFinanceTools()` takes
+ *   the user id from the caller (the CLI profile or the API request).  No
+ *   tool accepts one, so a prompt cannot read somebody else’s books.
+ * • **Parameterized queries only** – Arguments are validated against each
+ *   tool’s JSON schema (apiSchemas.js `validate`) and end up as filter
+ *   *values* of supabase-js queries; names are resolved to ids through the
+ *   user’s own lexicon (queryAnalysis.js `loadLexicon`) first.
+ * • **Names, not UUIDs** – Results name accounts, categories and
+ *   counterparties, so the model has nothing opaque to repeat and the
+ *   citation check is not fed the digits of ids.
+ * • **One currency per total** – Totals are in the user’s reporting
+ *   currency (currency.js), each amount converted at its own date.  Items in
+ *   another currency keep their original amount and add a `converted` one.
+ *
+ * PITFALLS
+ * --------
+ * • A tool result is only as current as the seeded tables: balances come
+ *   from `account_snapshots`, not from replaying transactions.
+ * • Unknown names are an *error result* listing the names that exist, not an
+ *   exception, so the model can correct itself on the next round.
+ *
+ * Usage:  `node financeTools.js <tool> '<json arguments>'`
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { round2, selectAll } from './books.js';
+import { validate } from './apiSchemas.js';
+import { computeKpis, resolvePeriod } from './kpis.js';
+import { loadFx, reportingCurrency } from './currency.js';
+import { loadLexicon } from './queryAnalysis.js';
+import { formulaNames } from './knowledgeBase.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+/* -------------------------------------------------------------------------- */
+/* 1) Helpers                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/** An error result the model is shown (thrown, then caught by `run`). */
+function toolError(message) {
+    return Object.assign(new Error(message), { expose: true });
+}
+
+/**
+ * Resolve a name against lexicon entries, case-insensitively.
+ *
+ * @param {Array<{id: string, name: string}>} entries
+ * @param {string} name
+ * @param {string} kind – For the error message (“category”).
+ * @returns {{id: string, name: string}}
+ */
+function resolveName(entries, name, kind) {
+    const wanted = name.trim().toLowerCase();
+    const hit = entries.find((e) => e.name.toLowerCase() === wanted);
+    if (hit) return hit;
+    throw toolError(
+        `Unknown ${kind} "${name}". Known: ${entries
+            .map((e) => e.name)
+            .join(', ')}`
+    );
+}
+
+/** Whole days from `from` to `to` (ISO dates); negative when `to` is earlier. */
+const daysBetween = (from, to) =>
+    Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * The user’s reporting currency, their accounts’ currencies and a converter
+ * into the former.  A missing rate becomes an error result.
+ *
+ * @returns {Promise<{currency: string, accountCurrency: Map<string, string>,
+ *          toReporting: (amount: number, from: string, date: string) =>
+ *          {amount: number, converted?: Object}}>}
+ */
+async function loadMoney(supabase, userId) {
+    const [fx, currency, accounts] = await Promise.all([
+        loadFx(supabase),
+        reportingCurrency(supabase, userId),
+        selectAll(() =>
+            supabase
+                .from('accounts')
+                .select('id, currency')
+                .eq('user_id', userId)
+                .order('id')
+        ),
+    ]);
+    return {
+        currency,
+        accountCurrency: new Map(
+            accounts.map((a) => [a.id, a.currency || currency])
+        ),
+        // `amount` in the reporting currency; `converted` details a conversion
+        toReporting(amount, from, date) {
+            if (!from || from === currency) return { amount };
+            try {
+                const c = fx.convert(amount, from, currency, date);
+                return {
+                    amount: c.amount,
+                    converted: {
+                        amount: c.amount,
+                        currency,
+                        rate: c.rate,
+                        rate_date: c.rate_date,
+                    },
+                };
+            } catch (err) {
+                if (err.code === 'FX_RATE') err.expose = true;
+                throw err;
+            }
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Tools                                                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Tool definitions.  `parameters` is the JSON schema sent to the model and
+ * used to validate its arguments; `run(ctx, args)` receives the bound
+ * `{ supabase, userId, lexicon, period, money }` context.
+ */
+const TOOLS = [
+    {
+        name: 'sum_transactions',
+        description:
+            'Sum the user’s transactions, optionally filtered by category, ' +
+            'account and date range, grouped by category, month or account. ' +
+            'Returns inflow (positive amounts), outflow (negative amounts, ' +
+            'as a positive number) and signed net per group and in total, ' +
+            'in the reporting currency, plus the original amounts per ' +
+            'currency when some were converted.',
+        parameters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                category: {
+                    type: 'string',
+                    description: 'Category name, e.g. "Rent".',
+                },
+                account: {
+                    type: 'string',
+                    description: 'Account name, e.g. "Main Checking".',
+                },
+                start: { ...ISO_DATE, description: 'First day, inclusive.' },
+                end: { ...ISO_DATE, description: 'Last day, inclusive.' },
+                group_by: {
+                    type: 'string',
+                    enum: ['category', 'month', 'account'],
+                },
+            },
+        },
+        async run({ supabase, userId, lexicon, money }, args) {
+            const { currency, accountCurrency, toReporting } = await money();
+            const category =
+                args.category &&
+                resolveName(lexicon.categories, args.category, 'category');
+            const account =
+                args.account &&
+                resolveName(lexicon.accounts, args.account, 'account');
+            const rows = await selectAll(() => {
+                let q = supabase
+                    .from('transactions')
+                    .select('id, account_id, category_id, date, amount')
+                    .eq('user_id', userId);
+                if (category) q = q.eq('category_id', category.id);
+                if (account) q = q.eq('account_id', account.id);
+                if (args.start) q = q.gte('date', args.start);
+                if (args.end) q = q.lte('date', args.end);
+                return q.order('id');
+            });
+
+            const nameOf = (list, id) =>
+                list.find((e) => e.id === id)?.name ?? '(none)';
+            const keyOf = {
+                category: (r) => nameOf(lexicon.categories, r.category_id),
+                account: (r) => nameOf(lexicon.accounts, r.account_id),
+                month: (r) => r.date.slice(0, 7),
+            }[args.group_by];
+
+            const totals = () => ({ inflow: 0, outflow: 0, net: 0, count: 0 });
+            const add = (t, amount) => {
+                if (amount >= 0) t.inflow += amount;
+                else t.outflow -= amount;
+                t.net += amount;
+                t.count += 1;
+            };
+            const rounded = (t) => ({
+                inflow: round2(t.inflow),
+                outflow: round2(t.outflow),
+                net: round2(t.net),
+                count: t.count,
+            });
+
+            const total = totals();
+            const groups = new Map();
+            const originals = new Map(); // currency → totals, as booked
+            for (const r of rows) {
+                const from = accountCurrency.get(r.account_id) ?? currency;
+                if (!originals.has(from)) originals.set(from, totals());
+                add(originals.get(from), Number(r.amount));
+                const { amount } = toReporting(Number(r.amount), from, r.date);
+                add(total, amount);
+                if (!keyOf) continue;
+                const key = keyOf(r);
+                if (!groups.has(key)) groups.set(key, totals());
+                add(groups.get(key), amount);
+            }
+            return {
+                filters: {
+                    category: category?.name ?? null,
+                    account: account?.name ?? null,
+                    start: args.start ?? null,
+                    end: args.end ?? null,
+                },
+                currency,
+                ...(keyOf && {
+                    groups: [...groups]
+                        .sort(([a], [b]) => a.localeCompare(b))
+                        .map(([key, t]) => ({
+                            [args.group_by]: key,
+                            ...rounded(t),
+                        })),
+                }),
+                total: rounded(total),
+                ...([...originals.keys()].some((c) => c !== currency) && {
+                    by_original_currency: [...originals].map(([cur, t]) => ({
+                        currency: cur,
+                        ...rounded(t),
+                    })),
+                }),
+            };
+        },
+    },
+
+    {
+        name: 'get_account_balance',
+        description:
+            'Latest recorded balance of one account or of every account, ' +
+            'optionally as of a date (the newest snapshot on or before it), ' +
+            'in the account’s currency and converted into the reporting ' +
+            'currency when that differs.',
+        parameters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                account: {
+                    type: 'string',
+                    description: 'Account name; omit for all accounts.',
+                },
+                as_of: { ...ISO_DATE, description: 'Defaults to today.' },
+            },
+        },
+        async run({ supabase, userId, lexicon, money }, args) {
+            const asOf = args.as_of ?? new Date().toISOString().slice(0, 10);
+            const { currency, accountCurrency, toReporting } = await money();
+            const accounts = args.account
+                ? [resolveName(lexicon.accounts, args.account, 'account')]
+                : lexicon.accounts;
+            // A future-dated snapshot is not a balance yet
+            const snaps = accounts.length
+                ? await selectAll(() =>
+                      supabase
+                          .from('account_snapshots')
+                          .select('account_id, snapshot_date, balance')
+                          .eq('user_id', userId)
+                          .in(
+                              'account_id',
+                              accounts.map((a) => a.id)
+                          )
+                          .lte('snapshot_date', asOf)
+                          .order('snapshot_date', { ascending: false })
+                  )
+                : [];
+            return {
+                as_of: asOf,
+                currency,
+                balances: accounts.map((a) => {
+                    const latest = snaps.find((s) => s.account_id === a.id);
+                    const from = accountCurrency.get(a.id) ?? currency;
+                    const balance = latest ? Number(latest.balance) : null;
+                    return {
+                        account: a.name,
+                        balance,
+                        currency: from,
+                        snapshot_date: latest?.snapshot_date ?? null,
+                        converted: latest
+                            ? toReporting(balance, from, latest.snapshot_date)
+                                  .converted
+                            : undefined,
+                    };
+                }),
+            };
+        },
+    },
+
+    {
+        name: 'list_open_items',
+        description:
+            'Unpaid invoices (owed to the user by customers) and/or bills ' +
+            '(owed by the user to vendors), with due dates, days overdue ' +
+            'as of a date, and totals in the reporting currency.',
+        parameters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                kind: {
+                    type: 'string',
+                    enum: ['invoices', 'bills', 'both'],
+                },
+                as_of: {
+                    ...ISO_DATE,
+                    description: 'Defaults to the latest transaction date.',
+                },
+            },
+        },
+        async run({ supabase, userId, lexicon, period, money }, args) {
+            const asOf = args.as_of ?? (await period()).end;
+            const { currency, toReporting } = await money();
+            const kinds = {
+                invoices: { party: 'customer', names: lexicon.customers },
+                bills: { party: 'vendor', names: lexicon.vendors },
+            };
+            const wanted =
+                !args.kind || args.kind === 'both'
+                    ? Object.keys(kinds)
+                    : [args.kind];
+
+            const out = { as_of: asOf, currency };
+            for (const table of wanted) {
+                const { party, names } = kinds[table];
+                const rows = await selectAll(() =>
+                    supabase
+                        .from(table)
+                        .select(
+                            `id, ${party}_id, date, due_date, total_amount, status, currency`
+                        )
+                        .eq('user_id', userId)
+                        .neq('status', 'paid')
+                        .lte('date', asOf)
+                        .order('due_date')
+                );
+                const items = rows.map((r) => ({
+                    [party]:
+                        names.find((n) => n.id === r[`${party}_id`])?.name ??
+                        null,
+                    date: r.date,
+                    due_date: r.due_date,
+                    amount: Number(r.total_amount),
+                    currency: r.currency || currency,
+                    converted: toReporting(
+                        Number(r.total_amount),
+                        r.currency,
+                        r.date
+                    ).converted,
+                    status: r.status,
+                    days_overdue: Math.max(0, daysBetween(r.due_date, asOf)),
+                }));
+                out[table] = {
+                    items,
+                    count: items.length,
+                    total: round2(
+                        items.reduce(
+                            (acc, i) => acc + (i.converted?.amount ?? i.amount),
+                            0
+                        )
+                    ),
+                };
+            }
+            return out;
+        },
+    },
+
+    {
+        name: 'compute_kpi',
+        description:
+            'Compute one financial KPI (e.g. "Burn Rate", "Runway", "DSO", ' +
+            '"Current Ratio") for a period, with its formula and inputs.',
+        parameters: {
+            type: 'object',
+            required: ['name'],
+            additionalProperties: false,
+            properties: {
+                name: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'KPI name or abbreviation.',
+                },
+                start: { ...ISO_DATE, description: 'Defaults to the books.' },
+                end: { ...ISO_DATE, description: 'Defaults to the books.' },
+            },
+        },
+        async run({ supabase, userId, period }, args) {
+            const books = await period();
+            const report = await computeKpis(supabase, userId, {
+                start: args.start ?? books.start,
+                end: args.end ?? books.end,
+            });
+            const wanted = args.name.trim().toLowerCase();
+            const k = report.kpis.find((kpi) =>
+                formulaNames({ title: kpi.title, content: kpi.formula }).some(
+                    (n) => n.toLowerCase() === wanted
+                )
+            );
+            if (!k) {
+                throw toolError(
+                    `Unknown KPI "${args.name}". Known: ${report.kpis
+                        .map((kpi) => kpi.title)
+                        .join(', ')}`
+                );
+            }
+            return {
+                period: report.period,
+                currency: report.currency,
+                ...(Object.keys(report.converted).length && {
+                    converted_from: report.converted,
+                }),
+                kpi: k.title,
+                formula: k.formula,
+                value: k.value,
+                unit: k.unit,
+                inputs: k.inputs,
+                ...(k.note && { note: k.note }),
+            };
+        },
+    },
+];
+
+/* -------------------------------------------------------------------------- */
+/* 3) Binding                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Bind the tools to one user's books.
+ *
+ * @param {Object}         deps
+ * @param {SupabaseClient} deps.supabase
+ * @param {string}         deps.userId – Every query is scoped to this user.
+ * @returns {{definitions: Object[], run: Function}} `definitions` in the
+ *          chat-completions `tools` format, and `run(name, args)`.
+ */
+export function createFinanceTools({ supabase, userId }) {
+    // Loaded on first use and shared by every call of this binding
+    let lexicon = null;
+    let books = null;
+    let money = null;
+    const ctx = {
+        supabase,
+        userId,
+        period: () => (books ??= resolvePeriod(supabase, userId)),
+        money: () => (money ??= loadMoney(supabase, userId)),
+    };
+    const byName = new Map(TOOLS.map((t) => [t.name, t]));
+
+    return {
+        definitions: TOOLS.map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: { name, description, parameters },
+        })),
+
+        /**
+         * Run one tool call.  Never throws: bad arguments, unknown names and
+         * query failures come back as `error`, for the model to read.
+         *
+         * @async
+         * @param {string} name
+         * @param {string|Object} rawArgs – JSON text from the model, or an
+         *        object.
+         * @returns {Promise<{name: string, args: Object, ms: number,
+         *          result?: Object, error?: string}>}
+         */
+        async run(name, rawArgs) {
+            const started = Date.now();
+            const done = (out) => ({ name, ms: Date.now() - started, ...out });
+
+            let args;
+            try {
+                args =
+                    typeof rawArgs === 'string'
+                        ? JSON.parse(rawArgs || '{}')
+                        : rawArgs ?? {};
+            } catch {
+                return done({ args: {}, error: 'Arguments are not JSON' });
+            }
+            const tool = byName.get(name);
+            if (!tool) return done({ args, error: `Unknown tool "${name}"` });
+            const problems = validate(tool.parameters, args, 'args');
+            if (problems.length)
+                return done({ args, error: problems.join('; ') });
+
+            try {
+                lexicon ??= await loadLexicon(supabase, userId);
+                return done({
+                    args,
+                    result: await tool.run({ ...ctx, lexicon }, args),
+                });
+            } catch (err) {
+                if (!err.expose) console.error(`❌ Tool ${name}:`, err);
+                return done({ args, error: err.message });
+            }
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const supabase = createDataClient();
+    const tools = createFinanceTools({
+        supabase,
+        userId: process.env.DUMMY_USER_ID,
+    });
+    const [name, args] = process.argv.slice(2);
+    if (!name) {
+        console.log(
+            `Tools: ${tools.definitions.map((d) => d.function.name).join(', ')}`
+        );
+        return;
+    }
+    const call = await tools.run(name, args);
+    if (call.error) throw new Error(call.error);
+    console.log(JSON.stringify(call.result, null, 2));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Tool call failed:', err.message);
+        process.exit(1);
+    });
+}
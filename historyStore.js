@@ -0,0 +1,534 @@
+/**
+ * Chat history store for the finance chatbot.
+ *
+ * queryBot.js (CLI and REPL) and server.js keep conversations through one
+ * small interface instead of reading and writing a JSON file directly:
+ *
+ *   load(userId, { conversation, limit })    – turns, oldest first
+ *   append(userId, turns, { conversation })  – add turns in one atomic write
+ *   clear(userId, { conversation })          – forget one conversation
+ *   conversations(userId)                    – `{ name, turns, updated_at }`
+ *   loadSummary(userId, { conversation })    – running summary, or null
+ *   saveSummary(userId, summary, { conversation })
+ *   prune()                                  – apply retention to everything
+ *
+ * A *turn* is `{ role, content, created_at, metadata }`.  `metadata` is
+ * free-form; queryBot.js records the cited tags and the verification outcome
+ * of every assistant turn.  Conversations are named per user; the unnamed
+ * one is `default`.
+ *
+ * A *summary* is `{ content, through, turns, updated_at }`: the compacted
+ * memory of every turn up to the `created_at` in `through` (see
+ * conversationMemory.js).  It lives next to its conversation and is
+ * forgotten with it; retention never touches it.
+ *
+ * RETENTION
+ * ---------
+ * At most `maxTurns` turns per conversation (`HISTORY_MAX_TURNS`, default
+ * 500) and, optionally, nothing older than `maxAgeDays`
+ * (`HISTORY_MAX_AGE_DAYS`, unset = keep forever).  The policy is enforced
+ * on every append for the conversation written to, and across all
+ * conversations by `prune()` (`node historyStore.js prune`, e.g. nightly).
+ * How many turns reach the *prompt* is a separate choice made by queryBot.js.
+ *
+ * BACKENDS
+ * --------
+ * • **file** (default) – `chat_history.json` (`CHAT_HISTORY_FILE`).  Writers
+ *   take an exclusive lock file (`<file>.lock`), re-read, modify, write a
+ *   temp file and rename it over the original, so concurrent shells or
+ *   server requests can neither clobber each other nor leave a half-written
+ *   file.  Readers never wait: a rename is atomic.  A lock older than
+ *   30 seconds is treated as left behind by a crashed process and broken.
+ *   The pre-store format (`{ userId: [{ role, content }] }`) is read as each
+ *   user’s `default` conversation and upgraded on the next write.
+ *
+ * • **supabase** – the `chat_messages` table (see supabase/migrations/), one
+ *   row per turn.  Each append is a single insert, so it is atomic too.
+ *   Summaries are one row per conversation in `chat_summaries`.
+ *
+ * Select with `HISTORY_STORE=file|supabase`.
+ *
+ * Usage:  `node historyStore.js prune`
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * @typedef {Object} HistoryStore
+ * @property {string} name – Backend identifier (`file` or `supabase`).
+ * @property {(userId: string, options?: {conversation?: string,
+ *             limit?: number}) => Promise<Object[]>} load
+ * @property {(userId: string, turns: Object[],
+ *             options?: {conversation?: string}) => Promise<void>} append
+ * @property {(userId: string, options?: {conversation?: string})
+ *             => Promise<void>} clear
+ * @property {(userId: string) => Promise<Object[]>} conversations
+ * @property {(userId: string, options?: {conversation?: string})
+ *             => Promise<Object|null>} loadSummary
+ * @property {(userId: string, summary: Object,
+ *             options?: {conversation?: string}) => Promise<void>} saveSummary
+ * @property {() => Promise<void>} prune
+ */
+
+export const DEFAULT_CONVERSATION = 'default';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+
+/** Page size for Supabase scans; PostgREST caps responses at 1000 rows. */
+const PAGE_SIZE = 1000;
+
+/** Retention policy from the environment (see RETENTION above). */
+function defaultRetention() {
+    return {
+        maxTurns: Number(process.env.HISTORY_MAX_TURNS) || 500,
+        maxAgeDays: Number(process.env.HISTORY_MAX_AGE_DAYS) || null,
+    };
+}
+
+/** Oldest `created_at` still kept, or `null` when age is unlimited. */
+function ageCutoff({ maxAgeDays }) {
+    return maxAgeDays
+        ? new Date(Date.now() - maxAgeDays * DAY_MS).toISOString()
+        : null;
+}
+
+/** Stamp turns for storage: timestamp and metadata always present. */
+function normalizeTurns(turns) {
+    const now = new Date().toISOString();
+    return [].concat(turns).map((t) => ({
+        role: t.role,
+        content: t.content,
+        created_at: t.created_at ?? now,
+        metadata: t.metadata ?? {},
+    }));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* -------------------------------------------------------------------------- */
+/* 1) File backend                                                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Run `fn` while holding `<file>.lock`, created with O_EXCL so only one
+ * process (or request) can hold it.  Waits with backoff up to
+ * LOCK_TIMEOUT_MS; breaks locks older than LOCK_STALE_MS.
+ *
+ * @async
+ * @template T
+ * @param {string} file
+ * @param {() => T | Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withFileLock(file, fn) {
+    const lock = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (let delay = 10; ; delay = Math.min(delay * 2, 250)) {
+        try {
+            fs.writeFileSync(lock, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+        try {
+            if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) {
+                fs.rmSync(lock, { force: true });
+                continue;
+            }
+        } catch {
+            continue; // released between our two calls – try again now
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${lock}`);
+        }
+        await sleep(delay);
+    }
+    try {
+        return await fn();
+    } finally {
+        fs.rmSync(lock, { force: true });
+    }
+}
+
+/** Write via a temp file + rename so readers never see a partial file. */
+function writeAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Parse the history file into `{ version: 2, users: { [userId]:
+ * { [conversation]: { turns, updated_at, summary? } } } }`, upgrading the legacy
+ * `{ userId: [turns] }` layout on the fly.
+ */
+function readHistoryFile(file) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return { version: 2, users: {} };
+        throw new Error(`${file} is not valid JSON: ${err.message}`);
+    }
+    if (raw.version === 2) return raw;
+
+    const users = {};
+    for (const [userId, turns] of Object.entries(raw)) {
+        if (!Array.isArray(turns)) continue;
+        users[userId] = {
+            [DEFAULT_CONVERSATION]: {
+                turns: turns.map((t) => ({
+                    role: t.role,
+                    content: t.content,
+                    created_at: null,
+                    metadata: {},
+                })),
+                updated_at: null,
+            },
+        };
+    }
+    return { version: 2, users };
+}
+
+/**
+ * History kept in a local JSON file.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file='chat_history.json']
+ * @param {{maxTurns: number, maxAgeDays: number|null}} [options.retention]
+ * @returns {HistoryStore}
+ */
+export function createFileHistoryStore({
+    file = 'chat_history.json',
+    retention = defaultRetention(),
+} = {}) {
+    /** Apply retention to one conversation’s turns (legacy turns have no age). */
+    const retain = (turns) => {
+        const cutoff = ageCutoff(retention);
+        return turns
+            .filter((t) => !cutoff || !t.created_at || t.created_at >= cutoff)
+            .slice(-retention.maxTurns);
+    };
+
+    /** Locked read-modify-write of the whole file. */
+    const update = (mutate) =>
+        withFileLock(file, () => {
+            const data = readHistoryFile(file);
+            mutate(data);
+            writeAtomic(file, JSON.stringify(data, null, 2));
+        });
+
+    return {
+        name: 'file',
+
+        async load(
+            userId,
+            { conversation = DEFAULT_CONVERSATION, limit } = {}
+        ) {
+            const turns =
+                readHistoryFile(file).users[userId]?.[conversation]?.turns ??
+                [];
+            return limit ? turns.slice(-limit) : turns;
+        },
+
+        async append(
+            userId,
+            turns,
+            { conversation = DEFAULT_CONVERSATION } = {}
+        ) {
+            const fresh = normalizeTurns(turns);
+            await update((data) => {
+                const convs = (data.users[userId] ??= {});
+                const conv = convs[conversation] ?? { turns: [] };
+                convs[conversation] = {
+                    ...conv,
+                    turns: retain([...conv.turns, ...fresh]),
+                    updated_at: fresh.at(-1)?.created_at ?? conv.updated_at,
+                };
+            });
+        },
+
+        async clear(userId, { conversation = DEFAULT_CONVERSATION } = {}) {
+            await update((data) => {
+                delete data.users[userId]?.[conversation];
+            });
+        },
+
+        async conversations(userId) {
+            return Object.entries(readHistoryFile(file).users[userId] ?? {})
+                .map(([name, conv]) => ({
+                    name,
+                    turns: conv.turns.length,
+                    updated_at: conv.updated_at,
+                }))
+                .sort((a, b) =>
+                    String(b.updated_at).localeCompare(String(a.updated_at))
+                );
+        },
+
+        async loadSummary(
+            userId,
+            { conversation = DEFAULT_CONVERSATION } = {}
+        ) {
+            return (
+                readHistoryFile(file).users[userId]?.[conversation]?.summary ??
+                null
+            );
+        },
+
+        async saveSummary(
+            userId,
+            summary,
+            { conversation = DEFAULT_CONVERSATION } = {}
+        ) {
+            await update((data) => {
+                const conv = data.users[userId]?.[conversation];
+                if (conv) conv.summary = summary; // cleared meanwhile → drop
+            });
+        },
+
+        async prune() {
+            await update((data) => {
+                for (const convs of Object.values(data.users)) {
+                    for (const [name, conv] of Object.entries(convs)) {
+                        conv.turns = retain(conv.turns);
+                        if (!conv.turns.length) delete convs[name];
+                    }
+                }
+            });
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Supabase backend                                                        */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * History kept in the `chat_messages` table.
+ *
+ * @param {SupabaseClient} supabase – Client with write access.
+ * @param {Object} [options]
+ * @param {{maxTurns: number, maxAgeDays: number|null}} [options.retention]
+ * @returns {HistoryStore}
+ */
+export function createSupabaseHistoryStore(
+    supabase,
+    { retention = defaultRetention() } = {}
+) {
+    const table = () => supabase.from('chat_messages');
+    const summaries = () => supabase.from('chat_summaries');
+
+    /** Delete what the retention policy no longer allows in one conversation. */
+    const enforce = async (userId, conversation) => {
+        const cutoff = ageCutoff(retention);
+        if (cutoff) {
+            const { error } = await table()
+                .delete()
+                .eq('user_id', userId)
+                .eq('conversation', conversation)
+                .lt('created_at', cutoff);
+            if (error) throw error;
+        }
+        for (;;) {
+            const { data, error } = await table()
+                .select('id')
+                .eq('user_id', userId)
+                .eq('conversation', conversation)
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(retention.maxTurns, retention.maxTurns + PAGE_SIZE - 1);
+            if (error) throw error;
+            if (!data.length) return;
+            const { error: delErr } = await table()
+                .delete()
+                .in(
+                    'id',
+                    data.map((r) => r.id)
+                );
+            if (delErr) throw delErr;
+        }
+    };
+
+    /** Every `{ user_id, conversation, created_at }` row, for one user or all. */
+    const scan = async (userId) => {
+        const out = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            let query = table().select('user_id, conversation, created_at');
+            if (userId) query = query.eq('user_id', userId);
+            const { data, error } = await query
+                .order('id')
+                .range(from, from + PAGE_SIZE - 1);
+            if (error) throw error;
+            out.push(...data);
+            if (data.length < PAGE_SIZE) return out;
+        }
+    };
+
+    return {
+        name: 'supabase',
+
+        async load(
+            userId,
+            { conversation = DEFAULT_CONVERSATION, limit } = {}
+        ) {
+            const { data, error } = await table()
+                .select('role, content, metadata, created_at')
+                .eq('user_id', userId)
+                .eq('conversation', conversation)
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(limit ?? retention.maxTurns);
+            if (error) throw error;
+            return data.reverse();
+        },
+
+        async append(
+            userId,
+            turns,
+            { conversation = DEFAULT_CONVERSATION } = {}
+        ) {
+            const rows = normalizeTurns(turns).map((t) => ({
+                ...t,
+                user_id: userId,
+                conversation,
+            }));
+            const { error } = await table().insert(rows);
+            if (error) throw error;
+            await enforce(userId, conversation);
+        },
+
+        async clear(userId, { conversation = DEFAULT_CONVERSATION } = {}) {
+            for (const from of [table, summaries]) {
+                const { error } = await from()
+                    .delete()
+                    .eq('user_id', userId)
+                    .eq('conversation', conversation);
+                if (error) throw error;
+            }
+        },
+
+        async conversations(userId) {
+            const byName = new Map();
+            for (const r of await scan(userId)) {
+                const c = byName.get(r.conversation) ?? {
+                    name: r.conversation,
+                    turns: 0,
+                    updated_at: null,
+                };
+                c.turns++;
+                if (!c.updated_at || r.created_at > c.updated_at) {
+                    c.updated_at = r.created_at;
+                }
+                byName.set(r.conversation, c);
+            }
+            return [...byName.values()].sort((a, b) =>
+                b.updated_at.localeCompare(a.updated_at)
+            );
+        },
+
+        async loadSummary(
+            userId,
+            { conversation = DEFAULT_CONVERSATION } = {}
+        ) {
+            const { data, error } = await summaries()
+                .select('content, through, turns, updated_at')
+                .eq('user_id', userId)
+                .eq('conversation', conversation)
+                .maybeSingle();
+            if (error) throw error;
+            return data;
+        },
+
+        async saveSummary(
+            userId,
+            summary,
+            { conversation = DEFAULT_CONVERSATION } = {}
+        ) {
+            const { error } = await summaries().upsert(
+                {
+                    user_id: userId,
+                    conversation,
+                    content: summary.content,
+                    through: summary.through,
+                    turns: summary.turns,
+                    updated_at: summary.updated_at,
+                },
+                { onConflict: 'user_id,conversation' }
+            );
+            if (error) throw error;
+        },
+
+        async prune() {
+            const pairs = new Set(
+                (await scan()).map((r) =>
+                    JSON.stringify([r.user_id, r.conversation])
+                )
+            );
+            for (const pair of pairs) await enforce(...JSON.parse(pair));
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Factory                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Build the history store selected by `HISTORY_STORE` (default `file`).
+ *
+ * @param {Object}         [options]
+ * @param {string}         [options.kind]     – `file` or `supabase`.
+ * @param {SupabaseClient} [options.supabase] – Reused by the Supabase
+ *        backend; a service-role client is created when omitted.
+ * @param {string}         [options.file]     – File backend path.
+ * @param {Object}         [options.retention]
+ * @returns {HistoryStore}
+ */
+export function createHistoryStore({
+    kind = process.env.HISTORY_STORE || 'file',
+    supabase,
+    file = process.env.CHAT_HISTORY_FILE || 'chat_history.json',
+    retention = defaultRetention(),
+} = {}) {
+    if (kind === 'file') return createFileHistoryStore({ file, retention });
+    if (kind === 'supabase') {
+        return createSupabaseHistoryStore(
+            supabase ||
+                createClient(
+                    process.env.SUPABASE_URL,
+                    process.env.SUPABASE_SERVICE_ROLE_KEY
+                ),
+            { retention }
+        );
+    }
+    throw new Error(`Unknown HISTORY_STORE "${kind}"`);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const [command] = process.argv.slice(2);
+    if (command !== 'prune') {
+        console.error('Usage: node historyStore.js prune');
+        process.exit(1);
+    }
+    const store = createHistoryStore();
+    await store.prune();
+    console.log(`✅ Applied retention to the ${store.name} history store`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ History pruning failed:', err.message);
+        process.exit(1);
+    });
+}
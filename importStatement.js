@@ -0,0 +1,323 @@
+/**
+ * Import a bank or credit-card statement (CSV, OFX or QIF) into
+ * `transactions`, then embed the new rows.
+ *
+ *   parse (statementFormats.js) → map to an account → drop duplicates
+ *   → insert → embedTable('transactions', { ids })   (embedAll.js)
+ *
+ * DUPLICATES
+ * ----------
+ * Statements overlap (last month’s export repeats the first days of this
+ * one) and get imported twice, so every entry is checked against the
+ * account’s existing transactions in the statement’s date range:
+ *   1. **Bank id** – an existing row with the same `metadata.fitid` (OFX
+ *      FITID, or a CSV profile’s `id` column) is the same transaction.
+ *   2. **Date and amount** – otherwise an existing row on the same day for
+ *      the same amount is, *counted*: two identical coffees in the file and
+ *      one already booked import one.  Rows with a different bank id never
+ *      match this way.
+ *
+ * METADATA
+ * --------
+ * Each imported row records where it came from, so any document or answer
+ * can be traced back to a line of a file:
+ *
+ *   { source: 'import', file: 'chase-2025-03.csv', line: 7, format: 'csv',
+ *     fitid: '…' }
+ *
+ * PITFALLS
+ * --------
+ * • Imported rows have no category.  KPIs count them as neither revenue nor
+ *   expense, and ledger.js flags them (orphan legs, or one unbalanced event
+ *   per day) until they are categorised.
+ * • Amounts are stored in the account’s currency; an OFX statement in
+ *   another currency (`CURDEF`) is refused rather than converted.
+ *
+ * Usage:  `node importStatement.js <file> [--account "Main Checking"]
+ *          [--profile generic|chase_checking|chase_card|amex|<file.json>]
+ *          [--format csv|ofx|qif] [--date-format DD/MM/YYYY] [--dry-run]`
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { PAGE_SIZE, round2, selectAll } from './books.js';
+import {
+    CSV_PROFILES,
+    detectFormat,
+    parseStatement,
+} from './statementFormats.js';
+
+/* -------------------------------------------------------------------------- */
+/* 1) Planning                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * A CSV profile by built-in name, or read from a JSON file.
+ *
+ * @param {string} [nameOrFile='generic']
+ * @returns {Object}
+ */
+export function resolveProfile(nameOrFile = 'generic') {
+    if (CSV_PROFILES[nameOrFile]) return CSV_PROFILES[nameOrFile];
+    if (nameOrFile.endsWith('.json') && fs.existsSync(nameOrFile)) {
+        return JSON.parse(fs.readFileSync(nameOrFile, 'utf8'));
+    }
+    throw new Error(
+        `Unknown CSV profile "${nameOrFile}". Built in: ${Object.keys(
+            CSV_PROFILES
+        ).join(', ')}, or a .json file`
+    );
+}
+
+/**
+ * Split statement entries into rows to insert and duplicates (see
+ * DUPLICATES above).  Pure, so it can be exercised without a database.
+ *
+ * @param {Object[]} entries  – From statementFormats.js.
+ * @param {Object[]} existing – The account’s transactions in the range:
+ *        `{ id, date, amount, metadata }`.
+ * @param {Object}   source
+ * @param {string}   source.userId
+ * @param {string}   source.accountId
+ * @param {string}   source.file   – File name stored in metadata.
+ * @param {string}   source.format
+ * @returns {{rows: Object[], duplicates: Array<{entry: Object,
+ *          reason: 'fitid'|'date and amount', existing_id: string|null}>}}
+ */
+export function planImport(
+    entries,
+    existing,
+    { userId, accountId, file, format }
+) {
+    const key = (date, amount) => `${date}|${round2(Number(amount))}`;
+    const byFitid = new Map();
+    const byKey = new Map(); // date|amount → unmatched existing rows
+    for (const t of existing) {
+        if (t.metadata?.fitid) byFitid.set(t.metadata.fitid, t);
+        const k = key(t.date, t.amount);
+        if (!byKey.has(k)) byKey.set(k, []);
+        byKey.get(k).push(t);
+    }
+    // A matched existing row is used up: it cannot match a second entry,
+    // by either rule
+    const consume = (t) => {
+        const list = byKey.get(key(t.date, t.amount)) ?? [];
+        const i = list.indexOf(t);
+        if (i !== -1) list.splice(i, 1);
+        if (byFitid.get(t.metadata?.fitid) === t) {
+            byFitid.delete(t.metadata.fitid);
+        }
+    };
+
+    const rows = [];
+    const duplicates = [];
+    for (const entry of entries) {
+        const sameId = entry.fitid && byFitid.get(entry.fitid);
+        if (sameId) {
+            duplicates.push({ entry, reason: 'fitid', existing_id: sameId.id });
+            byFitid.delete(entry.fitid);
+            consume(sameId);
+            continue;
+        }
+        const match = (byKey.get(key(entry.date, entry.amount)) ?? []).find(
+            (t) => !entry.fitid || !t.metadata?.fitid
+        );
+        if (match) {
+            duplicates.push({
+                entry,
+                reason: 'date and amount',
+                existing_id: match.id,
+            });
+            consume(match);
+            continue;
+        }
+
+        const row = {
+            user_id: userId,
+            account_id: accountId,
+            category_id: null,
+            date: entry.date,
+            amount: round2(entry.amount),
+            description: entry.description || null,
+            metadata: {
+                source: 'import',
+                file,
+                line: entry.line,
+                format,
+                ...(entry.fitid && { fitid: entry.fitid }),
+            },
+        };
+        rows.push(row);
+        // A bank id repeated later in the same file is a duplicate too
+        if (entry.fitid) byFitid.set(entry.fitid, { ...row, id: null });
+    }
+    return { rows, duplicates };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Import                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Import one statement file for a user.
+ *
+ * @async
+ * @param {SupabaseClient} supabase – Client able to write the user’s tables.
+ * @param {string}         userId
+ * @param {Object}  options
+ * @param {string}  options.file      – Path of the statement.
+ * @param {string}  [options.text]    – Its content, if already read.
+ * @param {string}  [options.account] – Account name; defaults to the name a
+ *        QIF `!Account` block gives.
+ * @param {string}  [options.format]  – Default: from the file (see
+ *        `detectFormat()`).
+ * @param {Object}  [options.profile] – CSV profile (see `resolveProfile()`).
+ * @param {string}  [options.dateFormat] – For CSV and QIF dates.
+ * @param {boolean} [options.dryRun]  – Plan without inserting.
+ * @returns {Promise<{account: string, format: string, parsed: number,
+ *          ids: string[], rows: Object[], duplicates: Object[]}>}
+ *          `ids` of the inserted rows (empty for a dry run).
+ */
+export async function importStatement(
+    supabase,
+    userId,
+    { file, text, account, format, profile, dateFormat, dryRun = false }
+) {
+    text ??= fs.readFileSync(file, 'utf8');
+    format ??= detectFormat(file, text);
+    const entries = parseStatement(text, {
+        format,
+        profile: profile && {
+            ...profile,
+            dateFormat: dateFormat ?? profile.dateFormat,
+        },
+        dateFormat,
+    });
+
+    const accounts = await selectAll(() =>
+        supabase
+            .from('accounts')
+            .select('id, name, currency')
+            .eq('user_id', userId)
+            .order('id')
+    );
+    const wanted = (account ?? entries.account ?? '').trim().toLowerCase();
+    const target = accounts.find((a) => a.name.toLowerCase() === wanted);
+    if (!target) {
+        throw new Error(
+            `${
+                wanted
+                    ? `Unknown account "${account ?? entries.account}"`
+                    : 'No account given'
+            }. Known: ${accounts.map((a) => a.name).join(', ')}`
+        );
+    }
+    if (
+        entries.currency &&
+        target.currency &&
+        entries.currency !== target.currency
+    ) {
+        throw new Error(
+            `Statement is in ${entries.currency}, ${target.name} in ${target.currency}`
+        );
+    }
+
+    const dates = entries.map((e) => e.date).sort();
+    const existing = dates.length
+        ? await selectAll(() =>
+              supabase
+                  .from('transactions')
+                  .select('id, date, amount, metadata')
+                  .eq('user_id', userId)
+                  .eq('account_id', target.id)
+                  .gte('date', dates[0])
+                  .lte('date', dates.at(-1))
+                  .order('id')
+          )
+        : [];
+    const { rows, duplicates } = planImport(entries, existing, {
+        userId,
+        accountId: target.id,
+        file: path.basename(file),
+        format,
+    });
+
+    const ids = [];
+    for (let i = 0; !dryRun && i < rows.length; i += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('transactions')
+            .insert(rows.slice(i, i + PAGE_SIZE))
+            .select('id');
+        if (error) throw error;
+        ids.push(...data.map((r) => r.id));
+    }
+    return {
+        account: target.name,
+        format,
+        parsed: entries.length,
+        ids,
+        rows,
+        duplicates,
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const supabase = createDataClient();
+    const args = process.argv.slice(2);
+    const valued = ['--account', '--profile', '--format', '--date-format'];
+    const option = (name) => {
+        const i = args.indexOf(name);
+        return i < 0 ? undefined : args[i + 1];
+    };
+    const file = args.find(
+        (a, i) => !a.startsWith('--') && !valued.includes(args[i - 1])
+    );
+    if (!file) {
+        throw new Error(
+            'Usage: node importStatement.js <file> [--account <name>] ' +
+                '[--profile <name|file.json>] [--format csv|ofx|qif] ' +
+                '[--date-format DD/MM/YYYY] [--dry-run]'
+        );
+    }
+    const dryRun = args.includes('--dry-run');
+
+    const result = await importStatement(supabase, process.env.DUMMY_USER_ID, {
+        file,
+        account: option('--account'),
+        format: option('--format'),
+        profile: resolveProfile(option('--profile')),
+        dateFormat: option('--date-format'),
+        dryRun,
+    });
+    console.log(
+        `📥 ${path.basename(file)} (${result.format}) → ${result.account}: ` +
+            `${result.parsed} entries, ${result.rows.length} new, ` +
+            `${result.duplicates.length} duplicates`
+    );
+    for (const d of result.duplicates) {
+        console.log(
+            `   ↺ line ${d.entry.line}: ${d.entry.date} ${d.entry.amount} ` +
+                `"${d.entry.description}" (${d.reason})`
+        );
+    }
+    if (dryRun || !result.ids.length) return;
+    // Loaded only here: embedAll.js builds its Supabase client and embedder
+    // on import, and planImport() must load without either
+    const { embedTable } = await import('./embedAll.js');
+    await embedTable('transactions', { ids: result.ids });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Import failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,239 @@
+/**
+ * Formula retrieval from the `financial_kb` glossary.
+ *
+ * fetchContext() used to send every definition on every question.  With 20
+ * entries that was merely wasteful; with hundreds it would crowd the data
+ * rows out of the prompt.  This module picks the definitions a question
+ * needs, *plus everything they are defined in terms of*:
+ *
+ *   “How long is my runway?”   → Runway + Burn Rate
+ *   “What is our CCC?”         → Cash Conversion Cycle + DSO + DIO + DPO
+ *
+ * SELECTION
+ * ---------
+ *   1. **Mentioned** – a formula whose name or abbreviation appears in the
+ *      question (“runway”, “DSO”, “cash conversion cycle”).
+ *   2. **Related** – the best matches of hybrid search over the glossary:
+ *      the embedded definitions (shared documents in the vector store, see
+ *      embedAll.js) fused with BM25 over the formulas’ names.  Vector
+ *      hits below `FORMULA_MIN_SIMILARITY` are ignored and BM25 needs a
+ *      shared term, so an unrelated question pulls in few formulas or none.
+ *   3. **Dependencies** – every formula referenced, transitively, by the
+ *      right-hand side of one already selected.
+ *
+ * Dependencies are not declared anywhere: `linkFormulas()` finds them by
+ * looking for other formulas’ names in each expression (“Current Cash
+ * Balance ÷ Monthly *Burn Rate*”).  New glossary entries are linked
+ * automatically as long as their expressions use the names of the terms
+ * they build on.
+ *
+ * PITFALLS
+ * --------
+ * • A formula whose expression paraphrases a term (“average monthly cash
+ *   outflow” instead of “Burn Rate”) gets no dependency edge.  Use the
+ *   glossary’s own names in expressions.
+ * • Until embedAll.js has embedded `financial_kb`, only mentions, BM25 and
+ *   dependencies select formulas.
+ * ============================================================================
+ */
+
+import { createBm25Index } from './lexicalIndex.js';
+import { reciprocalRankFusion } from './retrieval.js';
+
+const KB_TABLE = 'financial_kb';
+const DEFAULT_MIN_SIMILARITY = 0.3;
+
+/* -------------------------------------------------------------------------- */
+/* 1) Names and dependencies                                                  */
+/* -------------------------------------------------------------------------- */
+
+/** Escape a string for use inside a RegExp. */
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Case-insensitive whole-phrase matcher for a name. */
+const phrase = (name) =>
+    new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(name)}(?![\\p{L}\\p{N}])`, 'iu');
+
+/**
+ * The names a formula goes by: its title, the title without a parenthetical
+ * (“Days Sales Outstanding”), an abbreviation in that parenthetical (“DSO”,
+ * not “Units”) and the left-hand side of its expression (“CCC” in
+ * “CCC = …”).
+ *
+ * @param {{title: string, content: string}} def
+ * @returns {string[]}
+ */
+export function formulaNames({ title, content }) {
+    const names = [title];
+    const paren = title.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+    if (paren) {
+        names.push(paren[1]);
+        if (/^[A-Z]{2,6}$/.test(paren[2])) names.push(paren[2]);
+    }
+    const lhs = content.split('=')[0].trim();
+    if (lhs !== content.trim()) {
+        names.push(lhs.replace(/\s*%$/, '').replace(/\s+in \w+$/, ''));
+    }
+    return [...new Set(names.map((n) => n.trim()).filter((n) => n.length > 1))];
+}
+
+/**
+ * Attach `names` and `dependsOn` (titles) to every definition.  A formula
+ * depends on another when the other’s name appears in its right-hand side.
+ *
+ * @param {Array<{title: string, content: string}>} defs
+ * @returns {Array<{title: string, content: string, names: string[],
+ *          dependsOn: string[]}>}
+ */
+export function linkFormulas(defs) {
+    const named = defs.map((d) => ({ ...d, names: formulaNames(d) }));
+    const matchers = named.map((d) => ({
+        title: d.title,
+        res: d.names.map(phrase),
+    }));
+    return named.map((d) => {
+        const rhs = d.content.includes('=')
+            ? d.content.slice(d.content.indexOf('=') + 1)
+            : d.content;
+        const dependsOn = matchers
+            .filter((m) => m.title !== d.title)
+            .filter((m) => m.res.some((re) => re.test(rhs)))
+            .map((m) => m.title);
+        return { ...d, dependsOn };
+    });
+}
+
+/**
+ * Order selected formulas so each is followed by its (transitive)
+ * dependencies not listed yet.  Ranking therefore keeps a formula and the
+ * terms it needs together when the context packer trims from the end.
+ *
+ * @param {string[]} titles – Selected formulas, best first.
+ * @param {Map<string, {dependsOn: string[]}>} byTitle
+ * @returns {Array<{title: string, requiredBy: string|null}>}
+ */
+export function withDependencies(titles, byTitle) {
+    const out = [];
+    const seen = new Set();
+    const visit = (title, requiredBy) => {
+        if (seen.has(title) || !byTitle.has(title)) return;
+        seen.add(title);
+        out.push({ title, requiredBy });
+        for (const dep of byTitle.get(title).dependsOn) visit(dep, title);
+    };
+    for (const title of titles) visit(title, null);
+    return out;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Retriever                                                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Build a formula retriever over `financial_kb`.
+ *
+ * @param {Object}         deps
+ * @param {SupabaseClient} deps.supabase
+ * @param {VectorStore}    deps.store    – Holds the embedded glossary.
+ * @param {Embedder}       deps.embedder
+ * @param {number}         [deps.ttlMs]  – Glossary cache lifetime
+ *        (`LEXICAL_INDEX_TTL_MS`, like retrieval.js).
+ * @param {number}         [deps.minSimilarity] – Cosine floor for vector
+ *        hits (`FORMULA_MIN_SIMILARITY`, default 0.3).
+ * @returns {{select: Function, invalidate: () => void}}
+ */
+export function createFormulaRetriever({
+    supabase,
+    store,
+    embedder,
+    ttlMs = Number(process.env.LEXICAL_INDEX_TTL_MS ?? 5 * 60 * 1000),
+    minSimilarity = Number(
+        process.env.FORMULA_MIN_SIMILARITY ?? DEFAULT_MIN_SIMILARITY
+    ),
+}) {
+    let cached = null; // { formulas, byTitle, byId, index, loadedAt }
+
+    const glossary = async () => {
+        if (cached && Date.now() - cached.loadedAt < ttlMs) return cached;
+        const { data, error } = await supabase
+            .from(KB_TABLE)
+            .select('id, title, content');
+        if (error) throw error;
+        const formulas = linkFormulas(data);
+        cached = {
+            formulas,
+            byTitle: new Map(formulas.map((f) => [f.title, f])),
+            byId: new Map(formulas.map((f) => [String(f.id), f])),
+            index: createBm25Index(
+                formulas.map((f) => ({ ...f, content: f.names.join(' ') }))
+            ),
+            loadedAt: Date.now(),
+        };
+        return cached;
+    };
+
+    return {
+        /**
+         * Formulas for a question: mentioned, then related, each followed
+         * by its dependencies.
+         *
+         * @async
+         * @param {string} question
+         * @param {Object} [options]
+         * @param {number} [options.count=3] – Related formulas to add.
+         * @returns {Promise<Array<{title: string, content: string,
+         *          reason: 'mentioned'|'related'|'dependency',
+         *          requiredBy: string|null}>>} Best first.
+         */
+        async select(question, { count = 3 } = {}) {
+            const { formulas, byTitle, byId, index } = await glossary();
+
+            const mentioned = formulas
+                .filter((f) => f.names.some((n) => phrase(n).test(question)))
+                .map((f) => f.title);
+
+            const qvec = await embedder.embed(question);
+            const vectorHits = (
+                await store.search(null, qvec, {
+                    count,
+                    threshold: minSimilarity,
+                    filter: { tables: [KB_TABLE] },
+                })
+            )
+                .map((h) => byId.get(String(h.source_id)))
+                .filter(Boolean);
+            const lexicalHits = index
+                .search(question, count)
+                .map(({ doc }) => byTitle.get(doc.title));
+            const related = reciprocalRankFusion(
+                [vectorHits, lexicalHits].map((list) =>
+                    list.map((f) => ({
+                        source_table: KB_TABLE,
+                        source_id: f.title,
+                    }))
+                )
+            )
+                .slice(0, count)
+                .map((r) => r.source_id);
+
+            const direct = new Set(mentioned);
+            return withDependencies([...mentioned, ...related], byTitle).map(
+                ({ title, requiredBy }) => ({
+                    title,
+                    content: byTitle.get(title).content,
+                    reason: direct.has(title)
+                        ? 'mentioned'
+                        : requiredBy
+                        ? 'dependency'
+                        : 'related',
+                    requiredBy,
+                })
+            );
+        },
+
+        /** Reload the glossary on the next question. */
+        invalidate() {
+            cached = null;
+        },
+    };
+}
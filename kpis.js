@@ -0,0 +1,737 @@
+/**
+ * Deterministic KPI engine for the finance chatbot.
+ *
+ * Every formula seeded into `financial_kb` by `seedFinancialKB()` is computed
+ * here, in plain JavaScript, straight from the user’s books:
+ *
+ *   transactions · account_snapshots · monthly_expense_snapshots
+ *   invoices · bills · budgets · accounts · categories
+ *
+ * The results—together with the inputs that produced them—are handed to the
+ * LLM as *verified facts*, so the model explains numbers instead of deriving
+ * them.
+ *
+ * RATIONALE
+ * ---------
+ * • **Arithmetic is not retrieval** – A runway figure must not depend on which
+ *   50 rows happened to win the similarity search.  Computing KPIs from the
+ *   full, period-scoped tables makes the answer reproducible.
+ *
+ * • **Auditability** – Each KPI carries its formula and every input value, so
+ *   a reviewer can re-derive the number by hand.
+ *
+ * • **Graceful gaps** – When the books lack an input (e.g. no revenue in the
+ *   period) the KPI is returned with `value = null` and a `note` explaining
+ *   why, rather than a misleading zero.
+ *
+ * CLASSIFICATION RULES
+ * --------------------
+ * The schema has no explicit current/non-current flag, so we classify by the
+ * account and category *types* seeded in seedAll.js:
+ *   • Cash               – accounts of type `bank`.
+ *   • Inventory          – `asset` accounts whose name mentions “inventory”.
+ *   • Fixed assets       – every other `asset` account (non-current).
+ *   • Equity             – `liability` accounts whose name mentions “equity”.
+ *   • Current liabilities – remaining `liability` accounts + unpaid bills.
+ *   • Revenue / COGS / Operating expenses – categories of type `income`,
+ *     `cogs` and `expense` respectively.
+ *
+ * Liability balances are stored with either sign (the credit card snapshot
+ * is negative, the equity snapshot positive), so their magnitude is used.
+ *
+ * CURRENCY
+ * --------
+ * Amounts are converted into the user’s reporting currency before any sum
+ * (`convertBooks()`, rates from currency.js), each at the rate of its own
+ * date; KPI units name that currency.  Budgets and monthly expense
+ * snapshots carry no currency and are taken as already reported in it.
+ *
+ * Usage:  `node kpis.js [period_start] [period_end]`
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { round2 } from './books.js';
+import { DEFAULT_CURRENCY, loadFx, reportingCurrency } from './currency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -------------------------------------------------------------------------- */
+/* 1) Small helpers                                                           */
+/* -------------------------------------------------------------------------- */
+
+/** Sum an array of numbers (strings from Postgres `numeric` are coerced). */
+function sum(values) {
+    return values.reduce((acc, v) => acc + Number(v || 0), 0);
+}
+
+/** Inclusive number of days between two ISO dates. */
+function daysInPeriod({ start, end }) {
+    return Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+}
+
+/** ISO date one day before `iso`. */
+function dayBefore(iso) {
+    return new Date(Date.parse(iso) - DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Latest snapshot balance for each account on or before `asOf`.
+ *
+ * @param {Object[]} snaps – Rows from `account_snapshots`.
+ * @param {string}   asOf  – ISO date.
+ * @returns {Map<string, number>} account_id → balance
+ */
+function balancesAsOf(snaps, asOf) {
+    const latest = new Map();
+    for (const s of snaps) {
+        if (s.snapshot_date > asOf) continue;
+        const prev = latest.get(s.account_id);
+        if (!prev || s.snapshot_date > prev.snapshot_date) {
+            latest.set(s.account_id, s);
+        }
+    }
+    return new Map([...latest].map(([id, s]) => [id, Number(s.balance)]));
+}
+
+/** Sum of balances for a subset of accounts. */
+function sumBalances(balances, accounts) {
+    return sum(accounts.map((a) => balances.get(a.id) ?? 0));
+}
+
+/** Build one KPI result; `value = null` marks it as not computable. */
+function kpi(title, formula, value, unit, inputs, note) {
+    const computable = value !== null && Number.isFinite(value);
+    return {
+        title,
+        formula,
+        value: computable ? round2(value) : null,
+        unit,
+        inputs: Object.fromEntries(
+            Object.entries(inputs).map(([k, v]) => [
+                k,
+                typeof v === 'number' ? round2(v) : v,
+            ])
+        ),
+        ...(computable ? {} : { note: note || 'insufficient data' }),
+    };
+}
+
+/** Divide, returning null when the denominator is zero. */
+function ratio(num, den) {
+    return den ? num / den : null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Data loading                                                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Work out which period to report on.  Without an explicit period we span
+ * every transaction the user has booked.
+ *
+ * @async
+ * @param {SupabaseClient} supabase
+ * @param {string}         userId
+ * @param {{start?: string, end?: string}} [period]
+ * @returns {Promise<{start: string, end: string}>}
+ * @throws {Error} `code: 'NO_TRANSACTIONS'` when the period is open-ended
+ *         and the user has booked nothing yet.
+ */
+export async function resolvePeriod(supabase, userId, period = {}) {
+    if (period.start && period.end) return period;
+
+    const edge = async (ascending) => {
+        const { data, error } = await supabase
+            .from('transactions')
+            .select('date')
+            .eq('user_id', userId)
+            .order('date', { ascending })
+            .limit(1);
+        if (error) throw error;
+        return data[0]?.date;
+    };
+
+    const start = period.start || (await edge(true));
+    const end = period.end || (await edge(false));
+    if (!start || !end) {
+        throw Object.assign(
+            new Error(`No transactions found for user ${userId}`),
+            { code: 'NO_TRANSACTIONS' }
+        );
+    }
+    return { start, end };
+}
+
+/**
+ * Pull every row the KPI formulas need, scoped to the user and period.
+ *
+ * @async
+ * @returns {Promise<Object>} Raw rows keyed by table name.
+ */
+export async function loadBooks(supabase, userId, { start, end }) {
+    const scoped = (table, columns) =>
+        supabase.from(table).select(columns).eq('user_id', userId);
+
+    const queries = {
+        accounts: scoped('accounts', 'id, name, type, currency'),
+        categories: scoped('categories', 'id, name, type'),
+        transactions: scoped(
+            'transactions',
+            'id, account_id, category_id, date, amount, metadata'
+        )
+            .gte('date', start)
+            .lte('date', end),
+        account_snapshots: scoped(
+            'account_snapshots',
+            'account_id, snapshot_date, balance'
+        ).lte('snapshot_date', end),
+        monthly_expense_snapshots: scoped(
+            'monthly_expense_snapshots',
+            'period_start, period_end, total_expense'
+        )
+            .gte('period_start', start)
+            .lte('period_end', end),
+        invoices: scoped(
+            'invoices',
+            'id, date, due_date, total_amount, status, currency'
+        ).lte('date', end),
+        bills: scoped(
+            'bills',
+            'id, date, due_date, total_amount, status, currency'
+        ).lte('date', end),
+        budgets: scoped(
+            'budgets',
+            'id, category_id, period_start, period_end, amount'
+        )
+            .gte('period_start', start)
+            .lte('period_end', end),
+    };
+
+    const entries = await Promise.all(
+        Object.entries(queries).map(async ([table, query]) => {
+            const { data, error } = await query;
+            if (error) throw error;
+            return [table, data];
+        })
+    );
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Convert every amount in the books into the reporting currency, each at
+ * the rate of its own date (currency.js).  Transactions and snapshots are in
+ * their account’s currency; invoices and bills in their own `currency`, if
+ * any.  Converted rows keep `original_amount` and `original_currency`.
+ *
+ * @param {Object} books – Output of `loadBooks()`.
+ * @param {Object} fx    – Converter from `loadFx()`.
+ * @param {string} currency – Reporting currency.
+ * @returns {Object} The books in `currency`, plus `currency` and
+ *          `converted` (number of converted amounts per original currency).
+ * @throws {Error} `code: 'FX_RATE'` when an amount has no rate.
+ */
+export function convertBooks(books, fx, currency) {
+    const acctCurrency = new Map(
+        books.accounts.map((a) => [a.id, a.currency || currency])
+    );
+    const converted = {};
+    const convert = (row, field, from, date, extra = () => ({})) => {
+        if (from === currency) return row;
+        const c = fx.convert(row[field], from, currency, date);
+        converted[from] = (converted[from] ?? 0) + 1;
+        return {
+            ...row,
+            [field]: c.amount,
+            original_amount: c.original,
+            original_currency: from,
+            ...extra(c.rate),
+        };
+    };
+    // Unit economics on sales metadata are in the transaction's currency;
+    // a missing price or cost stays missing rather than becoming 0
+    const UNIT_FIELDS = ['unit_price', 'variable_cost_per_unit'];
+    const unitsAt = (t) => (rate) => {
+        const present = UNIT_FIELDS.filter((k) => t.metadata?.[k] != null);
+        if (!present.length) return {};
+        return {
+            metadata: {
+                ...t.metadata,
+                ...Object.fromEntries(
+                    present.map((k) => [k, t.metadata[k] * rate])
+                ),
+            },
+        };
+    };
+
+    return {
+        ...books,
+        transactions: books.transactions.map((t) =>
+            convert(
+                t,
+                'amount',
+                acctCurrency.get(t.account_id) ?? currency,
+                t.date,
+                unitsAt(t)
+            )
+        ),
+        account_snapshots: books.account_snapshots.map((s) =>
+            convert(
+                s,
+                'balance',
+                acctCurrency.get(s.account_id) ?? currency,
+                s.snapshot_date
+            )
+        ),
+        invoices: books.invoices.map((i) =>
+            convert(i, 'total_amount', i.currency || currency, i.date)
+        ),
+        bills: books.bills.map((b) =>
+            convert(b, 'total_amount', b.currency || currency, b.date)
+        ),
+        currency,
+        converted,
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) KPI computation                                                         */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Compute every KPI from already-loaded rows.  Pure and synchronous so it can
+ * be exercised without a database.
+ *
+ * @param {Object} books  – Output of `loadBooks()`, in one currency (see
+ *        `convertBooks()`); `books.currency` names it for the units.
+ * @param {{start: string, end: string}} period
+ * @returns {Object[]} KPI results: `{ title, formula, value, unit, inputs, note? }`
+ */
+export function computeKpisFromBooks(books, period) {
+    const { start, end } = period;
+    const days = daysInPeriod(period);
+    const currency = books.currency ?? DEFAULT_CURRENCY;
+
+    // ── Classification ────────────────────────────────────────────────────
+    const catType = new Map(books.categories.map((c) => [c.id, c.type]));
+    const catName = new Map(books.categories.map((c) => [c.id, c.name]));
+    const byCatType = (type) =>
+        books.transactions.filter((t) => catType.get(t.category_id) === type);
+
+    const isInventory = (a) => a.type === 'asset' && /inventory/i.test(a.name);
+    const isEquity = (a) => a.type === 'liability' && /equity/i.test(a.name);
+    const cashAccts = books.accounts.filter((a) => a.type === 'bank');
+    const invAccts = books.accounts.filter(isInventory);
+    const equityAccts = books.accounts.filter(isEquity);
+    const liabAccts = books.accounts.filter(
+        (a) => a.type === 'liability' && !isEquity(a)
+    );
+
+    // ── Income statement ──────────────────────────────────────────────────
+    const revenue = sum(byCatType('income').map((t) => t.amount));
+    const cogs = -sum(byCatType('cogs').map((t) => t.amount));
+    const opex = -sum(byCatType('expense').map((t) => t.amount));
+    const depreciation = -sum(
+        books.transactions
+            .filter((t) => /depreciation/i.test(catName.get(t.category_id)))
+            .map((t) => t.amount)
+    );
+    const operatingIncome = revenue - cogs - opex;
+    const netIncome = operatingIncome; // no interest / tax categories yet
+
+    // ── Balance sheet (as of period end) ──────────────────────────────────
+    const closing = balancesAsOf(books.account_snapshots, end);
+    const opening = balancesAsOf(books.account_snapshots, dayBefore(start));
+
+    const cash = sumBalances(closing, cashAccts);
+    const inventory = sumBalances(closing, invAccts);
+    const openingInventory = invAccts.some((a) => opening.has(a.id))
+        ? sumBalances(opening, invAccts)
+        : null;
+    const avgInventory =
+        openingInventory === null
+            ? inventory
+            : (openingInventory + inventory) / 2;
+
+    const receivables = sum(
+        books.invoices
+            .filter((i) => i.status !== 'paid')
+            .map((i) => i.total_amount)
+    );
+    const payables = sum(
+        books.bills
+            .filter((b) => b.status !== 'paid')
+            .map((b) => b.total_amount)
+    );
+    const creditSales = sum(
+        books.invoices.filter((i) => i.date >= start).map((i) => i.total_amount)
+    );
+    const shortTermDebt = sum(
+        liabAccts.map((a) => Math.abs(closing.get(a.id) ?? 0))
+    );
+    const equity = sum(
+        equityAccts.map((a) => Math.abs(closing.get(a.id) ?? 0))
+    );
+
+    const currentAssets = cash + inventory + receivables;
+    const currentLiabilities = shortTermDebt + payables;
+
+    // ── Burn rate: monthly snapshots, else expense transactions by month ──
+    let monthlyExpenses = books.monthly_expense_snapshots.map((m) =>
+        Number(m.total_expense)
+    );
+    let burnSource = 'monthly_expense_snapshots';
+    if (!monthlyExpenses.length) {
+        const byMonth = new Map();
+        for (const t of [...byCatType('cogs'), ...byCatType('expense')]) {
+            const month = t.date.slice(0, 7);
+            byMonth.set(month, (byMonth.get(month) ?? 0) - Number(t.amount));
+        }
+        monthlyExpenses = [...byMonth.values()];
+        burnSource = 'transactions';
+    }
+    const burnRate = monthlyExpenses.length
+        ? sum(monthlyExpenses) / monthlyExpenses.length
+        : null;
+
+    // ── Break-even: unit economics recorded on sales metadata ─────────────
+    const unitRows = byCatType('income').filter(
+        (t) =>
+            t.metadata?.unit_price != null &&
+            t.metadata?.variable_cost_per_unit != null
+    );
+    const unitPrice = unitRows.length
+        ? sum(unitRows.map((t) => t.metadata.unit_price)) / unitRows.length
+        : null;
+    const unitCost = unitRows.length
+        ? sum(unitRows.map((t) => t.metadata.variable_cost_per_unit)) /
+          unitRows.length
+        : null;
+
+    // ── Working-capital cycle ─────────────────────────────────────────────
+    const dso = ratio(receivables, creditSales);
+    const dio = ratio(avgInventory, cogs);
+    const dpo = ratio(payables, cogs);
+
+    const results = [
+        kpi(
+            'Burn Rate',
+            'Total expenses in period ÷ Number of months',
+            burnRate,
+            `${currency}/month`,
+            {
+                'Total expenses': sum(monthlyExpenses),
+                'Number of months': monthlyExpenses.length,
+                Source: burnSource,
+            },
+            'no expenses recorded in period'
+        ),
+        kpi(
+            'Runway',
+            'Current Cash Balance ÷ Monthly Burn Rate',
+            burnRate ? cash / burnRate : null,
+            'months',
+            { 'Current Cash Balance': cash, 'Monthly Burn Rate': burnRate },
+            'burn rate is zero or unknown'
+        ),
+        kpi(
+            'Gross Profit Margin',
+            '(Revenue − COGS) ÷ Revenue × 100',
+            revenue ? ((revenue - cogs) / revenue) * 100 : null,
+            '%',
+            { Revenue: revenue, COGS: cogs },
+            'no revenue in period'
+        ),
+        kpi(
+            'Net Profit Margin',
+            'Net Income ÷ Revenue × 100',
+            revenue ? (netIncome / revenue) * 100 : null,
+            '%',
+            { 'Net Income': netIncome, Revenue: revenue },
+            'no revenue in period'
+        ),
+        kpi(
+            'Operating Margin',
+            'Operating Income ÷ Revenue × 100',
+            revenue ? (operatingIncome / revenue) * 100 : null,
+            '%',
+            {
+                'Operating Income': operatingIncome,
+                Revenue: revenue,
+                COGS: cogs,
+                'Operating Expenses': opex,
+            },
+            'no revenue in period'
+        ),
+        kpi(
+            'EBITDA',
+            'Operating Income + Depreciation + Amortization',
+            operatingIncome + depreciation,
+            currency,
+            { 'Operating Income': operatingIncome, Depreciation: depreciation }
+        ),
+        kpi(
+            'Current Ratio',
+            'Current Assets ÷ Current Liabilities',
+            ratio(currentAssets, currentLiabilities),
+            'x',
+            {
+                'Current Assets': currentAssets,
+                Cash: cash,
+                Inventory: inventory,
+                'Accounts Receivable': receivables,
+                'Current Liabilities': currentLiabilities,
+                'Short-term Debt': shortTermDebt,
+                'Accounts Payable': payables,
+            },
+            'no current liabilities'
+        ),
+        kpi(
+            'Quick Ratio',
+            '(Current Assets − Inventory) ÷ Current Liabilities',
+            ratio(currentAssets - inventory, currentLiabilities),
+            'x',
+            {
+                'Current Assets': currentAssets,
+                Inventory: inventory,
+                'Current Liabilities': currentLiabilities,
+            },
+            'no current liabilities'
+        ),
+        kpi(
+            'Working Capital',
+            'Current Assets − Current Liabilities',
+            currentAssets - currentLiabilities,
+            currency,
+            {
+                'Current Assets': currentAssets,
+                'Current Liabilities': currentLiabilities,
+            }
+        ),
+        kpi(
+            'Debt-to-Equity Ratio',
+            'Total Liabilities ÷ Shareholders’ Equity',
+            ratio(currentLiabilities, equity),
+            'x',
+            {
+                'Total Liabilities': currentLiabilities,
+                'Shareholders’ Equity': equity,
+            },
+            'no equity recorded'
+        ),
+        kpi(
+            'Return on Equity (ROE)',
+            'Net Income ÷ Shareholders’ Equity × 100',
+            equity ? (netIncome / equity) * 100 : null,
+            '%',
+            { 'Net Income': netIncome, 'Shareholders’ Equity': equity },
+            'no equity recorded'
+        ),
+        kpi(
+            'Inventory Turnover',
+            'COGS ÷ Average Inventory',
+            ratio(cogs, avgInventory),
+            'x',
+            { COGS: cogs, 'Average Inventory': avgInventory },
+            'no inventory recorded'
+        ),
+        kpi(
+            'Days Sales Outstanding (DSO)',
+            '(Accounts Receivable ÷ Total Credit Sales) × Number of Days',
+            dso === null ? null : dso * days,
+            'days',
+            {
+                'Accounts Receivable': receivables,
+                'Total Credit Sales': creditSales,
+                'Number of Days': days,
+            },
+            'no credit sales in period'
+        ),
+        kpi(
+            'Days Inventory Outstanding (DIO)',
+            '(Average Inventory ÷ COGS) × Number of Days',
+            dio === null ? null : dio * days,
+            'days',
+            {
+                'Average Inventory': avgInventory,
+                COGS: cogs,
+                'Number of Days': days,
+            },
+            'no COGS in period'
+        ),
+        kpi(
+            'Days Payable Outstanding (DPO)',
+            '(Accounts Payable ÷ COGS) × Number of Days',
+            dpo === null ? null : dpo * days,
+            'days',
+            {
+                'Accounts Payable': payables,
+                COGS: cogs,
+                'Number of Days': days,
+            },
+            'no COGS in period'
+        ),
+        kpi(
+            'Cash Conversion Cycle',
+            'DSO + Days Inventory Outstanding − DPO',
+            dso === null || dio === null || dpo === null
+                ? null
+                : (dso + dio - dpo) * days,
+            'days',
+            {
+                DSO: dso === null ? null : dso * days,
+                DIO: dio === null ? null : dio * days,
+                DPO: dpo === null ? null : dpo * days,
+            },
+            'DSO, DIO or DPO unavailable'
+        ),
+        kpi(
+            'Break-Even Point (Units)',
+            'Fixed Costs ÷ (Price − Variable Cost per Unit)',
+            unitPrice !== null && unitPrice > unitCost
+                ? opex / (unitPrice - unitCost)
+                : null,
+            'units',
+            {
+                'Fixed Costs': opex,
+                Price: unitPrice,
+                'Variable Cost per Unit': unitCost,
+            },
+            'no unit price / variable cost on sales metadata'
+        ),
+        kpi(
+            'Return on Investment (ROI)',
+            '(Gain from Investment − Cost of Investment) ÷ Cost of Investment × 100',
+            null,
+            '%',
+            {},
+            'the books do not identify a specific investment'
+        ),
+    ];
+
+    // ── Budget variance: one result per budget line in the period ─────────
+    for (const b of books.budgets) {
+        const actual = -sum(
+            books.transactions
+                .filter(
+                    (t) =>
+                        t.category_id === b.category_id &&
+                        t.date >= b.period_start &&
+                        t.date <= b.period_end
+                )
+                .map((t) => t.amount)
+        );
+        const budgeted = Number(b.amount);
+        results.push(
+            kpi(
+                'Budget Variance',
+                'Variance = Actual − Budgeted; % Variance = Variance ÷ Budgeted × 100',
+                actual - budgeted,
+                currency,
+                {
+                    Category: catName.get(b.category_id) ?? b.category_id,
+                    Period: `${b.period_start} to ${b.period_end}`,
+                    Actual: actual,
+                    Budgeted: budgeted,
+                    '% Variance': budgeted
+                        ? ((actual - budgeted) / budgeted) * 100
+                        : null,
+                }
+            )
+        );
+    }
+
+    return results;
+}
+
+/**
+ * Load the user’s books for a period, convert them into the user’s
+ * reporting currency and compute every KPI.
+ *
+ * @async
+ * @param {SupabaseClient} supabase – Client able to read the user’s tables.
+ * @param {string}         userId   – Owner of the books.
+ * @param {{start?: string, end?: string}} [period] – ISO dates, inclusive.
+ *        Defaults to the span of the user’s transactions.
+ * @returns {Promise<{period: {start: string, end: string}, currency: string,
+ *          converted: Record<string, number>, kpis: Object[]}>}
+ *          `converted` counts the amounts converted per original currency.
+ */
+export async function computeKpis(supabase, userId, period) {
+    const resolved = await resolvePeriod(supabase, userId, period);
+    const [raw, fx, currency] = await Promise.all([
+        loadBooks(supabase, userId, resolved),
+        loadFx(supabase),
+        reportingCurrency(supabase, userId),
+    ]);
+    const books = convertBooks(raw, fx, currency);
+    return {
+        period: resolved,
+        currency,
+        converted: books.converted,
+        kpis: computeKpisFromBooks(books, resolved),
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) Serialisation for the prompt                                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Render one KPI result as a pipe-delimited fact string, mirroring the format
+ * used for embedded documents so the model reads them the same way.
+ *
+ * @param {Object} k – One entry of `report.kpis`.
+ * @param {{start: string, end: string}} period
+ * @returns {string}
+ */
+export function formatKpi(k, period) {
+    const inputs = Object.entries(k.inputs)
+        .map(([name, v]) => `${name}=${v ?? 'n/a'}`)
+        .join('; ');
+    const value =
+        k.value === null
+            ? `value="not computable: ${k.note}"`
+            : `value=${k.value} ${k.unit}`;
+    return (
+        `KPI | title="${k.title}" | ` +
+        `period="${period.start} to ${period.end}" | ${value} | ` +
+        `formula="${k.formula}" | inputs: ${inputs || 'none'}`
+    );
+}
+
+/**
+ * Render a whole KPI report, one fact per line.
+ *
+ * @param {{period: {start: string, end: string}, kpis: Object[]}} report
+ * @returns {string}
+ */
+export function formatKpis({ period, kpis }) {
+    return kpis.map((k) => formatKpi(k, period)).join('\n');
+}
+
+/* -------------------------------------------------------------------------- */
+/* 5) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const supabase = createDataClient();
+    const [start, end] = process.argv.slice(2);
+    const report = await computeKpis(supabase, process.env.DUMMY_USER_ID, {
+        start,
+        end,
+    });
+    console.log(
+        `📐 KPIs for ${report.period.start} to ${report.period.end} in ${report.currency}\n`
+    );
+    console.log(formatKpis(report));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ KPI computation failed:', err.message);
+        process.exit(1);
+    });
+}
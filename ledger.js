@@ -0,0 +1,505 @@
+/**
+ * Double-entry integrity check: a trial balance built from `transactions`,
+ * plus the events and legs that keep it from balancing.  Also home of
+ * `indexLedger()`, the running index snapshots.js and statements.js sum
+ * over.
+ *
+ * MODEL
+ * -----
+ * • Every transaction row is one **leg** on a balance-sheet account.  Its
+ *   `amount` is the change in that account’s balance, so it is a debit on
+ *   debit-normal accounts (bank, asset) and a credit on credit-normal ones
+ *   (liability, which includes equity):
+ *
+ *     Owner capital:  Main Checking +20,000  →  Dr 20,000
+ *                     Owner Equity  +20,000  →  Cr 20,000
+ *
+ * • A leg whose category is income, cogs or expense is offset by that
+ *   category (the nominal account): “Office rent −2,000” on Main Checking
+ *   is Cr Main Checking / Dr Rent.
+ * • Any other leg must be offset by other legs of the same **event**: rows
+ *   sharing `metadata.event_id`, or else the same date and category
+ *   (“Purchased inventory” / “Paid for inventory” on 2025-01-02).
+ *
+ * CHECKS
+ * ------
+ *   error    unbalanced_event – an event’s debits and credits differ.
+ *   error    orphan_leg       – a leg nothing offsets, including non-cash
+ *                               expenses (depreciation, amortization)
+ *                               booked against a bank account.
+ *   warning  sign             – an account with a balance on its unnatural
+ *                               side, a negative snapshot, or an expense
+ *                               credited / income debited.
+ *
+ * The ledger is *balanced* when there are no errors and total debits equal
+ * total credits.  Amounts are converted into the reporting currency first
+ * (currency.js), so legs in different currencies can offset each other.
+ *
+ * PITFALLS
+ * --------
+ * • Grouping by date and category is a heuristic: two unrelated transfers
+ *   on the same day and category offset each other.  Set
+ *   `metadata.event_id` on imported rows to make events explicit.
+ * • Refunds credit an expense, and chargebacks debit income; both are
+ *   warnings, not errors.
+ * • The demo seed does not balance: depreciation is booked against Main
+ *   Checking instead of Equipment, and the credit-card purchase decreases
+ *   the card’s liability.  Fixing it would change the seeded cash balance
+ *   every example answer is checked against, so it is reported, not fixed.
+ *
+ * Usage:  `node ledger.js [user_id]`   (exit code 1 when unbalanced)
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { round2, selectAll, TOLERANCE } from './books.js';
+import { DEFAULT_CURRENCY, loadFx, reportingCurrency } from './currency.js';
+
+/** +1 for debit-normal account types, −1 for credit-normal ones. */
+const NORMAL_SIDE = { bank: 1, asset: 1, liability: -1 };
+
+/** Category types offset by the category itself (nominal accounts). */
+const NOMINAL_TYPES = new Set(['income', 'cogs', 'expense']);
+
+/** Expenses that never move cash (same test as kpis.js uses). */
+const NON_CASH_RE = /depreciation|amortization/i;
+
+/* -------------------------------------------------------------------------- */
+/* 1) Validation                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Validate a ledger.  Pure and synchronous so it can be exercised without a
+ * database.
+ *
+ * @param {Object}   books
+ * @param {Object[]} books.accounts     – `{ id, name, type, currency }`
+ * @param {Object[]} books.categories   – `{ id, name, type }`
+ * @param {Object[]} books.transactions – `{ id, account_id, category_id,
+ *        date, amount, description, metadata }`
+ * @param {Object[]} [books.account_snapshots] – `{ account_id,
+ *        snapshot_date, balance }`, checked for sign only.
+ * @param {Object} [options]
+ * @param {Object} [options.fx]       – Converter from currency.js `loadFx()`;
+ *        without it amounts are used as booked.
+ * @param {string} [options.currency] – Reporting currency.
+ * @returns {{currency: string, balanced: boolean,
+ *           totals: {debit: number, credit: number, difference: number},
+ *           trialBalance: Object[], issues: Object[],
+ *           counts: {transactions: number, events: number}}}
+ *          `issues` are `{ severity, kind, message, ids }`.
+ */
+export function validateLedger(
+    { accounts, categories, transactions, account_snapshots = [] },
+    { fx, currency = DEFAULT_CURRENCY } = {}
+) {
+    const accountById = new Map(accounts.map((a) => [a.id, a]));
+    const categoryById = new Map(categories.map((c) => [c.id, c]));
+    const issues = [];
+    const issue = (severity, kind, message, ids = []) =>
+        issues.push({ severity, kind, message, ids });
+
+    const inReporting = (amount, from, date) =>
+        fx && from && from !== currency
+            ? fx.convert(amount, from, currency, date).amount
+            : Number(amount);
+
+    // Trial balance lines: accounts and nominal categories
+    const lines = new Map();
+    const post = (kind, entity, debit) => {
+        const key = `${kind}:${entity.id}`;
+        if (!lines.has(key)) {
+            lines.set(key, {
+                kind,
+                name: entity.name,
+                type: entity.type,
+                debit: 0,
+                credit: 0,
+            });
+        }
+        const line = lines.get(key);
+        if (debit >= 0) line.debit += debit;
+        else line.credit -= debit;
+    };
+
+    const events = new Map(); // key → legs still needing an offset
+    for (const t of transactions) {
+        const account = accountById.get(t.account_id);
+        if (!account) {
+            issue(
+                'error',
+                'orphan_leg',
+                `Transaction ${t.id} (${t.date}, ${t.amount}) has no account`,
+                [t.id]
+            );
+            continue;
+        }
+        const side = NORMAL_SIDE[account.type] ?? 1;
+        const debit = side * inReporting(t.amount, account.currency, t.date);
+        post('account', account, debit);
+
+        const category = categoryById.get(t.category_id);
+        const what = `transaction ${t.id} (${t.date}, ${account.name} ${
+            t.amount
+        }, "${t.description ?? ''}")`;
+
+        if (category && NOMINAL_TYPES.has(category.type)) {
+            if (NON_CASH_RE.test(category.name) && account.type === 'bank') {
+                issue(
+                    'error',
+                    'orphan_leg',
+                    `${category.name} is non-cash, but ${what} takes it ` +
+                        `out of a bank account; expected a credit to an ` +
+                        `asset account such as Equipment`,
+                    [t.id]
+                );
+                continue;
+            }
+            post('category', category, -debit);
+            const expected = category.type === 'income' ? 'credit' : 'debit';
+            const actual = -debit > 0 ? 'debit' : 'credit';
+            if (debit !== 0 && actual !== expected) {
+                issue(
+                    'warning',
+                    'sign',
+                    `${category.type} category ${category.name} is ` +
+                        `${actual}ed by ${what}`,
+                    [t.id]
+                );
+            }
+            continue;
+        }
+
+        const key = t.metadata?.event_id ?? `${t.date}|${t.category_id}`;
+        if (!events.has(key)) events.set(key, []);
+        events.get(key).push({ t, what, debit });
+    }
+
+    for (const legs of events.values()) {
+        const ids = legs.map((l) => l.t.id);
+        if (legs.length === 1) {
+            issue(
+                'error',
+                'orphan_leg',
+                `No offsetting leg for ${legs[0].what}`,
+                ids
+            );
+            continue;
+        }
+        const net = legs.reduce((acc, l) => acc + l.debit, 0);
+        if (Math.abs(net) > TOLERANCE) {
+            const debits = legs.reduce((a, l) => a + Math.max(l.debit, 0), 0);
+            issue(
+                'error',
+                'unbalanced_event',
+                `Event of ${legs[0].t.date} (transactions ${ids.join(
+                    ', '
+                )}): ` +
+                    `debits ${round2(debits)} ≠ credits ${round2(
+                        debits - net
+                    )}`,
+                ids
+            );
+        }
+    }
+
+    // Sign conventions: balances on their natural side
+    const trialBalance = [...lines.values()]
+        .map((l) => ({
+            ...l,
+            debit: round2(l.debit),
+            credit: round2(l.credit),
+        }))
+        .sort(
+            (a, b) =>
+                a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name)
+        );
+    for (const line of trialBalance.filter((l) => l.kind === 'account')) {
+        const side = NORMAL_SIDE[line.type] ?? 1;
+        const natural = round2(side * (line.debit - line.credit));
+        if (natural < -TOLERANCE) {
+            issue(
+                'warning',
+                'sign',
+                `${line.type} account ${line.name} has a ${
+                    side > 0 ? 'credit' : 'debit'
+                } balance of ${Math.abs(natural)}`
+            );
+        }
+    }
+    for (const s of account_snapshots) {
+        if (Number(s.balance) >= 0) continue;
+        const account = accountById.get(s.account_id);
+        issue(
+            'warning',
+            'sign',
+            `Snapshot of ${account?.name ?? s.account_id} on ` +
+                `${s.snapshot_date} is ${s.balance}; balances are stored ` +
+                `on the account’s natural side, as positive amounts`
+        );
+    }
+
+    const debit = round2(trialBalance.reduce((a, l) => a + l.debit, 0));
+    const credit = round2(trialBalance.reduce((a, l) => a + l.credit, 0));
+    const difference = round2(debit - credit);
+    return {
+        currency,
+        balanced:
+            Math.abs(difference) <= TOLERANCE &&
+            !issues.some((i) => i.severity === 'error'),
+        totals: { debit, credit, difference },
+        trialBalance,
+        issues,
+        counts: { transactions: transactions.length, events: events.size },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Index                                                                   */
+/* -------------------------------------------------------------------------- */
+
+/** Index of the last element of sorted `dates` that is ≤ `date`, or −1. */
+function lastOnOrBefore(dates, date) {
+    let lo = 0;
+    let hi = dates.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (dates[mid] <= date) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo - 1;
+}
+
+/**
+ * Index a ledger for the repeated sums snapshots.js and statements.js make
+ * over it: each row with its `account` and `category`, and running
+ * balances per account.  Amounts are converted into the reporting currency
+ * on first use, so rows nothing sums need no FX rate.
+ *
+ * @param {Object}   books
+ * @param {Object[]} books.accounts     – `{ id, currency, … }`
+ * @param {Object[]} books.categories   – `{ id, type, … }`
+ * @param {Object[]} books.transactions – `{ account_id, category_id, date,
+ *        amount }`
+ * @param {Object}   [options]
+ * @param {Object}   [options.fx]       – Converter from currency.js
+ *        `loadFx()`.
+ * @param {string}   [options.currency] – Reporting currency.
+ * @returns {{accountIds: string[],
+ *           flow: (pred: (row: Object) => boolean, start: string|null,
+ *                  end: string) => number,
+ *           balance: (accountId: string, date: string) => number|null,
+ *           closing: (account: Object, date: string) => number,
+ *           historical: (account: Object, date: string) => number}}
+ *          `flow` sums the reporting-currency amounts of the rows matching
+ *          `pred` in [start, end] (no start: from the first row).
+ *          `balance` is in the account’s own currency, null before its
+ *          first transaction.  `closing` is that balance converted at
+ *          `date`; `historical` converts each row at its own date.
+ */
+export function indexLedger(
+    { accounts, categories, transactions },
+    { fx, currency = DEFAULT_CURRENCY } = {}
+) {
+    const accountById = new Map(accounts.map((a) => [a.id, a]));
+    const categoryById = new Map(categories.map((c) => [c.id, c]));
+    const from = (accountId) =>
+        accountById.get(accountId)?.currency || currency;
+    const convert = (amount, cur, date) =>
+        fx && cur !== currency
+            ? fx.convert(amount, cur, currency, date).amount
+            : Number(amount);
+
+    const rows = [...transactions]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((t) => ({
+            ...t,
+            account: accountById.get(t.account_id),
+            category: categoryById.get(t.category_id),
+        }));
+    const reported = new Map(); // row → amount in the reporting currency
+    const reportedOf = (t) => {
+        if (!reported.has(t)) {
+            reported.set(t, convert(t.amount, from(t.account_id), t.date));
+        }
+        return reported.get(t);
+    };
+
+    // account_id → { dates, totals } cumulative by date
+    const running = new Map();
+    for (const t of rows) {
+        if (!running.has(t.account_id)) {
+            running.set(t.account_id, { dates: [], totals: [] });
+        }
+        const r = running.get(t.account_id);
+        r.dates.push(t.date);
+        r.totals.push((r.totals.at(-1) ?? 0) + Number(t.amount));
+    }
+
+    const flow = (pred, start, end) =>
+        rows
+            .filter((t) => (!start || t.date >= start) && t.date <= end)
+            .filter(pred)
+            .reduce((acc, t) => acc + reportedOf(t), 0);
+    const balance = (accountId, date) => {
+        const r = running.get(accountId);
+        const i = r ? lastOnOrBefore(r.dates, date) : -1;
+        return i < 0 ? null : r.totals[i];
+    };
+
+    return {
+        accountIds: [...running.keys()],
+        flow,
+        balance,
+        closing(account, date) {
+            const native = balance(account.id, date) ?? 0;
+            // An empty account needs no rate (e.g. before the first one)
+            return native && convert(native, from(account.id), date);
+        },
+        historical(account, date) {
+            return flow((t) => t.account_id === account.id, null, date);
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Loading                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Load and validate one user’s ledger.
+ *
+ * @async
+ * @param {SupabaseClient} supabase – Client able to read the user’s tables.
+ * @param {string}         userId
+ * @returns {Promise<ReturnType<typeof validateLedger>>}
+ */
+export async function checkLedger(supabase, userId) {
+    const scoped = (table, columns) => () =>
+        supabase.from(table).select(columns).eq('user_id', userId).order('id');
+    const [accounts, categories, transactions, snapshots, fx, currency] =
+        await Promise.all([
+            selectAll(scoped('accounts', 'id, name, type, currency')),
+            selectAll(scoped('categories', 'id, name, type')),
+            selectAll(
+                scoped(
+                    'transactions',
+                    'id, account_id, category_id, date, amount, description, metadata'
+                )
+            ),
+            selectAll(
+                scoped(
+                    'account_snapshots',
+                    'account_id, snapshot_date, balance'
+                )
+            ),
+            loadFx(supabase),
+            reportingCurrency(supabase, userId),
+        ]);
+    return validateLedger(
+        { accounts, categories, transactions, account_snapshots: snapshots },
+        { fx, currency }
+    );
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) Reporting                                                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * One-line verdict, e.g. “3 errors, 2 warnings; debits 54,300.00 ≠ credits
+ * 55,800.00”.
+ *
+ * @param {ReturnType<typeof validateLedger>} report
+ * @returns {string}
+ */
+export function summarizeLedger({ issues, totals, balanced }) {
+    const count = (severity) =>
+        issues.filter((i) => i.severity === severity).length;
+    const fmt = (n) =>
+        n.toLocaleString('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+        });
+    return (
+        `${count('error')} errors, ${count('warning')} warnings; ` +
+        `debits ${fmt(totals.debit)} ${balanced ? '=' : '≠'} credits ${fmt(
+            totals.credit
+        )}`
+    );
+}
+
+/**
+ * Render the trial balance and every issue as a text report.
+ *
+ * @param {ReturnType<typeof validateLedger>} report
+ * @returns {string}
+ */
+export function formatLedgerReport(report) {
+    const { currency, trialBalance, totals, issues } = report;
+    const num = (n) =>
+        (n
+            ? n.toLocaleString('en-US', { minimumFractionDigits: 2 })
+            : ''
+        ).padStart(14);
+    const row = (name, debit, credit) =>
+        `  ${name.padEnd(28)}${num(debit)}${num(credit)}`;
+
+    const lines = [
+        `Trial balance (${currency})`,
+        `  ${'Account'.padEnd(28)}${'Debit'.padStart(14)}${'Credit'.padStart(
+            14
+        )}`,
+        ...trialBalance.map((l) =>
+            row(
+                l.kind === 'account' ? l.name : `${l.name} (${l.type})`,
+                l.debit,
+                l.credit
+            )
+        ),
+        row('Total', totals.debit, totals.credit),
+        '',
+    ];
+    for (const [severity, mark] of [
+        ['error', '✖'],
+        ['warning', '⚠️ '],
+    ]) {
+        const found = issues.filter((i) => i.severity === severity);
+        if (!found.length) continue;
+        lines.push(`${severity === 'error' ? 'Errors' : 'Warnings'}:`);
+        lines.push(...found.map((i) => `  ${mark} [${i.kind}] ${i.message}`));
+        lines.push('');
+    }
+    lines.push(
+        `${
+            report.balanced
+                ? '✅ Ledger balances'
+                : '❌ Ledger does not balance'
+        }: ${summarizeLedger(report)}`
+    );
+    return lines.join('\n');
+}
+
+/* -------------------------------------------------------------------------- */
+/* 5) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const supabase = createDataClient();
+    const userId = process.argv[2] || process.env.DUMMY_USER_ID;
+    if (!userId) {
+        throw new Error('Usage: node ledger.js <user_id> (or DUMMY_USER_ID)');
+    }
+    const report = await checkLedger(supabase, userId);
+    console.log(formatLedgerReport(report));
+    if (!report.balanced) process.exitCode = 1;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Ledger check failed:', err.message);
+        process.exit(1);
+    });
+}
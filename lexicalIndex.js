@@ -0,0 +1,93 @@
+/**
+ * In-memory BM25 index over serialised document content.
+ *
+ * Vector similarity is good at *meaning* (“burn rate” ≈ “monthly expense”)
+ * but weak at *exact tokens*: vendor names, invoice amounts, account names.
+ * BM25 is the opposite, so retrieval.js fuses the two.
+ *
+ * Tokenisation is intentionally simple and finance-aware:
+ *   • lower-cased runs of letters/digits (“OfficeRentCo” → `officerentco`);
+ *   • thousands separators removed, so “2,000” and `2000` match;
+ *   • decimals kept intact (`5533.33`);
+ *   • a short English stop-word list and trailing-“s” plural folding.
+ * ============================================================================
+ */
+
+/** BM25 parameters – the usual defaults from the literature. */
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set(
+    (
+        'a an and are as at be by did do does for from had has have how i ' +
+        'in is it its me my of on or our so that the their this to was ' +
+        'we were what when which who why will with you your'
+    ).split(' ')
+);
+
+/**
+ * Split text into index terms.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (
+        text
+            .toLowerCase()
+            .replace(/(\d),(?=\d{3}\b)/g, '$1')
+            .match(/[\p{L}\p{N}]+(?:\.\d+)?/gu) ?? []
+    )
+        .filter((t) => !STOP_WORDS.has(t))
+        .map((t) => (t.length > 3 && /[a-z]s$/.test(t) ? t.slice(0, -1) : t));
+}
+
+/**
+ * Build a BM25 index.
+ *
+ * @param {Object[]} docs – Items with at least a `content` string; returned
+ *        as-is from `search()`.
+ * @returns {{size: number, search: (query: string, k?: number) =>
+ *            Array<{doc: Object, score: number}>}}
+ */
+export function createBm25Index(docs) {
+    const postings = new Map(); // term → [[docIdx, tf], …]
+    const lengths = [];
+
+    docs.forEach((doc, i) => {
+        const terms = tokenize(doc.content ?? '');
+        lengths.push(terms.length);
+        const tf = new Map();
+        for (const t of terms) tf.set(t, (tf.get(t) ?? 0) + 1);
+        for (const [t, n] of tf) {
+            if (!postings.has(t)) postings.set(t, []);
+            postings.get(t).push([i, n]);
+        }
+    });
+
+    const avgLen = lengths.reduce((a, b) => a + b, 0) / (docs.length || 1);
+
+    return {
+        size: docs.length,
+
+        search(query, k = 10) {
+            const scores = new Map();
+            for (const term of new Set(tokenize(query))) {
+                const list = postings.get(term);
+                if (!list) continue;
+                const idf = Math.log(
+                    1 + (docs.length - list.length + 0.5) / (list.length + 0.5)
+                );
+                for (const [i, tf] of list) {
+                    const norm = K1 * (1 - B + (B * lengths[i]) / avgLen);
+                    const s = (idf * tf * (K1 + 1)) / (tf + norm);
+                    scores.set(i, (scores.get(i) ?? 0) + s);
+                }
+            }
+            return [...scores]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, k)
+                .map(([i, score]) => ({ doc: docs[i], score }));
+        },
+    };
+}
@@ -0,0 +1,440 @@
+/**
+ * Query analysis: turn a free-text question into hard retrieval filters.
+ *
+ * “What was my March burn rate?” should not rely on vector similarity to
+ * *happen* to surface March rows.  Before retrieval we extract:
+ *
+ *   • a **period**   – months, month ranges, quarters, “last 90 days”,
+ *                      “last week”, YTD, “last year”, years (“in 2024”,
+ *                      “FY2024”, “2023 vs 2024”), explicit ISO dates;
+ *   • **tables**     – invoices, bills, budgets, balances, burn…;
+ *   • **entities**   – categories, customers, vendors and accounts whose
+ *                      names (from the user’s own books) appear verbatim.
+ *
+ * The result scopes both the KPI engine (period) and the retriever
+ * (`toRetrievalFilter()`), so period-scoped answers use exactly the right
+ * rows.
+ *
+ * RELATIVE DATES
+ * --------------
+ * “Last month” is resolved against an `asOf` date.  queryBot.js passes the
+ * date of the user’s latest transaction, so relative phrases refer to the
+ * books rather than the wall clock (seeded demo data lives in 2025).
+ * Months named without a year resolve to their most recent occurrence on or
+ * before `asOf`.
+ * ============================================================================
+ */
+
+const MONTHS = [
+    'jan',
+    'feb',
+    'mar',
+    'apr',
+    'may',
+    'jun',
+    'jul',
+    'aug',
+    'sep',
+    'oct',
+    'nov',
+    'dec',
+];
+
+/** Full month names and their usual abbreviations, optionally + year. */
+const MONTH_RE =
+    /\b(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\b\.?(?:\s+(\d{4}))?/gi;
+
+/** “May” is also a verb; only trust it with a year or a preposition. */
+const MAY_CONTEXT_RE =
+    /\b(?:in|of|for|during|since|from|to|through|until)\s+$/i;
+
+/**
+ * A bare 20xx is a year only with year context (“in 2024”, “FY2024”) or as
+ * one end of a year range (“2024 vs 2023”); next to money words it is an
+ * amount (“spent 2000”, “2024 dollars”).
+ */
+const YEAR_RE = /(?:\bfy\s*|\b)(20\d{2})\b/gi;
+const YEAR_CONTEXT_RE =
+    /\b(?:in|during|since|through|throughout|until|(?:fiscal |calendar )?year)\s+$/i;
+const YEAR_RANGE_RE =
+    /^\s*(?:vs\.?|versus|to|through|until|and|or|-|–|compared (?:to|with))\s*$/i;
+const AMOUNT_BEFORE_RE =
+    /(?:[$€£]|\b(?:usd|eur|gbp|spen[dt]|paid|pay|cost|costs|amount|total|over|under|above|below|about|around|of|for))\s*$/i;
+const AMOUNT_AFTER_RE =
+    /^\s*(?:[$€£%]|k\b|(?:dollars?|usd|euros?|eur|pounds?|gbp)\b|[.,]\d)/i;
+
+const ORDINAL_QUARTERS = {
+    first: 1,
+    '1st': 1,
+    second: 2,
+    '2nd': 2,
+    third: 3,
+    '3rd': 3,
+    fourth: 4,
+    '4th': 4,
+};
+
+/** Keyword → tables that answer it. */
+const TABLE_HINTS = [
+    [/\binvoices?\b|\breceivables?\b|\ba\/r\b/i, ['invoices', 'customers']],
+    [/\bbills?\b|\bpayables?\b|\ba\/p\b/i, ['bills', 'vendors']],
+    [/\bbudget(?:s|ed)?\b/i, ['budgets', 'transactions']],
+    [/\bburn\b|\bmonthly expenses?\b/i, ['monthly_expense_snapshots']],
+    [/\bbalances?\b/i, ['account_snapshots', 'accounts']],
+    [
+        /\bbalance sheets?\b|\bp&l\b|\bprofit (?:and|&) loss\b|\b(?:income|cash[- ]flow|financial) statements?\b/i,
+        ['financial_statements'],
+    ],
+    [/\btransactions?\b|\bspen[dt]\b|\bpurchases?\b/i, ['transactions']],
+];
+
+/* -------------------------------------------------------------------------- */
+/* 1) Date helpers (UTC throughout, ISO yyyy-mm-dd strings out)               */
+/* -------------------------------------------------------------------------- */
+
+const iso = (d) => d.toISOString().slice(0, 10);
+const utc = (y, m, d = 1) => new Date(Date.UTC(y, m, d));
+const monthStart = (y, m) => iso(utc(y, m, 1));
+const monthEnd = (y, m) => iso(utc(y, m + 1, 0));
+
+/** Most recent year in which month `m` started on or before `asOf`. */
+function yearFor(m, asOf) {
+    return m <= asOf.getUTCMonth()
+        ? asOf.getUTCFullYear()
+        : asOf.getUTCFullYear() - 1;
+}
+
+/** Shift `date` back by `n` units, returning the inclusive start date. */
+function minus(date, n, unit) {
+    const d = new Date(date);
+    if (unit === 'day') d.setUTCDate(d.getUTCDate() - n + 1);
+    if (unit === 'week') d.setUTCDate(d.getUTCDate() - 7 * n + 1);
+    if (unit === 'month') {
+        // Clamp the day to the target month: 03-31 minus 1 month is 02-28
+        const y = d.getUTCFullYear();
+        const m = d.getUTCMonth() - n;
+        const day = Math.min(d.getUTCDate(), utc(y, m + 1, 0).getUTCDate());
+        return iso(utc(y, m, day + 1));
+    }
+    return iso(d);
+}
+
+/** Years a question names as years (see YEAR_RE), in order of mention. */
+function explicitYears(q) {
+    const found = [...q.matchAll(YEAR_RE)].map((mm) => {
+        const before = q.slice(0, mm.index);
+        const after = q.slice(mm.index + mm[0].length);
+        const fy = /^fy/i.test(mm[0]);
+        return {
+            year: Number(mm[1]),
+            start: mm.index,
+            end: mm.index + mm[0].length,
+            amount:
+                !fy &&
+                (AMOUNT_BEFORE_RE.test(before) || AMOUNT_AFTER_RE.test(after)),
+            context: fy || YEAR_CONTEXT_RE.test(before),
+        };
+    });
+    const years = new Set();
+    found.forEach((c, i) => {
+        if (c.amount) return;
+        const next = found[i + 1];
+        const ranged =
+            next &&
+            !next.amount &&
+            YEAR_RANGE_RE.test(q.slice(c.end, next.start));
+        if (ranged) years.add(c.year).add(next.year);
+        else if (c.context) years.add(c.year);
+    });
+    return [...years];
+}
+
+function quarter(y, q) {
+    return { start: monthStart(y, (q - 1) * 3), end: monthEnd(y, q * 3 - 1) };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Period extraction                                                       */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Extract a date range from a question.  Rules are tried from most to least
+ * explicit; the first match wins.
+ *
+ * @param {string} q    – The question.
+ * @param {Date}   asOf – Anchor for relative phrases.
+ * @returns {{start: string, end: string, label: string}|null}
+ */
+export function extractPeriod(q, asOf) {
+    const today = iso(asOf);
+    const y = asOf.getUTCFullYear();
+    const m = asOf.getUTCMonth();
+    let match;
+
+    // Explicit ISO dates: a range, or a single “as of” day.
+    const dates = q.match(/\b\d{4}-\d{2}-\d{2}\b/g);
+    if (dates?.length >= 2) {
+        const sorted = [...dates].sort();
+        const [start, end] = [sorted[0], sorted.at(-1)];
+        return { start, end, label: `${start} to ${end}` };
+    }
+    if (dates?.length === 1) {
+        return { start: dates[0], end: dates[0], label: dates[0] };
+    }
+
+    // “last 90 days”, “past 6 months”, “last 2 weeks”
+    if (
+        (match = q.match(
+            /\b(?:last|past|previous)\s+(\d+)\s+(day|week|month)s?\b/i
+        ))
+    ) {
+        const [, n, unit] = match;
+        return {
+            start: minus(asOf, Number(n), unit.toLowerCase()),
+            end: today,
+            label: match[0],
+        };
+    }
+    if ((match = q.match(/\bpast\s+(day|week|month)\b/i))) {
+        return {
+            start: minus(asOf, 1, match[1].toLowerCase()),
+            end: today,
+            label: match[0],
+        };
+    }
+
+    // “last week”: the previous Monday-to-Sunday week, like “last month”
+    if (/\b(?:last|previous)\s+week\b/i.test(q)) {
+        const sunday = new Date(asOf);
+        sunday.setUTCDate(sunday.getUTCDate() - (sunday.getUTCDay() || 7));
+        const start = minus(sunday, 1, 'week');
+        return {
+            start,
+            end: iso(sunday),
+            label: `week of ${start}`,
+        };
+    }
+
+    // Year to date / this year / last year / an explicit year without months
+    if (/\b(?:ytd|year[- ]to[- ]date|this year)\b/i.test(q)) {
+        return { start: monthStart(y, 0), end: today, label: 'year to date' };
+    }
+    if (/\blast year\b/i.test(q)) {
+        return {
+            start: monthStart(y - 1, 0),
+            end: monthEnd(y - 1, 11),
+            label: `${y - 1}`,
+        };
+    }
+
+    // Quarters: “Q1”, “Q1 2025”, “first quarter”, “last/this quarter”
+    if (
+        (match =
+            q.match(/\bq([1-4])(?:\s*(\d{4}))?\b/i) ||
+            q.match(
+                /\b(first|second|third|fourth|1st|2nd|3rd|4th)\s+quarter(?:\s+(?:of\s+)?(\d{4}))?\b/i
+            ))
+    ) {
+        const n = ORDINAL_QUARTERS[match[1].toLowerCase()] ?? Number(match[1]);
+        const qStart = (n - 1) * 3;
+        const year = match[2] ? Number(match[2]) : qStart <= m ? y : y - 1;
+        return { ...quarter(year, n), label: `Q${n} ${year}` };
+    }
+    const currentQ = Math.floor(m / 3) + 1;
+    if (/\blast quarter\b/i.test(q)) {
+        const [year, n] = currentQ === 1 ? [y - 1, 4] : [y, currentQ - 1];
+        return { ...quarter(year, n), label: `Q${n} ${year}` };
+    }
+    if (/\bthis quarter\b/i.test(q)) {
+        return {
+            start: quarter(y, currentQ).start,
+            end: today,
+            label: `Q${currentQ} ${y} to date`,
+        };
+    }
+
+    // Named months: one month, or the span from the earliest to the latest.
+    const months = [...q.matchAll(MONTH_RE)]
+        .filter(
+            (mm) =>
+                mm[1].toLowerCase() !== 'may' ||
+                mm[2] ||
+                MAY_CONTEXT_RE.test(q.slice(0, mm.index))
+        )
+        .map((mm) => {
+            const idx = MONTHS.indexOf(mm[1].toLowerCase().slice(0, 3));
+            return { y: Number(mm[2]) || yearFor(idx, asOf), m: idx };
+        });
+    if (months.length) {
+        const key = (p) => p.y * 12 + p.m;
+        const first = months.reduce((a, b) => (key(b) < key(a) ? b : a));
+        const last = months.reduce((a, b) => (key(b) > key(a) ? b : a));
+        const start = monthStart(first.y, first.m);
+        const end = monthEnd(last.y, last.m);
+        return {
+            start,
+            end,
+            label:
+                start === monthStart(last.y, last.m)
+                    ? start.slice(0, 7)
+                    : `${start} to ${end}`,
+        };
+    }
+
+    if (/\blast month\b/i.test(q)) {
+        const [year, mon] = m === 0 ? [y - 1, 11] : [y, m - 1];
+        return {
+            start: monthStart(year, mon),
+            end: monthEnd(year, mon),
+            label: monthStart(year, mon).slice(0, 7),
+        };
+    }
+    if (/\bthis month\b/i.test(q)) {
+        return { start: monthStart(y, m), end: today, label: 'month to date' };
+    }
+
+    const years = explicitYears(q);
+    if (years.length) {
+        const [first, last] = [Math.min(...years), Math.max(...years)];
+        return {
+            start: monthStart(first, 0),
+            end: monthEnd(last, 11),
+            label: first === last ? `${first}` : `${first} to ${last}`,
+        };
+    }
+
+    return null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Entity & table extraction                                               */
+/* -------------------------------------------------------------------------- */
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Entries of `list` whose `name` appears in the question as whole words. */
+function mentioned(q, list = []) {
+    return list.filter(
+        (e) => e.name && new RegExp(`\\b${escapeRe(e.name)}\\b`, 'i').test(q)
+    );
+}
+
+/**
+ * Load the names the analyser can recognise for one user.
+ *
+ * @async
+ * @param {SupabaseClient} supabase
+ * @param {string}         userId
+ * @returns {Promise<{categories: Object[], customers: Object[],
+ *                    vendors: Object[], accounts: Object[]}>}
+ */
+export async function loadLexicon(supabase, userId) {
+    const tables = ['categories', 'customers', 'vendors', 'accounts'];
+    const entries = await Promise.all(
+        tables.map(async (table) => {
+            const { data, error } = await supabase
+                .from(table)
+                .select('id, name')
+                .eq('user_id', userId);
+            if (error) throw error;
+            return [table, data];
+        })
+    );
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Analyse a question.
+ *
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf=new Date()] – Anchor for relative dates.
+ * @param {Object} [options.lexicon] – Output of `loadLexicon()`.
+ * @returns {{period: Object|null, tables: string[], categories: Object[],
+ *            customers: Object[], vendors: Object[], accounts: Object[]}}
+ */
+export function analyzeQuestion(
+    question,
+    { asOf = new Date(), lexicon = {} } = {}
+) {
+    const anchor = new Date(asOf);
+    const entities = {
+        categories: mentioned(question, lexicon.categories),
+        customers: mentioned(question, lexicon.customers),
+        vendors: mentioned(question, lexicon.vendors),
+        accounts: mentioned(question, lexicon.accounts),
+    };
+
+    const tables = new Set(
+        TABLE_HINTS.filter(([re]) => re.test(question)).flatMap(([, t]) => t)
+    );
+    // Keep the rows that *name* a mentioned entity alongside the hinted ones.
+    if (tables.size) {
+        for (const [kind, hits] of Object.entries(entities)) {
+            if (hits.length) tables.add(kind);
+        }
+    }
+
+    return {
+        period: extractPeriod(question, anchor),
+        tables: [...tables],
+        ...entities,
+    };
+}
+
+/**
+ * Translate an analysis into the filter understood by vectorStore.js and
+ * retrieval.js.  Empty parts are omitted so they do not constrain anything.
+ *
+ * @param {ReturnType<typeof analyzeQuestion>} analysis
+ * @returns {Object} `{ tables?, dateRange?, entities? }`
+ */
+export function toRetrievalFilter(analysis) {
+    const entities = Object.fromEntries(
+        [
+            ['category_id', analysis.categories],
+            ['customer_id', analysis.customers],
+            ['vendor_id', analysis.vendors],
+            ['account_id', analysis.accounts],
+        ]
+            .filter(([, hits]) => hits.length)
+            .map(([key, hits]) => [key, hits.map((h) => String(h.id))])
+    );
+    return {
+        ...(analysis.tables.length && { tables: analysis.tables }),
+        ...(analysis.period && {
+            dateRange: {
+                start: analysis.period.start,
+                end: analysis.period.end,
+            },
+        }),
+        ...(Object.keys(entities).length && { entities }),
+    };
+}
+
+/**
+ * One-line summary for the prompt, so the model knows how rows were scoped.
+ *
+ * @param {ReturnType<typeof analyzeQuestion>} analysis
+ * @returns {string}
+ */
+export function describeScope(analysis) {
+    const parts = [];
+    if (analysis.period) {
+        parts.push(
+            `period="${analysis.period.start} to ${analysis.period.end}"`
+        );
+    }
+    if (analysis.tables.length)
+        parts.push(`tables=${analysis.tables.join(',')}`);
+    for (const kind of ['categories', 'customers', 'vendors', 'accounts']) {
+        if (analysis[kind].length) {
+            parts.push(
+                `${kind}=${analysis[kind].map((e) => `"${e.name}"`).join(',')}`
+            );
+        }
+    }
+    return parts.length
+        ? `Scope | ${parts.join(' | ')}`
+        : 'Scope | none (whole ledger)';
+}
@@ -8,7 +8,7 @@
  *   1. Pulling *only* the rows relevant to the current question from Supabase.
  *   2. Augmenting the prompt with human-readable “knowledge-base” formulas
  *      (e.g. how to compute Current Ratio, Gross Margin, etc.).
- *   3. Persisting a lightweight, *local* chat history so the model can explain
+ *   3. Persisting chat history (historyStore.js) so the model can explain
  *      its prior answers (“Why did we say…?”) while still adhering to the
  *      “RAG wall”--the model must never hallucinate numbers that are not in
  *      context.
@@ -19,28 +19,47 @@
  * │ main()                                                                 │
  * │   ├ greet() – reminds us whom we are talking to                        │
  * │   ├ answer(question)                                                   │
- * │   │   ├ loadHistory(user) – prior turns for continuity                 │
- * │   │   ├ fetchContext(question) – formulas + top-k data rows            │
+ * │   │   ├ recallConversation() – summary + recent turns (compacts)       │
+ * │   │   ├ fetchContext(question) – formulas + KPIs + top-k data rows     │
  * │   │   ├ build messages – system → context → user                       │
- * │   │   ├ openai.chat.completions.create                                 │
- * │   │   └ saveHistory(user, …)                                           │
- * │   └ print the answer                                                   │
+ * │   │   ├ openai.chat.completions.create (+ finance tools in tools mode) │
+ * │   │   ├ verifyAnswer(reply) – citations + numbers; retry or refuse     │
+ * │   │   └ historyStore.append(user, …) – turns + citation metadata       │
+ * │   └ print the answer (streamed token by token)                         │
+ * │ No question → repl(): prompt loop + /history /clear /sources /user …   │
  * └─────────────────────────────────────────────────────────────────────────┘
  *
  * DESIGN REASONING, BENEFITS & PITFALLS
  * -------------------------------------
- * • **Local chat memory** allows continuity across CLI invocations without
- *   incurring OpenAI token-costs for old turns.  *Pitfall:* JSON file writes
- *   are not atomic; concurrent shells could clobber each other.
+ * • **Chat memory** (historyStore.js: a locked, atomically written JSON file
+ *   or the `chat_messages` table) allows continuity across CLI invocations
+ *   and named conversations per user.  At most HISTORY_LIMIT raw turns
+ *   reach the prompt; older ones are folded into a stored running summary
+ *   (conversationMemory.js), so the model still knows what it said before
+ *   at a fixed token cost.  *Pitfall:* the summary is lossy—phrasing is
+ *   gone, and a dropped number can no longer be explained.
  *
- * • **Vector search in Postgres** (via Supabase RPC) keeps the model stateless
+ * • **Vector search in Postgres** (via Supabase RPC, or the local store from
+ *   vectorStore.js when VECTOR_STORE=local) keeps the model stateless
  *   and limits how much private data ever hits the prompt.  *Pitfall:* badly
  *   serialized rows (e.g. opaque IDs) will never match an embedding, leading
  *   to “I don’t know” answers even though the data exists.
  *
  * • **Strict system prompt** enforces the RAG wall: the assistant must cite
- *   rows and formulas or politely refuse.  *Pitfall:* a malformed or missing
- *   citation may leak hallucinations that look real.
+ *   rows and formulas or politely refuse.  Every context chunk is tagged
+ *   with its source (`[table:id]`), and citations.js checks that each number
+ *   in the reply comes from—or is derivable from—the rows it cites.  A
+ *   failing reply is retried once with the problems spelled out, then
+ *   replaced by the refusal message.  *Pitfall:* the derivation check is
+ *   shallow, so unexplained multi-step arithmetic is refused rather than
+ *   trusted.
+ *
+ * • **Tool-calling mode** (`--tools`, `mode: 'tools'`) swaps the data rows
+ *   for user-scoped aggregation functions (financeTools.js): the model asks
+ *   for a sum, balance, open-item list or KPI and JS computes it over the
+ *   whole table.  Each result is tagged `[tool:<name>-<n>]`, logged, and
+ *   verified like any other source.  *Pitfall:* the model can still pick
+ *   the wrong tool or filters; the logged calls show which it used.
  *
  * • **Temperature 0** keeps answers deterministic—important for financial
  *   compliance—but can produce terse phrasing.  We accept the trade-off.
@@ -48,155 +67,347 @@
 
 import 'dotenv/config';
 import fs from 'fs';
-import { createClient } from '@supabase/supabase-js';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
 import OpenAI from 'openai';
+import { createDataClient } from './dataStore.js';
+import { computeKpis, formatKpi, resolvePeriod } from './kpis.js';
+import {
+    analyzeQuestion,
+    describeScope,
+    loadLexicon,
+    toRetrievalFilter,
+} from './queryAnalysis.js';
+import { describeProblems, makeTag, slug, verifyAnswer } from './citations.js';
+import { createEmbedder, memoizeEmbedder } from './embeddings.js';
+import { createVectorStore } from './vectorStore.js';
+import { createRetriever } from './retrieval.js';
+import { createFormulaRetriever } from './knowledgeBase.js';
+import { createHistoryStore, DEFAULT_CONVERSATION } from './historyStore.js';
+import { recallConversation } from './conversationMemory.js';
+import { createFinanceTools } from './financeTools.js';
+import { createBm25Index } from './lexicalIndex.js';
+import {
+    budgetFor,
+    describeDropped,
+    MESSAGE_OVERHEAD,
+    packContext,
+} from './contextPacker.js';
 
 // ──────────────────────────────
 // 0) Constants & singletons
 // ──────────────────────────────
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const supabase = createDataClient(); // DATA_STORE=supabase|local
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const store = createVectorStore({ supabase }); // VECTOR_STORE=supabase|local
+// EMBEDDING_PROVIDER; rows and formulas are searched with one question vector
+const embedder = memoizeEmbedder(createEmbedder({ client: openai }), {
+    maxEntries: 100,
+});
 
 const USER_ID = process.env.DUMMY_USER_ID; // current user
-const HISTORY_FILE = 'chat_history.json'; // on-disk cache for chat memory
-const HISTORY_LIMIT = 10; // keep last N assistant turns (≈ short-term memory)
+const HISTORY_LIMIT = 10; // most raw turns sent to the model (≈ short-term memory)
+const HISTORY_KEEP = 4; // raw turns left once older ones are summarized
+const CITATION_RETRIES = 1; // re-asks after a failed citation check
+const CHAT_MODEL = process.env.CHAT_MODEL || 'gpt-4o-mini'; // budget: contextPacker.js
+const MAX_REPLY_TOKENS = 700; // reserved for the reply on top of the prompt
+const ANSWER_MODE = process.env.ANSWER_MODE || 'rag'; // rag | tools
+const MAX_TOOL_ROUNDS = 4; // model turns that may call tools
+const MAX_TOOL_CALLS = 8; // tool calls per question, across rounds
+export const REFUSAL =
+    'I’m a financial assistant and can only provide answers based on the financial data available to me.';
+
+/** System prompt: the RAG wall and the citation rules. */
+const POLICY_PROMPT = [
+    'You are a senior financial analyst assistant, expert in accounting.',
+    'For **financial** questions, you may ONLY use the supplied context.',
+    'If information is missing, respond exactly:',
+    `"${REFUSAL}"`,
+    'For **meta** questions about your previous answers (e.g. "why did you …"),',
+    'you may explain your reasoning even if that reasoning isn’t in the context.',
+    '- Every context line starts with a tag such as [transactions:<id>],',
+    '[kpi:<name>] or [formula:<name>]. Cite the tag, copied exactly and in',
+    'square brackets, right after every number you give. Only use numbers',
+    'that appear in the rows you cite or that you calculate from them step by step.',
+    '- When a VERIFIED KPI answers the question, quote its value and inputs exactly;',
+    'never recompute a KPI from data rows or contradict a verified value.',
+    '- Totals and KPIs are in the reporting currency named in the context.',
+    'When a row or tool result gives an amount in another currency together',
+    'with its converted value (e.g. amount and amount_usd), state both.',
+].join(' ');
+
+/** Added to the policy in tools mode (see financeTools.js). */
+const TOOLS_PROMPT = [
+    'You can call finance tools that query the user’s complete books.',
+    'For totals, balances, open invoices or bills and KPIs, call a tool',
+    'instead of adding up data rows yourself. Every tool result starts with',
+    'a tag such as [tool:sum_transactions-1]; cite it after each number taken',
+    'from that result. If a tool returns an error, fix the arguments or say',
+    'the data is not available.',
+].join(' ');
+
+/** Heading of the running-summary message (see conversationMemory.js). */
+const SUMMARY_HEADING =
+    'Summary of the earlier conversation (numbers are from your own earlier answers):';
 
 // ──────────────────────────────
-// 1) Utilities – chat history
+// 1) Chat history (see historyStore.js)
 // ──────────────────────────────
 
-/**
- * Reads the last few assistant/user messages for USER_ID from disk.
- * Returns an array of { role, content } objects ready to prepend to a chat.
- */
-function loadHistory(userId) {
-    try {
-        const raw = fs.readFileSync(HISTORY_FILE, 'utf8');
-        const all = JSON.parse(raw);
-        return all[userId]?.slice(-HISTORY_LIMIT) ?? [];
-    } catch {
-        return [];
-    }
-}
+/** Conversations per user; `HISTORY_STORE=file|supabase`. */
+export const historyStore = createHistoryStore({ supabase });
 
-/**
- * Persists the conversation back to disk.  The file is a JSON object
- * keyed by userId so multiple users could share the same store.
- */
-function saveHistory(userId, history) {
-    let all = {};
-    try {
-        all = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
-    } catch {
-        /* ignore – fresh file */
-    }
-    all[userId] = history.slice(-HISTORY_LIMIT);
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(all, null, 2));
-}
+/** Stored turns → chat messages (the API rejects extra fields). */
+const toMessages = (turns) =>
+    turns.map(({ role, content }) => ({ role, content }));
 
 // ──────────────────────────────
 // 2) Greeting
 // ──────────────────────────────
-async function greet() {
+async function greet(userId = USER_ID) {
     const { data, error } = await supabase
         .from('profiles')
         .select('name')
-        .eq('id', USER_ID)
+        .eq('id', userId)
         .single();
     if (error) throw error;
     console.log(`👋 Hello ${data?.name || 'there'}!`);
 }
 
 // ──────────────────────────────
-// 3) Embeddings helper
+// 3) Retriever – vector + BM25 with rank fusion (see retrieval.js)
 // ──────────────────────────────
-async function embed(text) {
-    const res = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: text,
-        encoding_format: 'float',
-    });
-    return res.data[0].embedding;
-}
+// Exported so callers that change the index (server.js) can invalidate the
+// cached lexical index.
+export const retriever = createRetriever({ store, embedder });
+
+/** Glossary formulas for a question, with their dependencies. */
+export const formulaRetriever = createFormulaRetriever({
+    supabase,
+    store,
+    embedder,
+});
 
 // ──────────────────────────────
 // 4) Retrieve KB + data rows for RAG
 // ──────────────────────────────
 
 /**
- * fetchContext(question, count = 50)
- * ----------------------------------
+ * Rank chunks for the packer: BM25 matches against the question first (best
+ * score first), then the rest in their original order.
+ */
+function rankByRelevance(question, chunks) {
+    const hits = createBm25Index(chunks).search(question, chunks.length);
+    const matched = new Set(hits.map((h) => h.doc));
+    return [
+        ...hits.map((h) => h.doc),
+        ...chunks.filter((c) => !matched.has(c)),
+    ];
+}
+
+/**
+ * fetchContext(question, { userId, count = 50, memory, fixed })
+ * --------------------------------------------------------------
  * Builds the context block fed to the LLM by combining:
- *   • **Formulas** – every row from `financial_kb`.
- *   • **Top-k user rows** from the books, selected via vector similarity.
+ *   • **Scope** – period, tables and entities extracted from the question
+ *     (queryAnalysis.js), applied as hard filters to KPIs and retrieval.
+ *   • **Formulas** – the `financial_kb` definitions the question mentions
+ *     or resembles, each with the formulas it is defined in terms of
+ *     (Runway → Burn Rate); see knowledgeBase.js.
+ *   • **Verified KPIs** – every formula computed deterministically by
+ *     kpis.js, with its inputs, so the model never does the arithmetic.
+ *   • **Top-k user rows** from the books, selected by hybrid retrieval:
+ *     vector similarity fused with BM25 keyword matches, so exact names and
+ *     amounts (“Acme Corp”, “2000”) surface their rows.
+ *   • **Chat memory** (optional) – the running summary and recent turns.
  *
- * @param {string}  question – The user’s natural-language query.
- * @param {number}  count    – *Maximum* number of data-row chunks to return
- *                             from the `match_documents` RPC.
- *                             ▸ **Default = 50**: empirical sweet-spot that
- *                               (a) stays within GPT-4o’s context window
- *                               when combined with formulas + history, and
- *                               (b) gives the model enough raw material to
- *                               answer 95 % of questions we observed in
- *                               internal testing without follow-up calls.
- *                             ▸ RAISE this if answers feel incomplete, but
- *                               be aware that each extra row:
- *                                 – Adds prompt tokens (higher cost).
- *                                 – Risks bumping into the 128 k-token cap.
- *                               A later PR could auto-tune this per user.
+ * Everything is then packed into the token budget of CHAT_MODEL
+ * (contextPacker.js): formulas as selected, KPIs ranked by relevance to
+ * the question, rows by fused score, history newest first; the lowest-ranked
+ * chunks are dropped first and listed in `packing`.
  *
- * @returns {string} – Markdown-style context chunk.
+ * @param {string}  question – The user’s natural-language query.
+ * @param {Object}  [options]
+ * @param {string}  [options.userId] – Whose books to read (DUMMY_USER_ID).
+ * @param {number}  [options.count=50] – *Maximum* number of data-row
+ *        candidates to retrieve.  The packer decides how many are sent, so
+ *        raising this costs retrieval time, not prompt tokens.  0 retrieves
+ *        no rows (tools mode).
+ * @param {{summary: Object|null, turns: Object[]}} [options.memory] – From
+ *        `recallConversation()`; packed together with the context.
+ * @param {string[]} [options.fixed] – Other text sent with the context
+ *        (policy, question), whose tokens come off the budget first.
  *
- * @param {string}  question – User’s natural-language question.
- * @param {number}  count    – Number of rows to request from Supabase RPC.
- * @returns {string} – Ready-to-paste prompt chunk.
+ * @returns {{text: string, sources: Map<string,string>, rows: Object[],
+ *            memory: {summary: string|null, turns: Object[]},
+ *            packing: Object}} –
+ *          Markdown-style context chunk, every citation tag it contains →
+ *          the chunk’s content (for verifying the reply afterwards), the
+ *          packed rows with their `tag`, `similarity` and fused `score`,
+ *          the packed chat memory, and the packer’s report (what was kept
+ *          and dropped per section).
  *
  * REASONING
- * • We embed the *question* once and reuse that vector in Postgres.
- * • We fetch *slightly more* rows than a typical answer needs so the LLM can
- *   pick and cite the subset it deems relevant.  Lower values reduce cost
- *   but raise the chance that a required row is missing; higher values do
- *   the opposite.
+ * • We embed the *question* once and reuse that vector in Postgres; the
+ *   same question is scored lexically and both rankings are fused (RRF).
+ * • We fetch *more* rows than a typical answer needs and let the budget,
+ *   not a fixed count, decide how many reach the model.
  *
  * PITFALLS
  * • `match_threshold = 0.0` intentionally retrieves *all* documents; the LLM
- *   must then filter.  This avoids false negatives but can bloat the prompt.
+ *   must then filter.  The token budget keeps this from bloating the prompt.
+ * • Only packed chunks are citable: a tag the packer dropped fails the
+ *   citation check like any unknown tag.
  */
-async function fetchContext(question, count = 50) {
-    // 4A) Formulas / definitions
-    const { data: defs, error: defErr } = await supabase
-        .from('financial_kb')
-        .select('title, content');
-    if (defErr) throw defErr;
-    const kbText = defs.map((d) => `**${d.title}**: ${d.content}`).join('\n');
-
-    // 4B) Embed the user question
-    const qvec = await embed(question);
-
-    // 4C) Similarity search in the “documents” table via RPC
-    const { data: rows, error: rowsErr } = await supabase.rpc(
-        'match_documents',
-        {
-            p_user_id: USER_ID,
-            query_embedding: qvec,
-            match_threshold: 0.0, // return everything; we’ll filter in LLM
-            match_count: count,
-        }
+export async function fetchContext(
+    question,
+    {
+        userId = USER_ID,
+        count = 50,
+        memory = { summary: null, turns: [] },
+        fixed = [],
+    } = {}
+) {
+    // Every chunk is prefixed with a unique citation tag (see citations.js).
+    const taken = new Set();
+    const chunk = (kind, id, content) => {
+        let tag = makeTag(kind, id);
+        for (let n = 2; taken.has(tag); n++) tag = makeTag(kind, `${id}-${n}`);
+        taken.add(tag);
+        return { id: tag, content, text: `${tag} ${content}` };
+    };
+
+    // 4A) Formulas / definitions the question needs, dependencies included
+    const formulas = (await formulaRetriever.select(question)).map((f) =>
+        chunk('formula', slug(f.title), `**${f.title}**: ${f.content}`)
     );
-    if (rowsErr) throw rowsErr;
-    const dataText = rows.map((r) => r.content).join('\n---\n');
 
-    // 4D) Merge chunks
-    return [
+    // 4A′) Scope the question: period, tables and named entities become
+    // hard filters.  Relative dates (“last month”) anchor on the latest
+    // transaction so they refer to the books, not the wall clock.
+    // A user with no transactions yet (new, or only invoices and bills)
+    // still gets formulas and rows, just no KPI block.
+    const books = await resolvePeriod(supabase, userId).catch((err) => {
+        if (err.code === 'NO_TRANSACTIONS') return null;
+        throw err;
+    });
+    const analysis = analyzeQuestion(question, {
+        asOf: books?.end ?? new Date().toISOString().slice(0, 10),
+        lexicon: await loadLexicon(supabase, userId),
+    });
+
+    // 4A″) KPIs computed in JS for that period, not from retrieved rows
+    const report =
+        books &&
+        (await computeKpis(supabase, userId, analysis.period ?? books));
+    const kpis = (report?.kpis ?? []).map((k) =>
+        chunk('kpi', slug(k.title), formatKpi(k, report.period))
+    );
+    const converted = Object.entries(report?.converted ?? {})
+        .map(([currency, n]) => `${n} ${currency} amounts`)
+        .join(', ');
+
+    // 4B–C) Hybrid search: the embedded question against the vector store
+    // (match_documents by default) fused with BM25 over the same documents.
+    // `count: 0` (tools mode) skips retrieval altogether.
+    const rows = count
+        ? await retriever.search(userId, question, {
+              count,
+              threshold: 0.0, // return everything in scope; we’ll filter in LLM
+              filter: toRetrievalFilter(analysis),
+          })
+        : [];
+    const dataRows = rows.map((r) => ({
+        ...chunk(r.source_table, r.source_id, r.content),
+        row: r,
+    }));
+
+    // 4D) Chat memory: the summary first, then turns newest first
+    const history = [
+        ...(memory.summary
+            ? [
+                  {
+                      id: 'summary',
+                      text: `${SUMMARY_HEADING}\n${memory.summary.content}`,
+                      overhead: MESSAGE_OVERHEAD,
+                  },
+              ]
+            : []),
+        ...memory.turns
+            .map((turn, i) => ({
+                id: `turn:${i}`,
+                text: turn.content,
+                overhead: MESSAGE_OVERHEAD,
+                turn,
+            }))
+            .reverse(),
+    ];
+
+    // 4E) Pack into the model’s budget and merge the kept chunks
+    const headings = [
+        '--- QUESTION SCOPE ---',
+        describeScope(analysis),
         '--- FINANCIAL FORMULAS ---',
-        kbText,
-        '',
+        report
+            ? `--- VERIFIED KPIs (computed from the full ledger for the scoped period, in ${
+                  report.currency
+              }${converted ? `; converted ${converted}` : ''}) ---`
+            : '--- VERIFIED KPIs ---',
         '--- USER DATA ROWS ---',
-        dataText,
+    ];
+    const { kept, report: packing } = packContext({
+        model: CHAT_MODEL,
+        budget: budgetFor(CHAT_MODEL, { reply: MAX_REPLY_TOKENS }),
+        fixed: [...fixed, headings.join('\n')],
+        fixedMessages: fixed.length + 1,
+        sections: {
+            kpis: rankByRelevance(question, kpis),
+            history,
+            rows: dataRows,
+            formulas,
+        },
+    });
+    // Restore reading order: formulas and KPIs as listed, turns by time
+    const inOrder = (all, picked) => all.filter((c) => picked.includes(c));
+
+    const sources = new Map(
+        [...kept.formulas, ...kept.kpis, ...kept.rows].map((c) => [
+            c.id,
+            c.content,
+        ])
+    );
+    const text = [
+        headings[0],
+        headings[1],
+        '',
+        headings[2],
+        inOrder(formulas, kept.formulas)
+            .map((c) => c.text)
+            .join('\n') || '(none needed for this question)',
+        '',
+        headings[3],
+        inOrder(kpis, kept.kpis)
+            .map((c) => c.text)
+            .join('\n') || (report ? '' : '(none: no transactions booked yet)'),
+        '',
+        headings[4],
+        kept.rows.map((c) => c.text).join('\n---\n') || '(none retrieved)',
     ].join('\n');
+    return {
+        text,
+        sources,
+        rows: kept.rows.map((c) => ({ ...c.row, tag: c.id })),
+        memory: {
+            summary: kept.history.find((c) => c.id === 'summary')
+                ? memory.summary.content
+                : null,
+            turns: inOrder(
+                memory.turns,
+                kept.history.map((c) => c.turn)
+            ),
+        },
+        packing,
+    };
 }
 
 // ──────────────────────────────
@@ -204,85 +415,559 @@ async function fetchContext(question, count = 50) {
 // ──────────────────────────────
 
 /**
- * answer(question)
- * ----------------
+ * Let the model call finance tools until it answers in text or runs out of
+ * rounds.  Tool calls and results are appended to `messages`, and each
+ * result is added to `sources` under its tag so the reply can cite it.
+ *
+ * @returns {Promise<{reply: string|null, calls: Object[]}>} The model’s
+ *          text answer (`null` when the rounds ran out first) and one
+ *          `{ tag, name, args, ms, error? }` per call.
+ */
+async function runToolRounds({ tools, messages, sources }) {
+    const calls = [];
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        const resp = await openai.chat.completions.create({
+            model: CHAT_MODEL,
+            messages,
+            temperature: 0.0,
+            max_tokens: MAX_REPLY_TOKENS,
+            tools: tools.definitions,
+            tool_choice: calls.length < MAX_TOOL_CALLS ? 'auto' : 'none',
+        });
+        const msg = resp.choices[0].message;
+        if (!msg.tool_calls?.length) {
+            return { reply: (msg.content ?? '').trim(), calls };
+        }
+
+        messages.push(msg);
+        for (const call of msg.tool_calls) {
+            const tag = makeTag(
+                'tool',
+                `${call.function.name}-${calls.length + 1}`
+            );
+            const out =
+                calls.length < MAX_TOOL_CALLS
+                    ? await tools.run(
+                          call.function.name,
+                          call.function.arguments
+                      )
+                    : {
+                          name: call.function.name,
+                          args: {},
+                          ms: 0,
+                          error: `Tool call limit (${MAX_TOOL_CALLS}) reached`,
+                      };
+            const body = JSON.stringify(
+                out.error ? { error: out.error } : out.result
+            );
+            console.log(
+                `🔧 ${tag} ${out.name}(${JSON.stringify(out.args)}) → ${
+                    out.error ? `error: ${out.error}` : 'ok'
+                } (${out.ms} ms)`
+            );
+            sources.set(tag, body);
+            calls.push({
+                tag,
+                name: out.name,
+                args: out.args,
+                ms: out.ms,
+                ...(out.error && { error: out.error }),
+            });
+            messages.push({
+                role: 'tool',
+                tool_call_id: call.id,
+                content: `${tag} ${body}`,
+            });
+        }
+    }
+    return { reply: null, calls };
+}
+
+/**
+ * answerDetailed(question)
+ * ------------------------
  * The heart of the chatbot: build the prompt, call GPT-4o-mini, persist
- * history, return the assistant’s reply.
+ * history, return the assistant’s reply together with what it was based on.
+ * `answer()` below returns just the reply text.
  *
  * @param {string} question – Natural-language query from the CLI.
- * @returns {string} – Markdown answer from the assistant.
+ * @param {Object}  [options]
+ * @param {string}  [options.userId] – Whose books and history to use
+ *        (default DUMMY_USER_ID; server.js passes the caller’s id).
+ * @param {string}  [options.conversation='default'] – Named conversation
+ *        to continue (see historyStore.js).
+ * @param {'rag'|'tools'} [options.mode] – `rag` sends retrieved data rows;
+ *        `tools` sends none and lets the model call the finance tools
+ *        (financeTools.js) instead.  Default `ANSWER_MODE`, else `rag`.
+ * @param {boolean} [options.remember=true] – Load and save chat history.
+ *        Benchmarks pass `false` so each question is answered in isolation
+ *        and the user’s stored history is left untouched.
+ * @param {(text: string) => void} [options.onToken] – Stream the first
+ *        draft: called with each text delta as the model produces it.
+ *        Verification still runs on the complete draft, so the returned
+ *        reply can differ from what was streamed (a retried or refused
+ *        answer); callers should then show the returned text instead.  In
+ *        tools mode the draft is only complete after the tool calls, so it
+ *        arrives in one piece.
+ * @returns {Promise<{answer: string, rows: Object[],
+ *          sources: Map<string,string>, packing: Object,
+ *          toolCalls: Object[], verification: Object}>} – Markdown answer,
+ *          the packed rows (see `fetchContext()`), every context tag →
+ *          content (tool results included), the packer’s report, the tool
+ *          calls made, and the final `verifyAnswer()` result.
  *
  * BENEFITS
  * • We keep `temperature = 0` for deterministic numerics.
  * • We cite rows to preserve auditability.
  *
+ * • Every number is checked against the rows the reply cites; a reply that
+ *   fails twice is replaced by the refusal message.
+ *
  * PITFALLS
- * • The prompt grows with history → token limits.  HISTORY_LIMIT mitigates.
+ * • The prompt is packed into CHAT_MODEL’s token budget (contextPacker.js);
+ *   when it overflows, the lowest-ranked rows, formulas or turns are
+ *   dropped and a warning says how many.
  * • We trust GPT-4o-mini to respect the policy string; jailbreaks remain
  *   possible without additional guardrails.
+ * • A streamed draft is visible before it is verified.  Streaming trades
+ *   that for latency; the replacement is announced, never silent.
+ * • Tool results are not counted by the packer; MAX_TOOL_CALLS and the
+ *   tools’ aggregated output keep them small.
  */
-async function answer(question) {
-    const context = await fetchContext(question);
-
-    // Load prior turns (assistant + user) for conversational continuity.
-    const history = loadHistory(USER_ID);
-
-    // System prompts
-    const policyPrompt = [
-        'You are a senior financial analyst assistant, expert in accounting.',
-        'For **financial** questions, you may ONLY use the supplied context.',
-        'If information is missing, respond exactly:',
-        '"I’m a financial assistant and can only provide answers based on the financial data available to me."',
-        'For **meta** questions about your previous answers (e.g. "why did you …"),',
-        'you may explain your reasoning even if that reasoning isn’t in the context.',
-        '- Always cite which context rows or formulas you used when giving numbers.',
-    ].join(' ');
+export async function answerDetailed(
+    question,
+    {
+        userId = USER_ID,
+        conversation = DEFAULT_CONVERSATION,
+        mode = ANSWER_MODE,
+        remember = true,
+        onToken,
+    } = {}
+) {
+    if (mode !== 'rag' && mode !== 'tools') {
+        throw new Error(`Unknown answer mode "${mode}" (rag or tools)`);
+    }
+    const tools =
+        mode === 'tools' ? createFinanceTools({ supabase, userId }) : null;
+    const policy = tools ? `${POLICY_PROMPT}\n${TOOLS_PROMPT}` : POLICY_PROMPT;
+
+    // Load prior turns (assistant + user) for conversational continuity,
+    // plus the running summary of everything older (conversationMemory.js).
+    const recalled = remember
+        ? await recallConversation({
+              store: historyStore,
+              client: openai,
+              userId,
+              conversation,
+              limit: HISTORY_LIMIT,
+              keep: HISTORY_KEEP,
+          })
+        : undefined;
+
+    // Context and memory, packed together into the model's token budget
+    const {
+        text: context,
+        sources,
+        rows,
+        memory,
+        packing,
+    } = await fetchContext(question, {
+        userId,
+        count: tools ? 0 : undefined,
+        memory: recalled,
+        fixed: [
+            policy,
+            question,
+            ...(tools ? [JSON.stringify(tools.definitions)] : []),
+        ],
+    });
+    const dropped = describeDropped(packing);
+    if (dropped) console.warn(`✂️  Context packing ${dropped}`);
+    const history = toMessages(memory.turns);
+    const summary = memory.summary;
 
     const messages = [
+        ...(summary
+            ? [{ role: 'system', content: `${SUMMARY_HEADING}\n${summary}` }]
+            : []),
         ...history,
-        { role: 'system', content: policyPrompt },
+        { role: 'system', content: policy },
         { role: 'system', content: context },
         { role: 'user', content: question },
     ];
 
-    const resp = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages,
-        temperature: 0.0,
-        max_tokens: 700,
+    // With `stream`, deltas are forwarded as they arrive and joined here.
+    // Once tools were offered they stay declared, but may not be called.
+    const complete = async (msgs, stream) => {
+        const params = {
+            model: CHAT_MODEL,
+            messages: msgs,
+            temperature: 0.0,
+            max_tokens: MAX_REPLY_TOKENS,
+            ...(tools && { tools: tools.definitions, tool_choice: 'none' }),
+        };
+        if (!stream) {
+            const resp = await openai.chat.completions.create(params);
+            return resp.choices[0].message.content.trim();
+        }
+        let text = '';
+        const chunks = await openai.chat.completions.create({
+            ...params,
+            stream: true,
+        });
+        for await (const chunk of chunks) {
+            const delta = chunk.choices[0]?.delta?.content ?? '';
+            if (!delta) continue;
+            text += delta;
+            stream(delta);
+        }
+        return text.trim();
+    };
+
+    // Tools mode: let the model gather figures first.  Its final text is
+    // the draft; if the rounds ran out, ask for the answer without tools.
+    let assistantReply = null;
+    let toolCalls = [];
+    if (tools) {
+        ({ reply: assistantReply, calls: toolCalls } = await runToolRounds({
+            tools,
+            messages,
+            sources,
+        }));
+        if (assistantReply !== null) onToken?.(assistantReply);
+    }
+
+    // Only the first draft streams; a corrective retry replaces it whole.
+    assistantReply ??= await complete(messages, onToken);
+
+    // Post-check: every number must trace back to a cited context chunk.
+    // The question and earlier turns are trusted so meta questions work.
+    const trusted = [question, summary ?? '', ...history.map((m) => m.content)];
+    let check = verifyAnswer(assistantReply, sources, { trusted });
+    for (let i = 0; !check.ok && i < CITATION_RETRIES; i++) {
+        console.warn(`⚠️  Citation check failed: ${describeProblems(check)}`);
+        assistantReply = await complete([
+            ...messages,
+            { role: 'assistant', content: assistantReply },
+            {
+                role: 'system',
+                content:
+                    `Your answer failed verification: ${describeProblems(
+                        check
+                    )}. ` +
+                    'Rewrite it using only numbers from the tagged context, ' +
+                    'citing the tag next to each number.',
+            },
+        ]);
+        check = verifyAnswer(assistantReply, sources, { trusted });
+    }
+    if (!check.ok) {
+        console.warn(
+            `⚠️  Refusing unverified answer: ${describeProblems(check)}`
+        );
+        assistantReply = REFUSAL;
+    }
+
+    // Persist the new turn, with what the answer was checked against
+    if (remember) {
+        await historyStore.append(
+            userId,
+            [
+                { role: 'user', content: question },
+                {
+                    role: 'assistant',
+                    content: assistantReply,
+                    metadata: {
+                        cited: check.citedTags,
+                        verified: check.ok,
+                        ...(toolCalls.length && { tools: toolCalls }),
+                    },
+                },
+            ],
+            { conversation }
+        );
+    }
+
+    return {
+        answer: assistantReply,
+        rows,
+        sources,
+        packing,
+        toolCalls,
+        verification: check,
+    };
+}
+
+/**
+ * answer(question, options) – the reply text only; see `answerDetailed()`.
+ *
+ * @returns {Promise<string>}
+ */
+export async function answer(question, options) {
+    return (await answerDetailed(question, options)).answer;
+}
+
+// ──────────────────────────────
+// 6) Interactive session (REPL)
+// ──────────────────────────────
+
+const REPL_HELP = [
+    'Ask a question, or use a command:',
+    '  /history      show the current conversation',
+    '  /clear        forget the current conversation',
+    '  /summary      what the bot remembers of older turns',
+    '  /conversation [name]  list conversations, or switch to one',
+    '  /sources      rows and tool calls behind the last answer, token use',
+    '  /mode [rag|tools]  answer from retrieved rows, or with finance tools',
+    '  /user <id>    switch to another profile',
+    '  /export [f]   save the conversation as markdown',
+    '  /help         this list',
+    '  /exit         leave (Ctrl-D works too)',
+].join('\n');
+
+/**
+ * Ask one question and print the reply, streaming it token by token unless
+ * `stream` is false.  A streamed draft replaced by verification is flagged.
+ *
+ * @returns {Promise<Object>} The `answerDetailed()` result.
+ */
+async function printAnswer(
+    question,
+    { userId = USER_ID, conversation, mode, stream = true } = {}
+) {
+    if (!stream) {
+        const result = await answerDetailed(question, {
+            userId,
+            conversation,
+            mode,
+        });
+        console.log('\n📊 Answer:\n', result.answer);
+        return result;
+    }
+
+    // Print tokens as they arrive; if verification replaced the draft,
+    // say so and print the answer that was actually kept.  The heading
+    // waits for the first token so tool-call logs are printed above it.
+    let streamed = '';
+    const heading = () => process.stdout.write('\n📊 Answer:\n ');
+    const result = await answerDetailed(question, {
+        userId,
+        conversation,
+        mode,
+        onToken: (text) => {
+            if (!streamed) heading();
+            streamed += text;
+            process.stdout.write(text);
+        },
     });
+    if (!streamed) heading();
+    process.stdout.write('\n');
+    if (result.answer !== streamed.trim()) {
+        console.log(
+            '\n⚠️  The answer above failed verification. Use this:\n',
+            result.answer
+        );
+    }
+    return result;
+}
 
-    const assistantReply = resp.choices[0].message.content.trim();
+/**
+ * One line per packed row (rank, tag, similarity, fused score, text) and
+ * per tool call (tag, arguments, time), then the token budget and what
+ * packing dropped.
+ */
+function formatSources({ rows, packing, toolCalls, verification }) {
+    const used = `Context: ${packing.used}/${packing.budget} tokens (${
+        packing.model
+    }); ${describeDropped(packing) ?? 'nothing dropped'}.`;
+    const cited = new Set(verification.citedTags);
+    const calls = toolCalls.map(
+        (c) =>
+            `${cited.has(c.tag) ? '★' : ' '} 🔧 ${c.tag}  ${JSON.stringify(
+                c.args
+            )}  ${c.ms} ms${c.error ? `  error: ${c.error}` : ''}`
+    );
+    if (!rows.length) {
+        return [
+            ...calls,
+            calls.length ? used : `No data rows were retrieved.\n${used}`,
+        ].join('\n');
+    }
+    const lines = rows.map((r, i) => {
+        const sim = r.similarity?.toFixed(3) ?? '–';
+        const text =
+            r.content.length > 110
+                ? `${r.content.slice(0, 107)}...`
+                : r.content;
+        return (
+            `${cited.has(r.tag) ? '★' : ' '} ${String(i + 1).padStart(2)}. ` +
+            `${r.tag}  similarity=${sim}  score=${r.score.toFixed(4)}\n` +
+            `      ${text}`
+        );
+    });
+    return [...lines, ...calls, used].join('\n');
+}
 
-    // Persist the new turn
-    saveHistory(USER_ID, [
-        ...history,
-        { role: 'user', content: question },
-        { role: 'assistant', content: assistantReply },
-    ]);
+/** A saved conversation as a markdown document. */
+function historyToMarkdown(userId, conversation, history) {
+    const turns = history.map(
+        (m) => `**${m.role === 'user' ? 'You' : 'Assistant'}:** ${m.content}`
+    );
+    return [
+        `# Conversation “${conversation}” – ${userId}`,
+        '',
+        `_Exported ${new Date().toISOString()}_`,
+        '',
+        ...turns.flatMap((t) => [t, '']),
+    ].join('\n');
+}
+
+/**
+ * Interactive prompt loop: one process, many questions.  Lines starting
+ * with `/` are commands (see REPL_HELP); anything else is a question.
+ *
+ * @param {Object}  [options]
+ * @param {string}  [options.userId] – Starting profile (DUMMY_USER_ID).
+ * @param {'rag'|'tools'} [options.mode] – Starting answer mode.
+ * @param {boolean} [options.stream=true]
+ */
+async function repl({
+    userId = USER_ID,
+    mode = ANSWER_MODE,
+    stream = true,
+} = {}) {
+    let conversation = DEFAULT_CONVERSATION;
+    let last = null; // answerDetailed() result for /sources
 
-    return assistantReply;
+    const commands = {
+        help: () => console.log(REPL_HELP),
+        history: async () => {
+            const history = await historyStore.load(userId, { conversation });
+            if (!history.length) return console.log('(no history)');
+            for (const m of history) {
+                console.log(
+                    `${m.role === 'user' ? '🧑' : '🤖'} ${m.content}\n`
+                );
+            }
+        },
+        summary: async () => {
+            const summary = await historyStore.loadSummary(userId, {
+                conversation,
+            });
+            console.log(
+                summary
+                    ? `🧾 ${summary.turns} earlier turns, summarized:\n${summary.content}`
+                    : '(nothing summarized yet)'
+            );
+        },
+        clear: async () => {
+            await historyStore.clear(userId, { conversation });
+            last = null;
+            console.log(`🧹 Conversation “${conversation}” cleared.`);
+        },
+        conversation: async (name) => {
+            if (name) {
+                conversation = name;
+                last = null;
+                return console.log(`💬 Now in conversation “${name}”.`);
+            }
+            const list = await historyStore.conversations(userId);
+            if (!list.length) return console.log('(no saved conversations)');
+            for (const c of list) {
+                const mark = c.name === conversation ? '*' : ' ';
+                console.log(
+                    `${mark} ${c.name.padEnd(20)} ${String(c.turns).padStart(
+                        4
+                    )} turns  ${c.updated_at ?? ''}`
+                );
+            }
+        },
+        sources: () =>
+            console.log(last ? formatSources(last) : 'Ask a question first.'),
+        mode: (name) => {
+            if (!name) return console.log(`Answer mode: ${mode}`);
+            if (name !== 'rag' && name !== 'tools') {
+                return console.log('Use /mode rag or /mode tools.');
+            }
+            mode = name;
+            console.log(`🧭 Answering in ${mode} mode.`);
+        },
+        user: async (id) => {
+            if (!id) return console.log(`Current user: ${userId}`);
+            await greet(id); // fails before switching if the profile is unknown
+            userId = id;
+            conversation = DEFAULT_CONVERSATION;
+            last = null;
+        },
+        export: async (file) => {
+            const out =
+                file ||
+                `conversation-${slug(userId)}-${slug(conversation)}-${new Date()
+                    .toISOString()
+                    .slice(0, 19)
+                    .replace(/[:T]/g, '-')}.md`;
+            const history = await historyStore.load(userId, { conversation });
+            fs.writeFileSync(
+                out,
+                historyToMarkdown(userId, conversation, history)
+            );
+            console.log(`📝 Saved ${out}`);
+        },
+    };
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: '\n💬 ',
+    });
+    console.log('Type a question, or /help for commands.');
+    rl.prompt();
+    for await (const raw of rl) {
+        const line = raw.trim();
+        try {
+            if (line === '/exit' || line === '/quit') break;
+            if (line.startsWith('/')) {
+                const [name, ...args] = line.slice(1).split(/\s+/);
+                const command = commands[name];
+                if (command) await command(args.join(' '));
+                else console.log(`Unknown command /${name}. Try /help.`);
+            } else if (line) {
+                last = await printAnswer(line, {
+                    userId,
+                    conversation,
+                    mode,
+                    stream,
+                });
+            }
+        } catch (err) {
+            console.error('❌ Error:', err.message);
+        }
+        rl.prompt();
+    }
+    rl.close();
 }
 
 // ──────────────────────────────
-// 6) CLI entrypoint
+// 7) CLI entrypoint
 // ──────────────────────────────
 async function main() {
     await greet();
 
-    const question = process.argv.slice(2).join(' ');
-    if (!question) {
-        console.error('Usage: node queryBot.js "Your financial question here"');
-        process.exit(1);
-    }
+    // No question → interactive session; otherwise answer once and exit.
+    const args = process.argv.slice(2);
+    const stream = !args.includes('--no-stream');
+    const mode = args.includes('--tools') ? 'tools' : ANSWER_MODE;
+    const question = args
+        .filter((a) => a !== '--no-stream' && a !== '--tools')
+        .join(' ');
+    if (!question) return repl({ mode, stream });
 
     try {
-        const ans = await answer(question);
-        console.log('\n📊 Answer:\n', ans);
+        await printAnswer(question, { mode, stream });
     } catch (err) {
         console.error('❌ Error:', err.message);
         process.exit(1);
     }
 }
 
-main();
+if (process.argv[1] === fileURLToPath(import.meta.url)) main();
@@ -2,13 +2,16 @@
  * queryBot.js
  *
  * CLI: `node queryBot.js "Your question"`
- * Fetches the user’s embeddings via RPC(match_documents),
+ * Fetches the user’s embeddings via the vector store (match_documents RPC
+ * by default),
  * then calls the LLM with system + context + user prompt.
  */
 
 import 'dotenv/config';
 import { createClient } from '@supabase/supabase-js';
 import OpenAI from 'openai';
+import { createEmbedder } from './embeddings.js';
+import { createVectorStore } from './vectorStore.js';
 
 const supabaseAdmin = createClient(
     process.env.SUPABASE_URL,
@@ -16,6 +19,8 @@ const supabaseAdmin = createClient(
 );
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const USER_ID = process.env.DUMMY_USER_ID;
+const store = createVectorStore({ supabase: supabaseAdmin });
+const embedder = createEmbedder({ client: openai });
 
 async function greet() {
     const { data, error } = await supabaseAdmin
@@ -28,23 +33,15 @@ async function greet() {
 }
 
 async function embed(text) {
-    const res = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: text,
-        encoding_format: 'float',
-    });
-    return res.data[0].embedding;
+    return embedder.embed(text);
 }
 
 async function fetchContext(question) {
     const qvec = await embed(question);
-    const { data, error } = await supabaseAdmin.rpc('match_documents', {
-        p_user_id: USER_ID,
-        query_embedding: qvec,
-        match_threshold: 0.1,
-        match_count: 8,
+    const data = await store.search(USER_ID, qvec, {
+        count: 8,
+        threshold: 0.1,
     });
-    if (error) throw error;
     return data.map((r) => r.content).join('\n---\n');
 }
 
@@ -0,0 +1,135 @@
+/**
+ * Hybrid retrieval: vector similarity + BM25, merged with reciprocal rank
+ * fusion (RRF).
+ *
+ * WHY
+ * ---
+ * Embeddings miss exact tokens—“Acme Corp”, “OfficeRentCo”, “2000”—which is
+ * the *lack of semantic anchors* failure mode described in the README.  A
+ * lexical index catches those; the vector search still catches paraphrases.
+ * RRF combines the two rankings without having to calibrate their scores:
+ *
+ *   score(doc) = Σ  1 / (RRF_K + rank_in_list)
+ *
+ * A document ranked well by either retriever rises; one ranked well by both
+ * rises further.
+ *
+ * Hard filters from queryAnalysis.js (`tables`, `dateRange`, `entities`) are
+ * applied to *both* retrievers before ranking, so an out-of-scope row can
+ * never win a slot.
+ *
+ * The BM25 index is built from `store.list()` for one user and cached for
+ * `LEXICAL_INDEX_TTL_MS` (default 5 minutes) so repeated questions in a
+ * long-running process do not reload every document.
+ * ============================================================================
+ */
+
+import { createBm25Index } from './lexicalIndex.js';
+import { matchesFilter } from './vectorStore.js';
+
+/** Standard RRF damping constant (Cormack et al., 2009). */
+const RRF_K = 60;
+
+/**
+ * Fuse several ranked lists of documents.
+ *
+ * @param {Object[][]} lists – Each list ordered best-first; documents are
+ *        matched across lists by `(source_table, source_id)`.
+ * @param {number} [k=RRF_K]
+ * @returns {Object[]} Unique documents with an added `score`, best-first.
+ *          Each keeps the fields of its first occurrence.
+ */
+export function reciprocalRankFusion(lists, k = RRF_K) {
+    const fused = new Map();
+    for (const list of lists) {
+        list.forEach((doc, rank) => {
+            const key = `${doc.source_table}:${doc.source_id}`;
+            const entry = fused.get(key) ?? { ...doc, score: 0 };
+            entry.score += 1 / (k + rank + 1);
+            fused.set(key, entry);
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Build a hybrid retriever over a vector store.
+ *
+ * @param {Object}      deps
+ * @param {VectorStore} deps.store    – See vectorStore.js.
+ * @param {Embedder}    deps.embedder – See embeddings.js.
+ * @param {number}      [deps.ttlMs]  – Lexical index cache lifetime.
+ * @returns {{search: Function, invalidate: (userId?: string) => void}}
+ */
+export function createRetriever({
+    store,
+    embedder,
+    ttlMs = Number(process.env.LEXICAL_INDEX_TTL_MS ?? 5 * 60 * 1000),
+}) {
+    const cache = new Map(); // userId → { index, builtAt }
+
+    const lexicalIndex = async (userId) => {
+        const hit = cache.get(userId);
+        if (hit && Date.now() - hit.builtAt < ttlMs) return hit.index;
+        const index = createBm25Index(await store.list({ user_id: userId }));
+        cache.set(userId, { index, builtAt: Date.now() });
+        return index;
+    };
+
+    return {
+        /**
+         * Top `count` documents for a question, fused from both retrievers.
+         *
+         * @async
+         * @param {string} userId
+         * @param {string} question
+         * @param {Object} [options]
+         * @param {number} [options.count=8]      – Documents to return.
+         * @param {number} [options.threshold=0]  – Minimum cosine similarity
+         *        for vector hits (lexical hits are not thresholded).
+         * @param {boolean} [options.hybrid=true] – `false` for vector only.
+         * @param {Object}  [options.filter] – Hard filters; see vectorStore.js.
+         * @returns {Promise<Object[]>} `{ source_table, source_id, content,
+         *          similarity?, score }`, best-first.
+         */
+        async search(
+            userId,
+            question,
+            { count = 8, threshold = 0.0, hybrid = true, filter } = {}
+        ) {
+            const depth = count * 2;
+            const qvec = await embedder.embed(question);
+            const vectorHits = await store.search(userId, qvec, {
+                count: hybrid ? depth : count,
+                threshold,
+                filter,
+            });
+            if (!hybrid) {
+                return vectorHits.map((d, i) => ({ ...d, score: 1 / (i + 1) }));
+            }
+
+            const index = await lexicalIndex(userId);
+            const lexicalHits = index
+                .search(question, index.size)
+                .filter(({ doc }) => matchesFilter(doc, filter))
+                .slice(0, depth)
+                .map(({ doc }) => ({
+                    source_table: doc.source_table,
+                    source_id: doc.source_id,
+                    content: doc.content,
+                    metadata: doc.metadata ?? {},
+                }));
+
+            return reciprocalRankFusion([vectorHits, lexicalHits]).slice(
+                0,
+                count
+            );
+        },
+
+        /** Drop cached lexical indexes (e.g. after re-embedding). */
+        invalidate(userId) {
+            if (userId === undefined) cache.clear();
+            else cache.delete(userId);
+        },
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * Retry helpers for calls to rate-limited or flaky remote services
+ * (OpenAI, Supabase/PostgREST).
+ *
+ * `withRetry()` re-runs an async function with exponential backoff and full
+ * jitter when the failure looks *transient*: HTTP 429, 408 or 5xx, a socket
+ * error, or a fetch-level network failure.  Anything else—bad input, auth,
+ * constraint violations—fails immediately, because retrying cannot help.
+ * ============================================================================
+ */
+
+/** Node / undici socket error codes worth retrying. */
+const TRANSIENT_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EAI_AGAIN',
+    'EPIPE',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Decide whether an error is worth another attempt.
+ *
+ * @param {any} err – Error thrown by the OpenAI SDK, supabase-js or fetch.
+ * @returns {boolean}
+ */
+export function isTransientError(err) {
+    const status = err?.status ?? err?.response?.status;
+    if (status === 429 || status === 408 || status >= 500) return true;
+    if (TRANSIENT_CODES.has(err?.code ?? err?.cause?.code)) return true;
+    if (/APIConnection(Timeout)?Error/.test(err?.name ?? '')) return true;
+    return /fetch failed|network|socket hang up|timed? ?out/i.test(
+        err?.message ?? ''
+    );
+}
+
+/** Seconds from a `Retry-After` header, if the error carries one. */
+function retryAfterMs(err) {
+    const headers = err?.headers;
+    const raw =
+        typeof headers?.get === 'function'
+            ? headers.get('retry-after')
+            : headers?.['retry-after'];
+    const secs = Number(raw);
+    return Number.isFinite(secs) && secs > 0 ? secs * 1000 : 0;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `fn`, retrying transient failures with exponential backoff.
+ *
+ * Delay for attempt *n* is a random value in `[0, base × 2ⁿ]`, capped at
+ * `maxDelayMs` and never shorter than a server-supplied `Retry-After`.
+ *
+ * @async
+ * @param {() => Promise<T>} fn
+ * @param {Object}   [options]
+ * @param {number}   [options.retries=5]        – Extra attempts after the first.
+ * @param {number}   [options.baseDelayMs=500]
+ * @param {number}   [options.maxDelayMs=30000]
+ * @param {(err: any, attempt: number, delayMs: number) => void} [options.onRetry]
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withRetry(
+    fn,
+    { retries = 5, baseDelayMs = 500, maxDelayMs = 30000, onRetry } = {}
+) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !isTransientError(err)) throw err;
+            const backoff = Math.random() * baseDelayMs * 2 ** attempt;
+            const delay = Math.max(
+                Math.min(backoff, maxDelayMs),
+                retryAfterMs(err)
+            );
+            onRetry?.(err, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
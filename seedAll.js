@@ -25,6 +25,7 @@
  *       4.  Vendors & Bills     (A/P)
  *       5.  Account & Expense Snapshots
  *       6.  Financial Knowledge‑Base glossary
+ *       7.  FX rates (for accounts and documents in other currencies)
  * 4. The **entry‑point** (`seedAll`) orchestrates these phases sequentially
  *    and logs progress so we can spot which step failed in the event of an
  *    error.
@@ -36,7 +37,8 @@
  */
 
 import 'dotenv/config';
-import { createClient } from '@supabase/supabase-js';
+import { createDataClient } from './dataStore.js';
+import { buildSnapshots } from './snapshots.js';
 
 /** -------------------------------------------------------------------------
  *  CONFIGURATION
@@ -46,11 +48,9 @@ import { createClient } from '@supabase/supabase-js';
 /**
  * Admin‑level Supabase client.  Uses the **service‑role** key so this script
  * can read and write any table regardless of Row Level Security (RLS).
+ * With `DATA_STORE=local` the rows go to a JSON file instead (dataStore.js).
  */
-const supabaseAdmin = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const supabaseAdmin = createDataClient();
 
 /**
  * Identifier for the demo user that owns every row seeded by this script.
@@ -80,7 +80,7 @@ async function seedAll() {
         const categoryMap = await seedCategories();
 
         // Phase 2 continued: operational data
-        await seedTransactions(accountMap, categoryMap);
+        const txns = await seedTransactions(accountMap, categoryMap);
         await seedBudgets(categoryMap);
 
         // Accounts Receivable
@@ -92,11 +92,14 @@ async function seedAll() {
         await seedBills(vendId);
 
         // Snapshots & analytics
-        await seedSnapshots(accountMap);
+        await seedSnapshots(accountMap, categoryMap, txns);
 
         // Glossary definitions
         await seedFinancialKB();
 
+        // Exchange rates
+        await seedFxRates();
+
         console.log('🎉 All data seeded successfully!');
     } catch (err) {
         console.error('❌ Seed failed:', err);
@@ -121,6 +124,7 @@ async function upsertProfile() {
         id: DUMMY_USER,
         name: 'Felipe Melendez',
         email: 'felipe@example.com',
+        reporting_currency: 'USD',
     });
     if (error) throw error;
     console.log('✅ profiles');
@@ -219,6 +223,7 @@ async function seedCategories() {
  *
  * @param {Record<string,string>} accounts  lookup from name → account_id
  * @param {Record<string,string>} cats      lookup from name → category_id
+ * @returns {Promise<Object[]>} the inserted rows, for `seedSnapshots`
  */
 async function seedTransactions(accounts, cats) {
     console.log('⏳ Seeding transactions...');
@@ -351,6 +356,7 @@ async function seedTransactions(accounts, cats) {
 
     if (error) throw error;
     console.log('✅ transactions');
+    return txns;
 }
 
 /** -------------------------------------------------------------------------
@@ -508,65 +514,47 @@ async function seedBills(vendId) {
 /**
  * Inserts month‑end **account balances** and **expense snapshots** so that KPI
  * calculations which rely on historical balances have something to work with.
+ * Both are derived from the seeded transactions (snapshots.js) rather than
+ * written by hand, so they cannot disagree with them.
  *
  * @param {Record<string,string>} accounts  lookup from name → account_id
+ * @param {Record<string,string>} cats      lookup from name → category_id
+ * @param {Object[]}              txns      rows from `seedTransactions`
  */
-async function seedSnapshots(accounts) {
+async function seedSnapshots(accounts, cats, txns) {
     console.log('⏳ Seeding snapshots...');
-    const snaps = [
-        {
-            account_id: accounts['Main Checking'],
-            snapshot_date: '2025-03-31',
-            balance: 15900, // matches all cash flows + depreciation
-        },
-        {
-            account_id: accounts['Inventory Account'],
-            snapshot_date: '2025-03-31',
-            balance: 3000,
-        },
-        {
-            account_id: accounts['Equipment'],
-            snapshot_date: '2025-03-31',
-            balance: 5000,
-        },
-        {
-            account_id: accounts['Credit Card'],
-            snapshot_date: '2025-03-31',
-            balance: -800,
-        },
+    const { data: categories, error: cErr } = await supabaseAdmin
+        .from('categories')
+        .select('id, type')
+        .in('id', Object.values(cats));
+    if (cErr) throw cErr;
+
+    const derived = buildSnapshots(
         {
-            account_id: accounts['Owner Equity'],
-            snapshot_date: '2025-03-31',
-            balance: 20000,
+            accounts: Object.values(accounts).map((id) => ({ id })),
+            categories,
+            transactions: txns,
         },
-    ].map((s) => ({ user_id: DUMMY_USER, ...s }));
+        { start: '2025-01-01', end: '2025-03-31' }
+    );
 
+    // Quarter‑end balances only (Main Checking 15,900); earlier month‑ends
+    // would become the opening balances of the demo KPIs
+    const snaps = derived.account_snapshots
+        .filter((s) => s.snapshot_date === '2025-03-31')
+        .map((s) => ({ user_id: DUMMY_USER, ...s }));
     const { error } = await supabaseAdmin
         .from('account_snapshots')
         .insert(snaps);
     if (error) throw error;
 
-    // Monthly expense snapshots (simplified)
-    const mErr = await supabaseAdmin.from('monthly_expense_snapshots').insert([
-        {
+    // Monthly expense snapshots (5,200 / 4,900 / 6,500)
+    const mErr = await supabaseAdmin.from('monthly_expense_snapshots').insert(
+        derived.monthly_expense_snapshots.map((m) => ({
             user_id: DUMMY_USER,
-            period_start: '2025-01-01',
-            period_end: '2025-01-31',
-            total_expense: 1200 + 2000 + 1500 + 500,
-        },
-        {
-            user_id: DUMMY_USER,
-            period_start: '2025-02-01',
-            period_end: '2025-02-28',
-            total_expense: 800 + 2000 + 1600 + 500,
-        },
-        {
-            user_id: DUMMY_USER,
-            period_start: '2025-03-01',
-            period_end: '2025-03-31',
-            total_expense: 1500 + 2000 + 1700 + 500 + 800,
-        },
-    ]);
+            ...m,
+        }))
+    );
     if (mErr.error) throw mErr.error;
 
     console.log('✅ snapshots');
@@ -654,6 +642,10 @@ async function seedFinancialKB() {
             content:
                 'DSO = (Accounts Receivable ÷ Total Credit Sales) × Number of Days.',
         },
+        {
+            title: 'Days Inventory Outstanding (DIO)',
+            content: 'DIO = (Average Inventory ÷ COGS) × Number of Days.',
+        },
         {
             title: 'Days Payable Outstanding (DPO)',
             content: 'DPO = (Accounts Payable ÷ COGS) × Number of Days.',
@@ -687,6 +679,39 @@ async function seedFinancialKB() {
     console.log('✅ financial_kb');
 }
 
+/** -------------------------------------------------------------------------
+ * 7) FX RATES
+ * --------------------------------------------------------------------------
+ */
+
+/**
+ * Upserts month‑start EUR and GBP rates against USD for the demo quarter.
+ * The demo books are all in USD, so these only matter once an account,
+ * invoice or bill in another currency is added; `onConflict` on the pair
+ * and date keeps re‑runs idempotent.
+ */
+async function seedFxRates() {
+    console.log('⏳ Seeding FX rates...');
+    const monthly = {
+        EUR: { '2025-01-01': 1.035, '2025-02-01': 1.038, '2025-03-01': 1.085 },
+        GBP: { '2025-01-01': 1.251, '2025-02-01': 1.239, '2025-03-01': 1.292 },
+    };
+    const rates = Object.entries(monthly).flatMap(([base, byDate]) =>
+        Object.entries(byDate).map(([rate_date, rate]) => ({
+            base_currency: base,
+            quote_currency: 'USD',
+            rate_date,
+            rate,
+        }))
+    );
+
+    const { error } = await supabaseAdmin.from('fx_rates').upsert(rates, {
+        onConflict: ['base_currency', 'quote_currency', 'rate_date'],
+    });
+    if (error) throw error;
+    console.log('✅ fx_rates');
+}
+
 /** -------------------------------------------------------------------------
  * RUN THE SCRIPT
  * --------------------------------------------------------------------------
@@ -0,0 +1,467 @@
+/**
+ * Declarative serializers: one template per table, turning a row into the
+ * pipe-delimited fact string that embedAll.js embeds.
+ *
+ *   Transaction | date="2025-01-15" | amount=-2000 | account_name="Main
+ *   Checking" | account_type="bank" | category_name="Rent" |
+ *   category_type="expense" | description="Office rent (Jan)" |
+ *   keywords="expense, operating expense, outflow, spending, cash"
+ *
+ * WHY
+ * ---
+ * • **Opaque identifiers** – `account_id="3fa85f64…"` means nothing to an
+ *   embedding.  Every foreign key a template lists under `refs` is resolved
+ *   to the referenced row, and its *name* and *type* are written instead.
+ * • **Semantic anchors** – A bill row never says “payable” and an unpaid
+ *   invoice never says “overdue”; the `keywords` field does, so questions
+ *   phrased in finance vocabulary find the rows.
+ * • **Currencies** – Amounts carry their currency; a foreign amount also
+ *   gets its value in the owner’s reporting currency and the rate used
+ *   (`amount=-2000 | currency="EUR" | amount_usd=-2170 | fx_rate=1.085`).
+ * • **Extensible** – A new table gets a template (`register()` or the
+ *   `templates` option) instead of another branch in `serialize()`.  Tables
+ *   without one fall back to a generic KEY=VALUE list that still resolves
+ *   the common foreign keys in `REFERENCES`.
+ *
+ * TEMPLATES
+ * ---------
+ *   {
+ *     label:    'Transaction',                     // first field
+ *     refs:     { account_id: 'accounts', … },     // column → lookup table
+ *     fields:   (row, ref, ctx) => [[name, value], …],  // null values skipped
+ *     keywords: (row, ref, ctx) => ['expense', …],       // optional
+ *   }
+ *
+ * `ref` maps each ref column to the referenced row (or `null` when it is
+ * missing); `ctx.asOf` is the date used for “overdue”, and
+ * `ctx.money(name, amount, currency, date)` returns the fields of an amount
+ * (see CURRENCIES above).
+ *
+ * PITFALLS
+ * --------
+ * • “overdue” depends on `asOf` (today by default), so an open invoice’s
+ *   document changes once, on the day it falls due, and is re-embedded by
+ *   the next incremental run.  That is intended.
+ * • Changing a template changes the content hash of every row of its
+ *   table; the next run re-embeds them all.
+ * ============================================================================
+ */
+
+import { DEFAULT_CURRENCY } from './currency.js';
+
+/** Foreign-key columns resolved for every table, template or not. */
+export const REFERENCES = {
+    account_id: 'accounts',
+    category_id: 'categories',
+    customer_id: 'customers',
+    vendor_id: 'vendors',
+};
+
+/* -------------------------------------------------------------------------- */
+/* 1) Semantic anchors                                                        */
+/* -------------------------------------------------------------------------- */
+
+/** Finance vocabulary for each account type (seedAll.js `seedAccounts`). */
+const ACCOUNT_TYPE_WORDS = {
+    bank: ['cash', 'bank account'],
+    liability: ['liability'],
+    asset: ['asset'],
+};
+
+/** Finance vocabulary for each category type (seedAll.js `seedCategories`). */
+const CATEGORY_TYPE_WORDS = {
+    income: ['revenue', 'income', 'sales'],
+    cogs: ['cost of goods sold', 'cogs', 'direct cost'],
+    expense: ['expense', 'operating expense'],
+    asset: ['asset', 'capital expenditure'],
+    liability: ['liability', 'financing'],
+};
+
+/** Finance vocabulary for each statement (statements.js `STATEMENTS`). */
+const STATEMENT_WORDS = {
+    profit_and_loss: ['profit and loss', 'income statement', 'p&l', 'profit'],
+    balance_sheet: ['balance sheet', 'financial position', 'net worth'],
+    cash_flow: ['cash flow statement', 'operating cash flow', 'cash'],
+};
+
+const accountWords = (acct) => ACCOUNT_TYPE_WORDS[acct?.type] ?? [];
+const categoryWords = (cat) => CATEGORY_TYPE_WORDS[cat?.type] ?? [];
+
+/** `Total current assets` → `total_current_assets`. */
+const fieldName = (label) =>
+    label
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+
+/** Status words for an invoice or bill, including “overdue”. */
+function settlementWords(row, asOf) {
+    if (row.status === 'paid') return ['paid', 'settled'];
+    const words = ['unpaid', 'open'];
+    if (row.due_date && row.due_date < asOf) words.push('overdue');
+    return words;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Templates                                                               */
+/* -------------------------------------------------------------------------- */
+
+/** Default template per table. */
+export const SERIALIZERS = {
+    profiles: {
+        label: 'Profile',
+        fields: (row) => [['name', row.name]],
+        keywords: () => ['business owner', 'user'],
+    },
+
+    accounts: {
+        label: 'Account',
+        fields: (row) => [
+            ['name', row.name],
+            ['type', row.type],
+            ['currency', row.currency],
+        ],
+        keywords: (row) => ['account', ...accountWords(row)],
+    },
+
+    categories: {
+        label: 'Category',
+        refs: { parent_id: 'categories' },
+        fields: (row, ref) => [
+            ['name', row.name],
+            ['type', row.type],
+            ['parent_name', ref.parent_id?.name],
+        ],
+        keywords: (row) => ['category', ...categoryWords(row)],
+    },
+
+    transactions: {
+        label: 'Transaction',
+        refs: { account_id: 'accounts', category_id: 'categories' },
+        fields: (row, ref, { money }) => [
+            ['date', row.date],
+            ...money('amount', row.amount, ref.account_id?.currency, row.date),
+            ['account_name', ref.account_id?.name],
+            ['account_type', ref.account_id?.type],
+            ['category_name', ref.category_id?.name],
+            ['category_type', ref.category_id?.type],
+            ['description', row.description],
+        ],
+        keywords: (row, ref) => [
+            ...categoryWords(ref.category_id),
+            ...(Number(row.amount) < 0
+                ? ['outflow', 'spending']
+                : ['inflow', 'receipt']),
+            ...accountWords(ref.account_id),
+        ],
+    },
+
+    budgets: {
+        label: 'Budget',
+        refs: { category_id: 'categories' },
+        fields: (row, ref) => [
+            ['category_name', ref.category_id?.name],
+            ['category_type', ref.category_id?.type],
+            ['period', `${row.period_start} to ${row.period_end}`],
+            ['budget_amount', row.amount],
+        ],
+        keywords: (row, ref) => [
+            'budget',
+            'planned spending',
+            'limit',
+            ...categoryWords(ref.category_id),
+        ],
+    },
+
+    customers: {
+        label: 'Customer',
+        fields: (row) => [
+            ['name', row.name],
+            ['email', row.contact?.email],
+        ],
+        keywords: () => ['customer', 'client', 'receivable'],
+    },
+
+    vendors: {
+        label: 'Vendor',
+        fields: (row) => [
+            ['name', row.name],
+            ['email', row.contact?.email],
+        ],
+        keywords: () => ['vendor', 'supplier', 'payable'],
+    },
+
+    invoices: {
+        label: 'Invoice',
+        refs: { customer_id: 'customers' },
+        fields: (row, ref, { money }) => [
+            ['customer_name', ref.customer_id?.name],
+            ['date', row.date],
+            ['due_date', row.due_date],
+            ...money('total_amount', row.total_amount, row.currency, row.date),
+            ['status', row.status],
+        ],
+        keywords: (row, ref, { asOf }) => [
+            'receivable',
+            'accounts receivable',
+            'customer invoice',
+            'owed to us',
+            ...settlementWords(row, asOf),
+        ],
+    },
+
+    bills: {
+        label: 'Bill',
+        refs: { vendor_id: 'vendors' },
+        fields: (row, ref, { money }) => [
+            ['vendor_name', ref.vendor_id?.name],
+            ['date', row.date],
+            ['due_date', row.due_date],
+            ...money('total_amount', row.total_amount, row.currency, row.date),
+            ['status', row.status],
+        ],
+        keywords: (row, ref, { asOf }) => [
+            'payable',
+            'accounts payable',
+            'vendor bill',
+            'we owe',
+            ...settlementWords(row, asOf),
+        ],
+    },
+
+    account_snapshots: {
+        label: 'Account Balance',
+        refs: { account_id: 'accounts' },
+        fields: (row, ref, { money }) => [
+            ['account_name', ref.account_id?.name],
+            ['account_type', ref.account_id?.type],
+            ['as_of', row.snapshot_date],
+            ...money(
+                'cash_balance',
+                row.balance,
+                ref.account_id?.currency,
+                row.snapshot_date
+            ),
+        ],
+        keywords: (row, ref) => ['balance', ...accountWords(ref.account_id)],
+    },
+
+    monthly_expense_snapshots: {
+        label: 'Monthly Expense Snapshot',
+        fields: (row) => [
+            ['period', `${row.period_start} to ${row.period_end}`],
+            ['total_expense', row.total_expense],
+        ],
+        keywords: () => ['monthly expenses', 'burn rate', 'spending'],
+    },
+
+    // One field per line; comparison amounts get a `_prior` suffix
+    financial_statements: {
+        label: 'Financial Statement',
+        fields: (row) => [
+            ['statement', row.title],
+            ...(row.statement === 'balance_sheet'
+                ? [
+                      ['as_of', row.period_end],
+                      ['compared_with', row.compare_end],
+                  ]
+                : [
+                      ['period', `${row.period_start} to ${row.period_end}`],
+                      [
+                          'compared_with',
+                          row.compare_start &&
+                              `${row.compare_start} to ${row.compare_end}`,
+                      ],
+                  ]),
+            ['currency', row.currency],
+            ...row.lines
+                .filter((l) => l.amounts)
+                .flatMap((l) => [
+                    [fieldName(l.label), l.amounts[0]],
+                    ...(row.compare_start
+                        ? [[`${fieldName(l.label)}_prior`, l.amounts[1]]]
+                        : []),
+                ]),
+        ],
+        keywords: (row) => [
+            'financial statement',
+            ...(STATEMENT_WORDS[row.statement] ?? []),
+        ],
+    },
+
+    financial_kb: {
+        label: 'Formula',
+        fields: (row) => [
+            ['title', row.title],
+            ['expression', row.content],
+        ],
+    },
+};
+
+/**
+ * Tables embedAll.js indexes, in the order a full run processes them.  Kept
+ * here rather than in embedAll.js so that modules needing only the list
+ * (apiSchemas.js) do not build its clients on import.
+ */
+export const TABLES_TO_EMBED = [
+    'profiles',
+    'accounts',
+    'categories',
+    'transactions',
+    'budgets',
+    'customers',
+    'invoices',
+    'vendors',
+    'bills',
+    'account_snapshots',
+    'monthly_expense_snapshots',
+    'financial_statements',
+    'financial_kb',
+];
+
+/* -------------------------------------------------------------------------- */
+/* 3) Rendering                                                               */
+/* -------------------------------------------------------------------------- */
+
+/** `name="text"` for strings, `name=42` for numbers, JSON otherwise. */
+function formatField(name, value) {
+    if (typeof value === 'number') return `${name}=${value}`;
+    if (typeof value === 'string') return `${name}="${value}"`;
+    return `${name}=${JSON.stringify(value)}`;
+}
+
+/** Fields of tables without a template: everything but noise and FKs. */
+function genericFields(row, ref) {
+    return Object.entries(row)
+        .filter(([k]) => !['metadata', 'updated_at'].includes(k))
+        .flatMap(([k, v]) =>
+            k in ref
+                ? [
+                      [`${k.replace(/_id$/, '')}_name`, ref[k]?.name],
+                      [`${k.replace(/_id$/, '')}_type`, ref[k]?.type],
+                  ]
+                : [[k, v]]
+        );
+}
+
+/**
+ * The fields of one amount: the amount and its currency, plus the converted
+ * amount and rate when it differs from the reporting currency.  A missing
+ * rate is written as `fx_note` rather than failing the whole run.
+ */
+function moneyFields(fx, reporting) {
+    return (name, amount, currency, date) => {
+        if (amount == null) return [];
+        const from = currency || reporting;
+        const fields = [
+            [name, amount],
+            ['currency', from],
+        ];
+        if (!fx || !from || from === reporting) return fields;
+        try {
+            const c = fx.convert(amount, from, reporting, date);
+            fields.push(
+                [`${name}_${reporting.toLowerCase()}`, c.amount],
+                ['fx_rate', c.rate]
+            );
+        } catch (err) {
+            if (err.code !== 'FX_RATE') throw err;
+            fields.push(['fx_note', err.message]);
+        }
+        return fields;
+    };
+}
+
+/**
+ * Build a serializer.
+ *
+ * @param {Object} options
+ * @param {(table: string, id: string) => Promise<Object|null>} options.lookup
+ *        – Fetches a referenced row (accounts, categories, profiles…) by id.
+ * @param {Object} [options.fx] – Converter from currency.js `loadFx()`.
+ *        Without it amounts keep their currency but are not converted.
+ * @param {string} [options.asOf] – ISO date for “overdue” (default today).
+ * @param {Record<string, Object>} [options.templates] – Templates per table,
+ *        merged over SERIALIZERS.
+ * @returns {{serialize: Function, references: Function, register: Function}}
+ */
+export function createSerializer({
+    lookup,
+    fx,
+    asOf = new Date().toISOString().slice(0, 10),
+    templates = {},
+}) {
+    const registry = { ...SERIALIZERS, ...templates };
+
+    /** Ref column → lookup table for a table (template or generic). */
+    const refsFor = (table, row = {}) =>
+        registry[table]?.refs ??
+        Object.fromEntries(
+            Object.entries(REFERENCES).filter(([col]) => col in row)
+        );
+
+    return {
+        /**
+         * Turn a row into a deterministic, pipe-delimited fact string.
+         *
+         * @async
+         * @param {string} table – Source table name.
+         * @param {Object} row   – Row object returned by Supabase.
+         * @returns {Promise<string>}
+         */
+        async serialize(table, row) {
+            const refs = refsFor(table, row);
+            const ref = {};
+            for (const [col, target] of Object.entries(refs)) {
+                ref[col] =
+                    row[col] == null ? null : await lookup(target, row[col]);
+            }
+
+            // Amounts are reported in the owner's currency (profiles)
+            const owner =
+                row.user_id && (await lookup('profiles', row.user_id));
+            const reporting = owner?.reporting_currency || DEFAULT_CURRENCY;
+
+            const template = registry[table];
+            const ctx = { asOf, money: moneyFields(fx, reporting) };
+            const fields = template
+                ? template.fields(row, ref, ctx)
+                : genericFields(row, ref);
+            const keywords = [
+                ...new Set(template?.keywords?.(row, ref, ctx) ?? []),
+            ];
+            if (keywords.length) fields.push(['keywords', keywords.join(', ')]);
+
+            return [
+                template?.label ?? table.toUpperCase(),
+                ...fields
+                    .filter(([, v]) => v != null)
+                    .map(([name, v]) => formatField(name, v)),
+            ].join(' | ');
+        },
+
+        /**
+         * Tables a table’s rows reference, e.g. `transactions` →
+         * `['accounts', 'categories', 'profiles']` (profiles for the
+         * reporting currency).  Tables without a template report every
+         * table in REFERENCES.
+         *
+         * @param {string} table
+         * @returns {string[]}
+         */
+        references(table) {
+            const refs = registry[table]?.refs ?? REFERENCES;
+            return [...new Set([...Object.values(refs), 'profiles'])];
+        },
+
+        /**
+         * Add or replace the template for a table.
+         *
+         * @param {string} table
+         * @param {Object} template – See TEMPLATES above.
+         */
+        register(table, template) {
+            registry[table] = template;
+        },
+    };
+}
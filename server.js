@@ -0,0 +1,407 @@
+/**
+ * HTTP API for the finance RAG engine.
+ *
+ * Wraps the same building blocks the CLI scripts use—`answer()` and
+ * `fetchContext()` from queryBot.js, `embedTable()` from embedAll.js and the
+ * vector store—so the web dashboard can ask questions and manage the index
+ * for *any* user, instead of the single `DUMMY_USER_ID` the CLIs assume.
+ *
+ * ENDPOINTS
+ * ---------
+ *   GET    /health                  liveness probe
+ *   GET    /v1/schemas              every request/response schema
+ *   POST   /v1/ask                  askRequest       → askResponse
+ *   POST   /v1/ask/stream           askRequest       → Server-Sent Events
+ *   GET    /v1/ask/stream?…         same, as query parameters (EventSource)
+ *   POST   /v1/context              contextRequest   → contextResponse
+ *   POST   /v1/embeddings           embedRequest     → embedResponse
+ *   GET    /v1/documents?…          listDocumentsQuery → listDocumentsResponse
+ *   DELETE /v1/documents            deleteDocumentsRequest
+ *                                                    → deleteDocumentsResponse
+ *   GET    /v1/history?userId=…     historyQuery     → historyResponse
+ *   GET    /v1/conversations?userId=…
+ *                                    conversationsQuery → conversationsResponse
+ *
+ * Schemas live in apiSchemas.js.  Invalid input is answered with 400 and
+ * the `error` schema (`{ error: { message, details } }`); unexpected
+ * failures with 500 and a generic message, the cause going to the log.
+ *
+ * SECURITY
+ * --------
+ * The server holds the Supabase *service-role* key and trusts the `userId`
+ * it is given, so it belongs behind the dashboard’s back end, not on the
+ * open internet.  Set `API_TOKEN` to require `Authorization: Bearer <token>`
+ * on every `/v1` route.  `API_CORS_ORIGIN` enables CORS for one origin.
+ *
+ * STREAMING
+ * ---------
+ * `/v1/ask/stream` answers with `text/event-stream`:
+ *   event: token   data: askStreamToken  – one text delta of the draft
+ *   event: done    data: askStreamDone   – the verified answer; `replaced`
+ *                                          is true when it differs from the
+ *                                          streamed draft (show it instead)
+ *   event: error   data: error           – the request failed mid-stream
+ * History is saved and the citation check runs once the model finishes,
+ * exactly as for `/v1/ask`—even if the client has disconnected.
+ *
+ * PITFALLS
+ * --------
+ * • `POST /v1/embeddings` runs synchronously; re-embedding a whole table can
+ *   take minutes, so give the dashboard’s request a generous timeout.
+ * • `GET /v1/documents` pages in memory over `store.list()`; fine for the
+ *   thousands of rows one business produces, not for a shared index.
+ *
+ * Usage:  `node server.js`   (listens on `PORT`, default 3000)
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import {
+    answer,
+    fetchContext,
+    formulaRetriever,
+    historyStore,
+    retriever,
+} from './queryBot.js';
+import { embedTable } from './embedAll.js';
+import { createVectorStore } from './vectorStore.js';
+import { parseCitations } from './citations.js';
+import { schemas, validate } from './apiSchemas.js';
+
+const PORT = Number(process.env.PORT) || 3000;
+const API_TOKEN = process.env.API_TOKEN || null;
+const CORS_ORIGIN = process.env.API_CORS_ORIGIN || null;
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_PAGE_SIZE = 100;
+
+/** Same backend as queryBot.js and embedAll.js (see vectorStore.js). */
+const store = createVectorStore();
+
+/* -------------------------------------------------------------------------- */
+/* 1) Request / response helpers                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * An Error carrying the HTTP status (and details) to answer with.  Only
+ * these reach the client; errors from OpenAI or Supabase also carry a
+ * `status`, but describe *our* upstream call, so they become a 500.
+ */
+function httpError(status, message, details) {
+    return Object.assign(new Error(message), { status, details, expose: true });
+}
+
+/** Throw a 400 listing every schema violation, if there are any. */
+function check(schema, value) {
+    const details = validate(schema, value);
+    if (details.length) throw httpError(400, 'Invalid request', details);
+    return value;
+}
+
+const corsHeaders = () =>
+    CORS_ORIGIN
+        ? {
+              'Access-Control-Allow-Origin': CORS_ORIGIN,
+              'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+              'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+          }
+        : {};
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...corsHeaders(),
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/** The public form of an error: its own message if exposable, else generic. */
+function errorBody(err) {
+    if (!err.expose) return { error: { message: 'Internal server error' } };
+    return {
+        error: {
+            message: err.message,
+            ...(err.details && { details: err.details }),
+        },
+    };
+}
+
+/**
+ * Read and parse a JSON request body (at most `MAX_BODY_BYTES`).
+ *
+ * @async
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>} Parsed body; `{}` when empty.
+ */
+async function readJson(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw httpError(413, 'Body too large');
+        chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks).toString('utf8');
+    if (!raw.trim()) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw httpError(400, 'Body is not valid JSON');
+    }
+}
+
+/**
+ * Query-string parameters as an object, with numeric and boolean strings
+ * converted where the schema expects those types.
+ *
+ * @param {URLSearchParams} params
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function readQuery(params, schema) {
+    const out = {};
+    for (const [key, raw] of params) {
+        const type = schema.properties?.[key]?.type;
+        if ((type === 'integer' || type === 'number') && raw.trim() !== '') {
+            out[key] = Number(raw);
+        } else if (type === 'boolean' && (raw === 'true' || raw === 'false')) {
+            out[key] = raw === 'true';
+        } else {
+            out[key] = raw;
+        }
+    }
+    return out;
+}
+
+/** Constant-time bearer-token check (no-op when `API_TOKEN` is unset). */
+function authorize(req) {
+    if (!API_TOKEN) return;
+    const given = Buffer.from(
+        (req.headers.authorization ?? '').replace(/^Bearer\s+/i, '')
+    );
+    const expected = Buffer.from(API_TOKEN);
+    if (
+        given.length !== expected.length ||
+        !crypto.timingSafeEqual(given, expected)
+    ) {
+        throw httpError(401, 'Missing or invalid API token');
+    }
+}
+
+/**
+ * Answer a question as Server-Sent Events (see STREAMING above).  Failures
+ * after the headers are out are reported as an `error` event.
+ *
+ * @async
+ * @param {http.ServerResponse} res
+ * @param {{userId: string, question: string, conversation?: string,
+ *          mode?: 'rag'|'tools', remember?: boolean}} body
+ */
+async function streamAnswer(res, body) {
+    let open = true;
+    res.on('close', () => (open = false));
+    const emit = (event, data) => {
+        if (open)
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+        ...corsHeaders(),
+    });
+    res.write(': streaming\n\n'); // flush headers before retrieval starts
+
+    let draft = '';
+    try {
+        const reply = await answer(body.question, {
+            userId: body.userId,
+            conversation: body.conversation,
+            mode: body.mode,
+            remember: body.remember ?? true,
+            onToken: (text) => {
+                draft += text;
+                emit('token', { text });
+            },
+        });
+        emit('done', {
+            answer: reply,
+            citations: parseCitations(reply),
+            replaced: reply !== draft.trim(),
+        });
+    } catch (err) {
+        if (!err.expose) console.error('❌ /v1/ask/stream:', err);
+        emit('error', errorBody(err));
+    }
+    res.end();
+}
+
+/**
+ * `{ userId, table, sourceId }` → a vector-store filter.  Always scoped to
+ * one user: without `user_id` a filter would reach every tenant’s documents.
+ */
+function documentFilter({ userId, table, sourceId }) {
+    if (!userId) {
+        throw httpError(400, 'Invalid request', ['$.userId: required']);
+    }
+    return { user_id: userId, source_table: table, source_id: sourceId };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Route handlers                                                          */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Each handler receives `{ req, res, url }` and returns `[status, body]`,
+ * or nothing when it has written the response itself (streaming).
+ */
+const routes = {
+    'GET /health': async () => [200, { ok: true }],
+
+    'GET /v1/schemas': async () => [200, schemas],
+
+    'POST /v1/ask': async ({ req }) => {
+        const body = check(schemas.askRequest, await readJson(req));
+        const reply = await answer(body.question, {
+            userId: body.userId,
+            conversation: body.conversation,
+            mode: body.mode,
+            remember: body.remember ?? true,
+        });
+        return [200, { answer: reply, citations: parseCitations(reply) }];
+    },
+
+    'POST /v1/ask/stream': async ({ req, res }) => {
+        const body = check(schemas.askRequest, await readJson(req));
+        await streamAnswer(res, body);
+    },
+
+    'GET /v1/ask/stream': async ({ res, url }) => {
+        const query = check(
+            schemas.askRequest,
+            readQuery(url.searchParams, schemas.askRequest)
+        );
+        await streamAnswer(res, query);
+    },
+
+    'POST /v1/context': async ({ req }) => {
+        const body = check(schemas.contextRequest, await readJson(req));
+        const { text, sources, packing } = await fetchContext(body.question, {
+            userId: body.userId,
+            count: body.count,
+        });
+        return [200, { text, sources: Object.fromEntries(sources), packing }];
+    },
+
+    'POST /v1/embeddings': async ({ req }) => {
+        const body = check(schemas.embedRequest, await readJson(req));
+        const counts = await embedTable(body.table, {
+            ids: body.ids,
+            force: body.force ?? false,
+        });
+        retriever.invalidate();
+        if (body.table === 'financial_kb') formulaRetriever.invalidate();
+        return [200, { table: body.table, counts }];
+    },
+
+    'GET /v1/documents': async ({ url }) => {
+        const query = check(
+            schemas.listDocumentsQuery,
+            readQuery(url.searchParams, schemas.listDocumentsQuery)
+        );
+        const { limit = DEFAULT_PAGE_SIZE, offset = 0 } = query;
+        const docs = await store.list(documentFilter(query));
+        return [
+            200,
+            {
+                total: docs.length,
+                documents: docs.slice(offset, offset + limit).map((d) => ({
+                    ...d,
+                    source_id: String(d.source_id),
+                })),
+            },
+        ];
+    },
+
+    'DELETE /v1/documents': async ({ req }) => {
+        const body = check(schemas.deleteDocumentsRequest, await readJson(req));
+        if (body.sourceId && !body.table) {
+            throw httpError(400, 'Invalid request', [
+                '$.sourceId: requires $.table',
+            ]);
+        }
+        const filter = documentFilter(body);
+        const deleted = await store.count(filter);
+        await store.delete(filter);
+        retriever.invalidate(body.userId);
+        return [200, { deleted }];
+    },
+
+    'GET /v1/history': async ({ url }) => {
+        const { userId, conversation, limit } = check(
+            schemas.historyQuery,
+            readQuery(url.searchParams, schemas.historyQuery)
+        );
+        const [messages, summary] = await Promise.all([
+            historyStore.load(userId, { conversation, limit }),
+            historyStore.loadSummary(userId, { conversation }),
+        ]);
+        return [200, { userId, messages, summary }];
+    },
+
+    'GET /v1/conversations': async ({ url }) => {
+        const { userId } = check(
+            schemas.conversationsQuery,
+            readQuery(url.searchParams, schemas.conversationsQuery)
+        );
+        const conversations = await historyStore.conversations(userId);
+        return [200, { userId, conversations }];
+    },
+};
+
+/* -------------------------------------------------------------------------- */
+/* 3) Server                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Build the HTTP server (not yet listening).
+ *
+ * @returns {http.Server}
+ */
+export function createApiServer() {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'OPTIONS' && CORS_ORIGIN) return send(res, 204);
+
+        const handler = routes[`${req.method} ${url.pathname}`];
+        try {
+            if (!handler) {
+                const known = Object.keys(routes).some((r) =>
+                    r.endsWith(` ${url.pathname}`)
+                );
+                throw known
+                    ? httpError(405, 'Method not allowed')
+                    : httpError(404, 'No such endpoint');
+            }
+            if (url.pathname.startsWith('/v1/')) authorize(req);
+            const result = await handler({ req, res, url });
+            if (result) send(res, ...result);
+        } catch (err) {
+            if (!err.expose) {
+                console.error(`❌ ${req.method} ${url.pathname}:`, err);
+            }
+            if (res.headersSent) res.end();
+            else send(res, err.expose ? err.status : 500, errorBody(err));
+        }
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    createApiServer().listen(PORT, () =>
+        console.log(`🚀 API listening on http://localhost:${PORT}`)
+    );
+}
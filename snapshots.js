@@ -0,0 +1,452 @@
+/**
+ * Snapshots derived from the ledger: month-end `account_snapshots` and
+ * `monthly_expense_snapshots` computed from `transactions`, and a
+ * reconciliation of the stored snapshots against them.
+ *
+ *   Main Checking on 2025-03-31  = Σ amount of its transactions to that day
+ *   Expenses of 2025-03          = −Σ amount of expense and cogs rows in March
+ *
+ * WHY
+ * ---
+ * Stored snapshots are facts the KPIs and the embedded documents rely on,
+ * but nothing kept them in step with the transactions they summarise.  An
+ * edited or late-booked transaction left every later snapshot wrong, and
+ * the answer built on it wrong too.  Deriving them makes the transactions
+ * the single source; reconciling shows where the stored rows have drifted.
+ *
+ * RULES
+ * -----
+ * • A balance is the running total of the account’s transactions, in the
+ *   account’s own currency, from its first transaction up to and including
+ *   the snapshot date.
+ * • A month’s expenses are expense and cogs category rows in the month,
+ *   with the sign flipped and converted into the reporting currency at each
+ *   row’s date (monthly snapshots carry no currency; see kpis.js).
+ * • The range covers every month whose last day falls inside it.
+ * • Reconciliation compares every stored snapshot in the range with the
+ *   value derived for *its own* date or period, so off-cycle snapshots are
+ *   checked too.  Each is `ok`, `drift` (off by more than half a cent),
+ *   `unverifiable` (a balance dated before the account’s first transaction,
+ *   e.g. an opening balance the ledger cannot derive) or, for a derived
+ *   month-end with no stored row, `missing`.
+ *
+ * WRITING
+ * -------
+ * `--write` updates drifted rows in place and inserts missing ones, then
+ * re-embeds exactly those rows (embedAll.js `embedTable`), so snapshot
+ * documents never lag the ledger.  Rows keep their ids; nothing is deleted,
+ * and unverifiable rows are left as stored.
+ *
+ * Usage:  `node snapshots.js [start] [end] [--write]`
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { round2, selectAll, TOLERANCE } from './books.js';
+import { resolvePeriod } from './kpis.js';
+import { loadFx, reportingCurrency } from './currency.js';
+import { indexLedger } from './ledger.js';
+
+/** Category types whose rows count as expenses (as in seedAll.js). */
+const EXPENSE_TYPES = new Set(['expense', 'cogs']);
+
+/* -------------------------------------------------------------------------- */
+/* 1) Derivation                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Calendar months whose last day falls within `[start, end]`.
+ *
+ * @param {{start: string, end: string}} period – ISO dates, inclusive.
+ * @returns {Array<{start: string, end: string}>}
+ */
+export function monthsIn({ start, end }) {
+    const months = [];
+    let y = Number(start.slice(0, 4));
+    let m = Number(start.slice(5, 7));
+    for (;;) {
+        const first = `${y}-${String(m).padStart(2, '0')}-01`;
+        const last = new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+        if (first > end) return months;
+        if (last >= start && last <= end)
+            months.push({ start: first, end: last });
+        [y, m] = m === 12 ? [y + 1, 1] : [y, m + 1];
+    }
+}
+
+/**
+ * Month-end balances and expense totals of a ledger, in cents.
+ *
+ * @returns {{balance: (accountId: string, date: string) => number|null,
+ *           expenses: (start: string, end: string) => number,
+ *           accountIds: string[]}} `balance` is null before the account’s
+ *          first transaction.
+ */
+function ledgerTotals(books, options) {
+    const ledger = indexLedger(books, options);
+    const isExpense = (t) => EXPENSE_TYPES.has(t.category?.type);
+    return {
+        accountIds: ledger.accountIds,
+        balance(accountId, date) {
+            const balance = ledger.balance(accountId, date);
+            return balance === null ? null : round2(balance);
+        },
+        expenses: (start, end) => round2(-ledger.flow(isExpense, start, end)),
+    };
+}
+
+/**
+ * Derive month-end snapshots from transactions.  Pure and synchronous so it
+ * can be exercised without a database.
+ *
+ * @param {Object}   books
+ * @param {Object[]} books.accounts     – `{ id, currency }`
+ * @param {Object[]} books.categories   – `{ id, type }`
+ * @param {Object[]} books.transactions – `{ account_id, category_id, date,
+ *        amount }`, every row up to `period.end` (earlier rows carry the
+ *        opening balances).
+ * @param {{start: string, end: string}} period
+ * @param {Object} [options]
+ * @param {Object} [options.fx]       – Converter from currency.js `loadFx()`.
+ * @param {string} [options.currency] – Reporting currency.
+ * @returns {{account_snapshots: Object[], monthly_expense_snapshots: Object[]}}
+ *          Rows shaped like the tables, without `id` and `user_id`.
+ */
+export function buildSnapshots(books, period, options) {
+    return snapshotsFrom(ledgerTotals(books, options), period);
+}
+
+/** Month-end snapshots of a ledger’s totals (see `buildSnapshots()`). */
+function snapshotsFrom(ledger, period) {
+    const months = monthsIn(period);
+    return {
+        account_snapshots: months.flatMap(({ end }) =>
+            ledger.accountIds
+                .map((account_id) => ({
+                    account_id,
+                    snapshot_date: end,
+                    balance: ledger.balance(account_id, end),
+                }))
+                .filter((s) => s.balance !== null)
+        ),
+        monthly_expense_snapshots: months.map(({ start, end }) => ({
+            period_start: start,
+            period_end: end,
+            total_expense: ledger.expenses(start, end),
+        })),
+    };
+}
+
+/**
+ * Compare stored snapshots with the ledger.
+ *
+ * @param {Object} books  – As for `buildSnapshots()`.
+ * @param {{account_snapshots: Object[], monthly_expense_snapshots: Object[]}}
+ *        stored – Stored rows in the period, with their `id`.
+ * @param {{start: string, end: string}} period
+ * @param {Object} [options] – As for `buildSnapshots()`.
+ * @returns {{account_snapshots: Object[], monthly_expense_snapshots: Object[],
+ *           counts: {ok: number, drift: number, unverifiable: number,
+ *           missing: number}}}
+ *          Rows are `{ status, id?, …keys, stored, derived, drift }`;
+ *          `derived` and `drift` are null for unverifiable rows.
+ */
+export function reconcileSnapshots(books, stored, period, options) {
+    const ledger = ledgerTotals(books, options);
+    const derived = snapshotsFrom(ledger, period);
+    const compare = (row, storedValue, derivedValue) => {
+        // No transaction on or before the date: nothing to check against
+        if (derivedValue === null) {
+            return {
+                status: 'unverifiable',
+                ...row,
+                stored: storedValue,
+                derived: null,
+                drift: null,
+            };
+        }
+        const drift = round2(derivedValue - storedValue);
+        return {
+            status: Math.abs(drift) > TOLERANCE ? 'drift' : 'ok',
+            ...row,
+            stored: storedValue,
+            derived: derivedValue,
+            drift,
+        };
+    };
+
+    const balances = stored.account_snapshots.map((s) =>
+        compare(
+            {
+                id: s.id,
+                account_id: s.account_id,
+                snapshot_date: s.snapshot_date,
+            },
+            Number(s.balance),
+            ledger.balance(s.account_id, s.snapshot_date)
+        )
+    );
+    const balanceKeys = new Set(
+        balances.map((s) => `${s.account_id}|${s.snapshot_date}`)
+    );
+    for (const s of derived.account_snapshots) {
+        if (balanceKeys.has(`${s.account_id}|${s.snapshot_date}`)) continue;
+        balances.push({
+            status: 'missing',
+            account_id: s.account_id,
+            snapshot_date: s.snapshot_date,
+            stored: null,
+            derived: s.balance,
+            drift: s.balance,
+        });
+    }
+
+    const expenses = stored.monthly_expense_snapshots.map((m) =>
+        compare(
+            {
+                id: m.id,
+                period_start: m.period_start,
+                period_end: m.period_end,
+            },
+            Number(m.total_expense),
+            ledger.expenses(m.period_start, m.period_end)
+        )
+    );
+    const expenseKeys = new Set(
+        expenses.map((m) => `${m.period_start}|${m.period_end}`)
+    );
+    for (const m of derived.monthly_expense_snapshots) {
+        if (expenseKeys.has(`${m.period_start}|${m.period_end}`)) continue;
+        expenses.push({
+            status: 'missing',
+            period_start: m.period_start,
+            period_end: m.period_end,
+            stored: null,
+            derived: m.total_expense,
+            drift: m.total_expense,
+        });
+    }
+
+    const all = [...balances, ...expenses];
+    const count = (status) => all.filter((r) => r.status === status).length;
+    return {
+        account_snapshots: balances,
+        monthly_expense_snapshots: expenses,
+        counts: {
+            ok: count('ok'),
+            drift: count('drift'),
+            unverifiable: count('unverifiable'),
+            missing: count('missing'),
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Database                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Load a user’s ledger and stored snapshots, and reconcile them.
+ *
+ * @async
+ * @param {SupabaseClient} supabase – Client able to read the user’s tables.
+ * @param {string}         userId
+ * @param {{start?: string, end?: string}} [period] – Defaults to the span
+ *        of the user’s transactions.
+ * @returns {Promise<ReturnType<typeof reconcileSnapshots> &
+ *          {period: {start: string, end: string}}>}
+ */
+export async function checkSnapshots(supabase, userId, period) {
+    const resolved = await resolvePeriod(supabase, userId, period);
+    const scoped = (table, columns) => () =>
+        supabase.from(table).select(columns).eq('user_id', userId).order('id');
+    const [
+        accounts,
+        categories,
+        transactions,
+        balances,
+        expenses,
+        fx,
+        currency,
+    ] = await Promise.all([
+        selectAll(scoped('accounts', 'id, currency')),
+        selectAll(scoped('categories', 'id, type')),
+        selectAll(() =>
+            scoped(
+                'transactions',
+                'id, account_id, category_id, date, amount'
+            )().lte('date', resolved.end)
+        ),
+        selectAll(() =>
+            scoped(
+                'account_snapshots',
+                'id, account_id, snapshot_date, balance'
+            )()
+                .gte('snapshot_date', resolved.start)
+                .lte('snapshot_date', resolved.end)
+        ),
+        selectAll(() =>
+            scoped(
+                'monthly_expense_snapshots',
+                'id, period_start, period_end, total_expense'
+            )()
+                .gte('period_start', resolved.start)
+                .lte('period_end', resolved.end)
+        ),
+        loadFx(supabase),
+        reportingCurrency(supabase, userId),
+    ]);
+    return {
+        period: resolved,
+        ...reconcileSnapshots(
+            { accounts, categories, transactions },
+            {
+                account_snapshots: balances,
+                monthly_expense_snapshots: expenses,
+            },
+            resolved,
+            { fx, currency }
+        ),
+    };
+}
+
+/**
+ * Bring stored snapshots in line with a reconciliation: update drifted rows
+ * in place and insert missing ones.  Unverifiable rows are never written.
+ *
+ * @async
+ * @param {SupabaseClient} supabase – Client able to write the user’s tables.
+ * @param {string}         userId
+ * @param {ReturnType<typeof reconcileSnapshots>} report
+ * @returns {Promise<Record<string, string[]>>} Ids written per table.
+ */
+export async function applySnapshots(supabase, userId, report) {
+    const value = {
+        account_snapshots: 'balance',
+        monthly_expense_snapshots: 'total_expense',
+    };
+    const written = {};
+    for (const [table, column] of Object.entries(value)) {
+        const ids = [];
+        for (const row of report[table].filter((r) => r.status === 'drift')) {
+            const { error } = await supabase
+                .from(table)
+                .update({ [column]: row.derived })
+                .eq('id', row.id)
+                .eq('user_id', userId);
+            if (error) throw error;
+            ids.push(row.id);
+        }
+
+        const missing = report[table]
+            .filter((r) => r.status === 'missing')
+            .map(({ status, stored, derived, drift, ...keys }) => ({
+                user_id: userId,
+                ...keys,
+                [column]: derived,
+            }));
+        if (missing.length) {
+            const { data, error } = await supabase
+                .from(table)
+                .insert(missing)
+                .select('id');
+            if (error) throw error;
+            ids.push(...data.map((r) => r.id));
+        }
+        written[table] = ids;
+    }
+    return written;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Reporting                                                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Render a reconciliation, listing the rows that are not `ok`.
+ *
+ * @param {Awaited<ReturnType<typeof checkSnapshots>>} report
+ * @param {Map<string, string>} [names] – account_id → account name.
+ * @returns {string}
+ */
+export function formatReconciliation(report, names = new Map()) {
+    const lines = [
+        `Snapshots ${report.period.start} to ${report.period.end}: ` +
+            `${report.counts.ok} ok, ${report.counts.drift} drifted, ` +
+            `${report.counts.unverifiable} unverifiable, ` +
+            `${report.counts.missing} missing`,
+    ];
+    for (const s of report.account_snapshots) {
+        if (s.status === 'ok') continue;
+        if (s.status === 'unverifiable') {
+            lines.push(
+                `  ❔ ${names.get(s.account_id) ?? s.account_id} on ${
+                    s.snapshot_date
+                }: stored ${s.stored}, no transactions on or before it`
+            );
+            continue;
+        }
+        lines.push(
+            `  ${s.status === 'drift' ? '⚠️ ' : '➕'} ${
+                names.get(s.account_id) ?? s.account_id
+            } on ${s.snapshot_date}: stored ${s.stored ?? '—'}, ledger ${
+                s.derived
+            }`
+        );
+    }
+    for (const m of report.monthly_expense_snapshots) {
+        if (m.status === 'ok') continue;
+        lines.push(
+            `  ${m.status === 'drift' ? '⚠️ ' : '➕'} Expenses ${
+                m.period_start
+            } to ${m.period_end}: stored ${m.stored ?? '—'}, ledger ${
+                m.derived
+            }`
+        );
+    }
+    return lines.join('\n');
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const supabase = createDataClient();
+    const userId = process.env.DUMMY_USER_ID;
+    const args = process.argv.slice(2);
+    const [start, end] = args.filter((a) => !a.startsWith('--'));
+
+    const report = await checkSnapshots(supabase, userId, { start, end });
+    const { data: accounts, error } = await supabase
+        .from('accounts')
+        .select('id, name')
+        .eq('user_id', userId);
+    if (error) throw error;
+    console.log(
+        formatReconciliation(
+            report,
+            new Map(accounts.map((a) => [a.id, a.name]))
+        )
+    );
+
+    if (!args.includes('--write')) return;
+    // Loaded only here: embedAll.js builds an embedder on import, which
+    // seedAll.js (a user of buildSnapshots) has no credentials for
+    const { embedTable } = await import('./embedAll.js');
+    const written = await applySnapshots(supabase, userId, report);
+    for (const [table, ids] of Object.entries(written)) {
+        if (!ids.length) continue;
+        console.log(`✍️  ${table}: ${ids.length} rows written`);
+        await embedTable(table, { ids });
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Snapshot reconciliation failed:', err.message);
+        process.exit(1);
+    });
+}
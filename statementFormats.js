@@ -0,0 +1,443 @@
+/**
+ * Parsers for bank and credit-card exports: CSV, OFX and QIF.  Each turns a
+ * file into the same entries, which importStatement.js maps to one account:
+ *
+ *   { date: '2025-01-15', amount: -2000, description: 'Office rent',
+ *     line: 7, fitid: '20250115-1' }
+ *
+ * `amount` is signed from the account holder’s side (negative = money out),
+ * `line` is the 1-based line where the entry starts in the file, and
+ * `fitid` is the bank’s own transaction id when the format has one.
+ *
+ * CSV PROFILES
+ * ------------
+ * Banks agree on nothing in CSV, so a *profile* maps columns by header:
+ *
+ *   {
+ *     date: 'Posting Date', description: 'Description',
+ *     amount: 'Amount',                  // one signed column, or
+ *     debit: 'Debit', credit: 'Credit',  // two unsigned ones
+ *     id: 'Reference',                   // optional, becomes `fitid`
+ *     dateFormat: 'MM/DD/YYYY',          // or DD/MM/YYYY, DD.MM.YYYY, …
+ *     negate: true,                      // card exports with charges > 0
+ *     delimiter: ',', decimal: '.',
+ *   }
+ *
+ * A column may be a list of candidate headers, matched case-insensitively;
+ * `generic` uses that to read most exports that have a date, a description
+ * and an amount column.  Pass a JSON file instead of a name for anything
+ * else.
+ *
+ * PITFALLS
+ * --------
+ * • Dates like 03/04/2025 are ambiguous.  Without a `dateFormat`, slashes
+ *   are read month first (US banks); set `DD/MM/YYYY` for European exports.
+ * • OFX dates carry a time and zone (`20250115120000[-5:EST]`); only the
+ *   date part is kept, as the bank reported it.
+ * • QIF has no transaction ids, so re-imports are deduplicated on date and
+ *   amount (see importStatement.js).
+ * ============================================================================
+ */
+
+import path from 'path';
+
+/** Built-in CSV column mappings (see CSV PROFILES above). */
+export const CSV_PROFILES = {
+    generic: {
+        date: ['date', 'posted date', 'posting date', 'transaction date'],
+        description: ['description', 'payee', 'name', 'memo', 'details'],
+        amount: ['amount', 'amount (usd)'],
+        debit: ['debit', 'withdrawal', 'withdrawals'],
+        credit: ['credit', 'deposit', 'deposits'],
+        id: ['reference', 'transaction id', 'id'],
+    },
+    chase_checking: {
+        date: 'Posting Date',
+        description: 'Description',
+        amount: 'Amount',
+        dateFormat: 'MM/DD/YYYY',
+    },
+    chase_card: {
+        date: 'Transaction Date',
+        description: 'Description',
+        amount: 'Amount',
+        dateFormat: 'MM/DD/YYYY',
+    },
+    amex: {
+        date: 'Date',
+        description: 'Description',
+        amount: 'Amount',
+        id: 'Reference',
+        dateFormat: 'MM/DD/YYYY',
+        negate: true,
+    },
+};
+
+/** An error naming the line it was found on (`code: 'PARSE'`). */
+function parseError(message, line) {
+    return Object.assign(
+        new Error(line ? `Line ${line}: ${message}` : message),
+        { code: 'PARSE', line }
+    );
+}
+
+/* -------------------------------------------------------------------------- */
+/* 1) Values                                                                  */
+/* -------------------------------------------------------------------------- */
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/** Two-digit years are this century (bank exports do not predate 2000). */
+const fullYear = (y) => (y.length <= 2 ? 2000 + Number(y) : Number(y));
+
+/**
+ * Parse a date into ISO form.
+ *
+ * @param {string} text
+ * @param {string} [format] – `YYYY-MM-DD`, `MM/DD/YYYY`, `DD/MM/YYYY`,
+ *        `DD.MM.YYYY` or `YYYYMMDD`; by default ISO, compact and
+ *        month-first slashed dates are recognised.
+ * @returns {string|null} `YYYY-MM-DD`, or null when unparseable.
+ */
+export function parseDate(text, format) {
+    const s = String(text ?? '').trim();
+    let y;
+    let m;
+    let d;
+    let hit;
+    if ((hit = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) [, y, m, d] = hit;
+    else if ((hit = s.match(/^(\d{4})(\d{2})(\d{2})/))) [, y, m, d] = hit;
+    else if ((hit = s.match(/^(\d{1,2})[/.'-](\d{1,2})[/.'-](\d{2,4})$/))) {
+        const dayFirst = format?.startsWith('DD') ?? s.includes('.');
+        [, m, d, y] = hit;
+        if (dayFirst) [m, d] = [d, m];
+    } else return null;
+
+    const year = fullYear(y);
+    const date = `${year}-${pad2(m)}-${pad2(d)}`;
+    const check = new Date(`${date}T00:00:00Z`);
+    return Number.isNaN(check.getTime()) ||
+        check.toISOString().slice(0, 10) !== date
+        ? null
+        : date;
+}
+
+/**
+ * Parse an amount as banks print it: currency symbols, thousands
+ * separators, `(12.50)` or a trailing minus for negatives.
+ *
+ * @param {string} text
+ * @param {string} [decimal='.'] – Decimal separator (`,` for most of Europe).
+ * @returns {number|null}
+ */
+export function parseAmount(text, decimal = '.') {
+    let s = String(text ?? '').trim();
+    if (!s) return null;
+    const negative = /^\(.*\)$/.test(s) || /-$/.test(s) || /^-/.test(s);
+    s = s.replace(/[^\d.,]/g, '');
+    s =
+        decimal === ','
+            ? s.replace(/\./g, '').replace(',', '.')
+            : s.replace(/,/g, '');
+    if (!s || Number.isNaN(Number(s))) return null;
+    return (negative ? -1 : 1) * Number(s);
+}
+
+/** Payee and memo as one description, without repeating a memo. */
+const describe = (payee, memo) =>
+    [payee, memo]
+        .map((s) => s?.trim())
+        .filter(Boolean)
+        .filter((s, i, all) => i === 0 || !all[0].includes(s))
+        .join(' — ');
+
+/* -------------------------------------------------------------------------- */
+/* 2) CSV                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may contain the
+ * delimiter, `""` and line breaks).
+ *
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {Array<{fields: string[], line: number}>} `line` is where the
+ *          record starts.
+ */
+export function splitCsv(text, delimiter = ',') {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') quoted = false;
+            else {
+                if (c === '\n') line++;
+                field += c;
+            }
+        } else if (c === '"') quoted = true;
+        else if (c === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            if (fields.some((f) => f.trim()))
+                records.push({ fields, line: start });
+            fields = [];
+            field = '';
+            start = ++line;
+        } else field += c;
+    }
+    fields.push(field);
+    if (fields.some((f) => f.trim())) records.push({ fields, line: start });
+    return records;
+}
+
+/**
+ * Parse a CSV export with a column mapping profile.
+ *
+ * @param {string} text
+ * @param {Object} [profile=CSV_PROFILES.generic] – See CSV PROFILES above.
+ * @returns {Object[]} Statement entries.
+ * @throws {Error} `code: 'PARSE'` when a mapped column is missing or a row
+ *         has no valid date or amount.
+ */
+export function parseCsv(text, profile = CSV_PROFILES.generic) {
+    const [header, ...rows] = splitCsv(
+        text.replace(/^\uFEFF/, ''),
+        profile.delimiter
+    );
+    if (!header) return [];
+    const names = header.fields.map((h) => h.trim().toLowerCase());
+    const column = (wanted) => {
+        const list = [wanted ?? []].flat().map((w) => w.toLowerCase());
+        const i = names.findIndex((n) => list.includes(n));
+        return i < 0 ? null : i;
+    };
+    const col = Object.fromEntries(
+        ['date', 'description', 'amount', 'debit', 'credit', 'id'].map((k) => [
+            k,
+            column(profile[k]),
+        ])
+    );
+    if (col.date === null) {
+        throw parseError(`No date column (${[profile.date].flat()})`, 1);
+    }
+    if (col.amount === null && col.debit === null && col.credit === null) {
+        throw parseError('No amount, debit or credit column', 1);
+    }
+
+    return rows.map(({ fields, line }) => {
+        const get = (k) => (col[k] === null ? '' : fields[col[k]] ?? '');
+        const date = parseDate(get('date'), profile.dateFormat);
+        if (!date) throw parseError(`Bad date "${get('date')}"`, line);
+
+        let amount;
+        if (col.amount !== null && get('amount').trim()) {
+            amount = parseAmount(get('amount'), profile.decimal);
+        } else {
+            if (!get('debit').trim() && !get('credit').trim()) {
+                throw parseError('No amount, debit or credit', line);
+            }
+            // A blank side is zero; anything else must parse
+            const side = (k) => {
+                const raw = get(k).trim();
+                if (!raw) return 0;
+                const n = parseAmount(raw, profile.decimal);
+                if (n === null) throw parseError(`Bad ${k} "${raw}"`, line);
+                return Math.abs(n);
+            };
+            amount = side('credit') - side('debit');
+        }
+        if (amount === null) {
+            throw parseError(`Bad amount "${get('amount')}"`, line);
+        }
+        return {
+            date,
+            amount: profile.negate ? -amount : amount,
+            description: get('description').trim(),
+            line,
+            ...(get('id').trim() && { fitid: get('id').trim() }),
+        };
+    });
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) OFX                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/** The five named XML entities. */
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/** Decode the character entities OFX escapes `&`, `<`… with. */
+const decodeEntities = (value) =>
+    value.replace(
+        /&(?:#x([\da-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi,
+        (entity, hex, dec, name) => {
+            if (name) return ENTITIES[name.toLowerCase()];
+            const code = hex ? parseInt(hex, 16) : Number(dec);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+    );
+
+/** Value of `<TAG>` in an OFX block (SGML without closing tags, or XML). */
+const ofxValue = (block, tag) => {
+    const raw = block.match(new RegExp(`<${tag}>\\s*([^<\\r\\n]*)`, 'i'))?.[1];
+    return (raw && decodeEntities(raw).trim()) || null;
+};
+
+/**
+ * Parse an OFX (1.x SGML or 2.x XML) bank or credit-card statement.
+ *
+ * @param {string} text
+ * @returns {Object[]} Statement entries, plus `currency` and `accountId`
+ *          (the bank’s account number) on the array.
+ */
+export function parseOfx(text) {
+    // Matches come in order: count only the newlines since the last one
+    let counted = 0;
+    let lineNo = 1;
+    const lineAt = (index) => {
+        for (; counted < index; counted++) {
+            if (text[counted] === '\n') lineNo++;
+        }
+        return lineNo;
+    };
+    const entries = [];
+    const re =
+        /<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi;
+    for (const m of text.matchAll(re)) {
+        const block = m[1];
+        const line = lineAt(m.index);
+        const date = parseDate(ofxValue(block, 'DTPOSTED'));
+        const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+        if (!date) throw parseError('STMTTRN without a valid DTPOSTED', line);
+        if (amount === null) {
+            throw parseError('STMTTRN without a valid TRNAMT', line);
+        }
+        const fitid = ofxValue(block, 'FITID');
+        entries.push({
+            date,
+            amount,
+            description: describe(
+                ofxValue(block, 'NAME') ?? ofxValue(block, 'PAYEE'),
+                ofxValue(block, 'MEMO')
+            ),
+            line,
+            ...(fitid && { fitid }),
+        });
+    }
+    return Object.assign(entries, {
+        currency: ofxValue(text, 'CURDEF'),
+        accountId: ofxValue(text, 'ACCTID'),
+    });
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) QIF                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Parse a QIF bank or credit-card export (`!Type:Bank`, `!Type:CCard`…).
+ * Records are field lines (`D` date, `T`/`U` amount, `P` payee, `M` memo,
+ * `N` number) ended by `^`.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] – As for `parseDate()`; QIF dates
+ *        are month first unless told otherwise.
+ * @returns {Object[]} Statement entries, plus `account` (the name in an
+ *          `!Account` block, if any) on the array.
+ */
+export function parseQif(text, { dateFormat } = {}) {
+    const entries = [];
+    let account = null;
+    let record = null;
+    let inAccount = false;
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = i + 1;
+        const s = raw.trim();
+        if (!s) return;
+        if (s.startsWith('!')) {
+            inAccount = /^!Account/i.test(s);
+            return;
+        }
+        const [code, value] = [s[0], s.slice(1).trim()];
+        if (inAccount) {
+            if (code === 'N') account = value;
+            if (code === '^') inAccount = false;
+            return;
+        }
+        if (code === '^') {
+            if (!record) return;
+            if (!record.date)
+                throw parseError('Record without a date', record.line);
+            if (record.amount === null || record.amount === undefined) {
+                throw parseError('Record without an amount', record.line);
+            }
+            entries.push({
+                date: record.date,
+                amount: record.amount,
+                description: describe(record.payee, record.memo),
+                line: record.line,
+            });
+            record = null;
+            return;
+        }
+        record ??= { line };
+        if (code === 'D') {
+            // 1/15'25 and 1/15/2025 both occur; a space may follow the quote
+            record.date = parseDate(value.replace(/\s/g, ''), dateFormat);
+            if (!record.date) throw parseError(`Bad date "${value}"`, line);
+        } else if (code === 'T' || code === 'U') {
+            record.amount = parseAmount(value);
+        } else if (code === 'P') record.payee = value;
+        else if (code === 'M') record.memo = value;
+    });
+    if (record)
+        throw parseError('Last record is not ended by "^"', record.line);
+    return Object.assign(entries, { account });
+}
+
+/* -------------------------------------------------------------------------- */
+/* 5) Dispatch                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Work out a file’s format from its extension, else its content.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {'csv'|'ofx'|'qif'}
+ */
+export function detectFormat(fileName, text) {
+    const ext = path.extname(fileName).slice(1).toLowerCase();
+    if (['csv', 'ofx', 'qif'].includes(ext)) return ext;
+    if (ext === 'qfx' || /<OFX>/i.test(text)) return 'ofx';
+    if (/^\s*!Type:/im.test(text)) return 'qif';
+    return 'csv';
+}
+
+/**
+ * Parse a statement in any supported format.
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {'csv'|'ofx'|'qif'} options.format
+ * @param {Object} [options.profile] – CSV profile (default `generic`).
+ * @param {string} [options.dateFormat] – For QIF.
+ * @returns {Object[]} Statement entries (with the format’s extras).
+ */
+export function parseStatement(text, { format, profile, dateFormat }) {
+    if (format === 'ofx') return parseOfx(text);
+    if (format === 'qif') return parseQif(text, { dateFormat });
+    return parseCsv(text, profile);
+}
@@ -0,0 +1,704 @@
+/**
+ * Financial statements from the ledger: profit and loss, balance sheet and
+ * an indirect cash-flow statement, for any period and comparison periods,
+ * rendered as markdown, CSV or JSON.
+ *
+ *   Profit and loss     – income, cogs and expense category rows in the period
+ *   Balance sheet       – account balances and retained earnings at its end
+ *   Cash flow           – net income, adjusted by balance-sheet changes, to
+ *                         the change in cash over the period
+ *
+ * WHY
+ * ---
+ * KPIs answer single questions; an owner, an accountant or a lender asks
+ * for *statements*.  They are built from `transactions` (the single source
+ * snapshots.js reconciles against), so every figure on them can be traced
+ * to rows, and saved as `financial_statements` rows that embedAll.js turns
+ * into summary documents the bot can retrieve and cite.
+ *
+ * CLASSIFICATION RULES
+ * --------------------
+ * As in kpis.js, by account and category *type*:
+ *   • Cash               – `bank` accounts.
+ *   • Current assets     – cash plus `asset` accounts named “inventory”.
+ *   • Non-current assets – every other `asset` account.
+ *   • Equity             – `liability` accounts named “equity”, plus
+ *                          retained earnings (all net income to date).
+ *   • Liabilities        – every other `liability` account.
+ * Liability balances are stored with either sign, so their magnitude is
+ * used.  In the cash flow, inventory and liability changes are operating,
+ * non-current assets investing and equity accounts financing;
+ * depreciation and amortization booked to an asset account are added back.
+ *
+ * CURRENCY
+ * --------
+ * Income and expenses are converted at each row’s date, balances at the
+ * balance-sheet date, equity accounts at their rows’ dates (currency.js).
+ * The gap this leaves is shown as *currency translation* in equity and as
+ * the *effect of exchange rates* on cash.
+ *
+ * PITFALLS
+ * --------
+ * • Books are kept on a cash basis: open invoices and bills are not
+ *   receivables or payables here until they are paid.
+ * • The statements balance only if the ledger does.  Any gap is shown as an
+ *   *unexplained difference* line; `node ledger.js` finds the rows.
+ *
+ * Usage:  `node statements.js [start] [end] [--compare previous|year|
+ *          <start>:<end>] [--format md|csv|json] [--save]`
+ *         (--save stores the statements and embeds them)
+ * ============================================================================
+ */
+
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { createDataClient } from './dataStore.js';
+import { round2, selectAll, TOLERANCE } from './books.js';
+import { resolvePeriod } from './kpis.js';
+import { DEFAULT_CURRENCY, loadFx, reportingCurrency } from './currency.js';
+import { indexLedger } from './ledger.js';
+
+/** Category types that make up net income (nominal accounts). */
+const NOMINAL_TYPES = new Set(['income', 'cogs', 'expense']);
+
+/** Expense categories that move no cash (as in ledger.js). */
+const NON_CASH_RE = /depreciation|amortization/i;
+
+/** Statement id → title, in output order. */
+export const STATEMENTS = {
+    profit_and_loss: 'Profit and loss',
+    balance_sheet: 'Balance sheet',
+    cash_flow: 'Cash flow statement',
+};
+
+/* -------------------------------------------------------------------------- */
+/* 1) Periods                                                                 */
+/* -------------------------------------------------------------------------- */
+
+const iso = (d) => d.toISOString().slice(0, 10);
+
+/** The ISO date `n` days after `date` (negative for before). */
+function addDays(date, n) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return iso(d);
+}
+
+/** Last day of the month `n` months after `date`’s month. */
+function monthEndAfter(date, n) {
+    const [y, m] = date.split('-').map(Number);
+    return iso(new Date(Date.UTC(y, m - 1 + n + 1, 0)));
+}
+
+/** `date` moved by `n` months, clamped to the end of the target month. */
+function addMonths(date, n) {
+    const end = monthEndAfter(date, n);
+    return `${end.slice(0, 8)}${String(
+        Math.min(Number(date.slice(8)), Number(end.slice(8)))
+    ).padStart(2, '0')}`;
+}
+
+/**
+ * The period to compare `period` with.
+ *
+ *   previous  – the same length immediately before (whole months when the
+ *               period is whole months: Q1 → Q4, March → February)
+ *   year      – the same dates a year earlier
+ *   a–b       – explicit, `'2024-01-01:2024-03-31'` or `{ start, end }`
+ *
+ * @param {{start: string, end: string}} period
+ * @param {'previous'|'year'|string|{start: string, end: string}} compare
+ * @returns {{start: string, end: string}}
+ */
+export function comparisonPeriod({ start, end }, compare) {
+    if (typeof compare === 'object') return compare;
+    const wholeMonths = start.endsWith('-01') && end === monthEndAfter(end, 0);
+    if (compare === 'previous') {
+        if (!wholeMonths) {
+            const days = Math.round(
+                (Date.parse(end) - Date.parse(start)) / 86400000
+            );
+            return {
+                start: addDays(start, -days - 1),
+                end: addDays(start, -1),
+            };
+        }
+        const months =
+            (Number(end.slice(0, 4)) - Number(start.slice(0, 4))) * 12 +
+            Number(end.slice(5, 7)) -
+            Number(start.slice(5, 7)) +
+            1;
+        return { start: addMonths(start, -months), end: addDays(start, -1) };
+    }
+    if (compare === 'year') {
+        return {
+            start: addMonths(start, -12),
+            end: wholeMonths ? monthEndAfter(end, -12) : addMonths(end, -12),
+        };
+    }
+    const match = /^(\d{4}-\d{2}-\d{2}):(\d{4}-\d{2}-\d{2})$/.exec(compare);
+    if (!match) {
+        throw new Error(
+            `Unknown comparison "${compare}" (previous, year or start:end)`
+        );
+    }
+    return { start: match[1], end: match[2] };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Ledger                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * The shared ledger index (see ledger.js `indexLedger()`), plus the
+ * accounts grouped by statement section and the categories by name.
+ *
+ * @returns {{flow: Function, closing: Function, historical: Function,
+ *           accounts: Object, categories: Object[]}}
+ */
+function indexStatementLedger(books, options) {
+    const isInventory = (a) => a.type === 'asset' && /inventory/i.test(a.name);
+    const isEquity = (a) => a.type === 'liability' && /equity/i.test(a.name);
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const { accounts, categories } = books;
+
+    return {
+        ...indexLedger(books, options),
+        accounts: {
+            cash: accounts.filter((a) => a.type === 'bank').sort(byName),
+            inventory: accounts.filter(isInventory).sort(byName),
+            fixed: accounts
+                .filter((a) => a.type === 'asset' && !isInventory(a))
+                .sort(byName),
+            liabilities: accounts
+                .filter((a) => a.type === 'liability' && !isEquity(a))
+                .sort(byName),
+            equity: accounts.filter(isEquity).sort(byName),
+        },
+        categories: [...categories].sort(byName),
+    };
+}
+
+/** Rows of a nominal (income, cogs or expense) category. */
+const isNominal = (t) => NOMINAL_TYPES.has(t.category?.type);
+
+/** Non-cash expense booked to an asset account other than cash. */
+const isNonCash = (t) =>
+    NON_CASH_RE.test(t.category?.name ?? '') && t.account?.type === 'asset';
+
+/* -------------------------------------------------------------------------- */
+/* 3) Statements                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Line collector for one statement.  Lines keep the order they are added
+ * in, with one amount per column; each adder returns the rounded amounts so
+ * totals can build on them.  `optional` lines are dropped when every amount
+ * is zero.
+ */
+function createStatement(id, columns) {
+    const lines = [];
+    const add = (kind) => (lineId, label, amounts, optional) => {
+        const rounded = amounts && amounts.map((a) => round2(a) || 0);
+        if (optional && !rounded.some((a) => Math.abs(a) > TOLERANCE)) {
+            return rounded;
+        }
+        lines.push({
+            id: lineId,
+            label,
+            kind,
+            ...(rounded && { amounts: rounded }),
+            ...(rounded?.length === 2 && {
+                change: round2(rounded[0] - rounded[1]),
+            }),
+        });
+        return rounded;
+    };
+    return {
+        heading: (lineId, label) => add('heading')(lineId, label, null),
+        item: add('item'),
+        total: add('total'),
+        done: () => ({ id, title: STATEMENTS[id], columns, lines }),
+    };
+}
+
+/**
+ * Build the three statements for one or more periods, pure so it can be
+ * exercised without a database.  The first period is the reporting period,
+ * the others are comparisons; every line has one amount per period, and a
+ * `change` (first minus second) when there are exactly two.
+ *
+ * @param {Object} books – `{ accounts, categories, transactions }`, with
+ *        every transaction up to the last period’s end.
+ * @param {Array<{start: string, end: string}>} periods
+ * @param {Object} [options]
+ * @param {Object} [options.fx]       – Converter from currency.js `loadFx()`.
+ * @param {string} [options.currency] – Reporting currency.
+ * @returns {{currency: string, periods: Object[], balanced: boolean,
+ *           statements: Object[]}} Statements are `{ id, title, columns,
+ *          lines: [{ id, label, kind, amounts?, change? }] }`, `kind` one
+ *          of `heading`, `item` and `total`.
+ */
+export function buildStatements(books, periods, options = {}) {
+    const currency = options.currency ?? DEFAULT_CURRENCY;
+    const ledger = indexStatementLedger(books, { ...options, currency });
+    const { flow, accounts } = ledger;
+    const across = (f) => periods.map(f);
+    const sum = (list, f) => list.reduce((acc, x) => acc + f(x), 0);
+    const periodColumns = periods.map((p) => `${p.start} – ${p.end}`);
+    const onAccount = (a) => (t) => t.account_id === a.id;
+    const abs = Math.abs;
+
+    // ── Profit and loss ───────────────────────────────────────────────────
+    const pnl = createStatement('profit_and_loss', periodColumns);
+    const section = (type, id, label, sign) => {
+        pnl.heading(id, label);
+        for (const c of ledger.categories.filter((c) => c.type === type)) {
+            pnl.item(
+                `${id}:${c.id}`,
+                c.name,
+                across(
+                    (p) =>
+                        sign *
+                        flow((t) => t.category_id === c.id, p.start, p.end)
+                ),
+                true
+            );
+        }
+        return pnl.total(
+            `total_${id}`,
+            `Total ${label.toLowerCase()}`,
+            across(
+                (p) =>
+                    sign *
+                    flow((t) => t.category?.type === type, p.start, p.end)
+            )
+        );
+    };
+    const revenue = section('income', 'revenue', 'Revenue', 1);
+    const cogs = section('cogs', 'cogs', 'Cost of goods sold', -1);
+    pnl.total(
+        'gross_profit',
+        'Gross profit',
+        revenue.map((r, i) => r - cogs[i])
+    );
+    const opex = section(
+        'expense',
+        'operating_expenses',
+        'Operating expenses',
+        -1
+    );
+    pnl.total(
+        'net_income',
+        'Net income',
+        revenue.map((r, i) => r - cogs[i] - opex[i])
+    );
+
+    // ── Balance sheet ─────────────────────────────────────────────────────
+    const bs = createStatement(
+        'balance_sheet',
+        periods.map((p) => p.end)
+    );
+    const closing = (a) => across((p) => ledger.closing(a, p.end));
+    const items = (prefix, list, value) =>
+        list.map((a) => bs.item(`${prefix}:${a.id}`, a.name, value(a), true));
+    const totalOf = (rows) => across((_, i) => sum(rows, (r) => r[i]));
+
+    bs.heading('assets', 'Assets');
+    bs.heading('current_assets', 'Current assets');
+    // Items are added while their total is computed, so they precede it
+    const current = bs.total(
+        'total_current_assets',
+        'Total current assets',
+        totalOf(
+            items('asset', [...accounts.cash, ...accounts.inventory], closing)
+        )
+    );
+    bs.heading('non_current_assets', 'Non-current assets');
+    const nonCurrent = bs.total(
+        'total_non_current_assets',
+        'Total non-current assets',
+        totalOf(items('asset', accounts.fixed, closing))
+    );
+    const assets = bs.total(
+        'total_assets',
+        'Total assets',
+        current.map((c, i) => c + nonCurrent[i])
+    );
+
+    bs.heading('liabilities', 'Liabilities');
+    const liabilities = bs.total(
+        'total_liabilities',
+        'Total liabilities',
+        totalOf(
+            items('liability', accounts.liabilities, (a) => closing(a).map(abs))
+        )
+    );
+
+    bs.heading('equity', 'Equity');
+    const contributed = items('equity', accounts.equity, (a) =>
+        across((p) => abs(ledger.historical(a, p.end)))
+    );
+    const retained = bs.item(
+        'retained_earnings',
+        'Retained earnings',
+        across((p) => flow(isNominal, null, p.end))
+    );
+    const translation = bs.item(
+        'currency_translation',
+        'Currency translation',
+        across(
+            (p) =>
+                sum(
+                    [
+                        ...accounts.cash,
+                        ...accounts.inventory,
+                        ...accounts.fixed,
+                    ],
+                    (a) =>
+                        ledger.closing(a, p.end) - ledger.historical(a, p.end)
+                ) -
+                sum(
+                    accounts.liabilities,
+                    (a) =>
+                        abs(ledger.closing(a, p.end)) -
+                        abs(ledger.historical(a, p.end))
+                )
+        ),
+        true
+    );
+    const equity = bs.total(
+        'total_equity',
+        'Total equity',
+        totalOf([...contributed, retained, translation])
+    );
+    const claims = bs.total(
+        'total_liabilities_and_equity',
+        'Total liabilities and equity',
+        liabilities.map((l, i) => l + equity[i])
+    );
+    const bsGap = bs.item(
+        'unexplained_difference',
+        'Unexplained difference',
+        assets.map((a, i) => a - claims[i]),
+        true
+    );
+
+    // ── Cash flow (indirect) ──────────────────────────────────────────────
+    const cf = createStatement('cash_flow', periodColumns);
+    const opening = (p) => addDays(p.start, -1);
+    const cash = (date) => sum(accounts.cash, (a) => ledger.closing(a, date));
+    const addBack = (pred) => (p) =>
+        -flow((t) => isNonCash(t) && pred(t), p.start, p.end);
+    const assetChange = (a) =>
+        across(
+            (p) =>
+                -flow(onAccount(a), p.start, p.end) - addBack(onAccount(a))(p)
+        );
+    const balanceChange = (a) =>
+        across(
+            (p) =>
+                abs(ledger.historical(a, p.end)) -
+                abs(ledger.historical(a, opening(p)))
+        );
+    const cfItems = (prefix, list, value, label = (a) => a.name) =>
+        list.map((a) => cf.item(`${prefix}:${a.id}`, label(a), value(a), true));
+    const changeIn = (a) => `Change in ${a.name}`;
+
+    cf.heading('operating', 'Operating activities');
+    const operating = cf.total(
+        'net_operating',
+        'Net cash from operating activities',
+        totalOf([
+            cf.item(
+                'net_income',
+                'Net income',
+                across((p) => flow(isNominal, p.start, p.end))
+            ),
+            cf.item(
+                'depreciation',
+                'Depreciation and amortization',
+                across(addBack(() => true)),
+                true
+            ),
+            ...cfItems('change', accounts.inventory, assetChange, changeIn),
+            ...cfItems('change', accounts.liabilities, balanceChange, changeIn),
+        ])
+    );
+    cf.heading('investing', 'Investing activities');
+    const investing = cf.total(
+        'net_investing',
+        'Net cash from investing activities',
+        totalOf(cfItems('asset', accounts.fixed, assetChange))
+    );
+    cf.heading('financing', 'Financing activities');
+    const financing = cf.total(
+        'net_financing',
+        'Net cash from financing activities',
+        totalOf(cfItems('equity', accounts.equity, balanceChange))
+    );
+    const fxEffect = cf.item(
+        'fx_effect',
+        'Effect of exchange rates on cash',
+        across(
+            (p) =>
+                cash(p.end) -
+                cash(opening(p)) -
+                sum(accounts.cash, (a) => flow(onAccount(a), p.start, p.end))
+        ),
+        true
+    );
+    const change = cf.total(
+        'net_change_in_cash',
+        'Net change in cash',
+        across((p) => cash(p.end) - cash(opening(p)))
+    );
+    cf.item(
+        'cash_start',
+        'Cash at beginning of period',
+        across((p) => cash(opening(p)))
+    );
+    cf.item(
+        'cash_end',
+        'Cash at end of period',
+        across((p) => cash(p.end))
+    );
+    const cfGap = cf.item(
+        'unexplained_difference',
+        'Unexplained difference',
+        change.map(
+            (c, i) =>
+                c - operating[i] - investing[i] - financing[i] - fxEffect[i]
+        ),
+        true
+    );
+
+    return {
+        currency,
+        periods,
+        balanced: ![...bsGap, ...cfGap].some((g) => abs(g) > TOLERANCE),
+        statements: [pnl.done(), bs.done(), cf.done()],
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 4) Rendering                                                               */
+/* -------------------------------------------------------------------------- */
+
+/** 1234.5 → `1,234.50`. */
+const money = (n) =>
+    n.toLocaleString('en-US', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    });
+
+/** A CSV field, quoted when it has to be. */
+const csvField = (v) =>
+    v == null
+        ? ''
+        : /[",\n]/.test(String(v))
+        ? `"${String(v).replace(/"/g, '""')}"`
+        : String(v);
+
+/**
+ * Render statements as markdown tables, CSV (one row per line, statements
+ * one after another) or JSON.
+ *
+ * @param {ReturnType<typeof buildStatements>} report
+ * @param {'md'|'csv'|'json'} [format='md']
+ * @returns {string}
+ */
+export function formatStatements(report, format = 'md') {
+    if (format === 'json') return JSON.stringify(report, null, 2);
+    const withChange = report.periods.length === 2;
+
+    if (format === 'csv') {
+        const rows = [
+            [
+                'statement',
+                'line',
+                'label',
+                'kind',
+                ...report.periods.map((_, i) =>
+                    i ? `comparison_${i}` : 'amount'
+                ),
+                ...(withChange ? ['change'] : []),
+            ],
+        ];
+        for (const s of report.statements) {
+            for (const l of s.lines) {
+                rows.push([
+                    s.id,
+                    l.id,
+                    l.label,
+                    l.kind,
+                    ...(l.amounts ?? report.periods.map(() => null)),
+                    ...(withChange ? [l.change] : []),
+                ]);
+            }
+        }
+        return rows.map((r) => r.map(csvField).join(',')).join('\n');
+    }
+    if (format !== 'md') {
+        throw new Error(`Unknown format "${format}" (md, csv or json)`);
+    }
+
+    const blocks = report.statements.map((s) => {
+        const header = ['', ...s.columns, ...(withChange ? ['Change'] : [])];
+        const body = s.lines.map((l) => {
+            const cells = [
+                ...(l.amounts ?? []).map(money),
+                ...(withChange && l.amounts ? [money(l.change)] : []),
+            ];
+            const bold = (c) => (l.kind === 'item' ? c : `**${c}**`);
+            return [
+                bold(l.label),
+                ...(cells.length
+                    ? cells.map(bold)
+                    : header.slice(1).map(() => '')),
+            ];
+        });
+        return [
+            `## ${s.title} (${report.currency})`,
+            '',
+            `| ${header.join(' | ')} |`,
+            `| --- | ${header
+                .slice(1)
+                .map(() => '---:')
+                .join(' | ')} |`,
+            ...body.map((r) => `| ${r.join(' | ')} |`),
+        ].join('\n');
+    });
+    if (!report.balanced) {
+        blocks.push(
+            '⚠️ The ledger does not balance, so the statements carry an ' +
+                'unexplained difference; run `node ledger.js` for the rows.'
+        );
+    }
+    return blocks.join('\n\n');
+}
+
+/* -------------------------------------------------------------------------- */
+/* 5) Database                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Load a user’s ledger and build their statements.
+ *
+ * @async
+ * @param {SupabaseClient} supabase – Client able to read the user’s tables.
+ * @param {string}         userId
+ * @param {Object} [options]
+ * @param {{start?: string, end?: string}} [options.period] – Defaults to
+ *        the span of the user’s transactions.
+ * @param {string|Object} [options.compare] – See `comparisonPeriod()`.
+ * @returns {Promise<ReturnType<typeof buildStatements>>}
+ */
+export async function generateStatements(
+    supabase,
+    userId,
+    { period, compare } = {}
+) {
+    const resolved = await resolvePeriod(supabase, userId, period);
+    const periods = [
+        resolved,
+        ...(compare ? [comparisonPeriod(resolved, compare)] : []),
+    ];
+    const last = periods
+        .map((p) => p.end)
+        .sort()
+        .at(-1);
+    const scoped = (table, columns) => () =>
+        supabase.from(table).select(columns).eq('user_id', userId).order('id');
+    const [accounts, categories, transactions, fx, currency] =
+        await Promise.all([
+            selectAll(scoped('accounts', 'id, name, type, currency')),
+            selectAll(scoped('categories', 'id, name, type')),
+            selectAll(() =>
+                scoped(
+                    'transactions',
+                    'id, account_id, category_id, date, amount'
+                )().lte('date', last)
+            ),
+            loadFx(supabase),
+            reportingCurrency(supabase, userId),
+        ]);
+    return buildStatements({ accounts, categories, transactions }, periods, {
+        fx,
+        currency,
+    });
+}
+
+/**
+ * Store statements as `financial_statements` rows, one per statement and
+ * reporting period, replacing an earlier run for the same period.
+ *
+ * @async
+ * @param {SupabaseClient} supabase – Client able to write the user’s tables.
+ * @param {string}         userId
+ * @param {ReturnType<typeof buildStatements>} report
+ * @returns {Promise<string[]>} Ids of the stored rows.
+ */
+export async function saveStatements(supabase, userId, report) {
+    const [period, comparison] = report.periods;
+    const rows = report.statements.map((s) => ({
+        user_id: userId,
+        statement: s.id,
+        title: s.title,
+        period_start: period.start,
+        period_end: period.end,
+        compare_start: comparison?.start ?? null,
+        compare_end: comparison?.end ?? null,
+        currency: report.currency,
+        lines: s.lines,
+        generated_at: new Date().toISOString(),
+    }));
+    const { data, error } = await supabase
+        .from('financial_statements')
+        .upsert(rows, {
+            onConflict: 'user_id,statement,period_start,period_end',
+        })
+        .select('id');
+    if (error) throw error;
+    return data.map((r) => r.id);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 6) CLI entrypoint                                                          */
+/* -------------------------------------------------------------------------- */
+
+async function main() {
+    const supabase = createDataClient();
+    const userId = process.env.DUMMY_USER_ID;
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const i = args.indexOf(name);
+        return i < 0 ? undefined : args[i + 1];
+    };
+    const [start, end] = args.filter(
+        (a, i) =>
+            !a.startsWith('--') &&
+            !['--compare', '--format'].includes(args[i - 1])
+    );
+
+    const report = await generateStatements(supabase, userId, {
+        period: { start, end },
+        compare: option('--compare'),
+    });
+    console.log(formatStatements(report, option('--format') ?? 'md'));
+
+    if (!args.includes('--save')) return;
+    // Loaded only here, so rendering statements needs no embedding
+    // credentials (embedAll.js builds its embedder on import)
+    const { embedTable } = await import('./embedAll.js');
+    const ids = await saveStatements(supabase, userId, report);
+    console.log(`✍️  financial_statements: ${ids.length} rows saved`);
+    await embedTable('financial_statements', { ids });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error('❌ Statements failed:', err.message);
+        process.exit(1);
+    });
+}
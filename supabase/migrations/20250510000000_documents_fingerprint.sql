@@ -0,0 +1,5 @@
+-- Fingerprint columns for incremental re-embedding (see embedAll.js).
+-- A document is re-embedded only when its content hash or model changes.
+alter table documents
+    add column if not exists content_hash text,
+    add column if not exists embedding_model text;
@@ -0,0 +1,55 @@
+-- Filterable metadata on documents plus a filtered similarity search, used
+-- by vectorStore.js when queryAnalysis.js extracts hard filters.
+--
+-- metadata keys: date_start, date_end (ISO dates), account_id, category_id,
+-- customer_id, vendor_id.  Undated / unlinked rows simply omit the key.
+alter table documents
+    add column if not exists metadata jsonb not null default '{}'::jsonb;
+
+create index if not exists documents_metadata_idx
+    on documents using gin (metadata);
+
+create or replace function match_documents_filtered(
+    p_user_id uuid,
+    query_embedding vector(1536),
+    match_threshold float,
+    match_count int,
+    p_tables text[] default null,
+    p_start date default null,
+    p_end date default null,
+    p_entities jsonb default '{}'::jsonb -- e.g. {"vendor_id": ["…"]}
+)
+returns table (
+    source_table text,
+    source_id text,
+    content text,
+    metadata jsonb,
+    similarity float
+)
+language sql stable
+as $$
+    select
+        d.source_table,
+        d.source_id::text,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) as similarity
+    from documents d
+    where d.user_id = p_user_id
+      and (p_tables is null or d.source_table = any (p_tables))
+      -- dated rows must overlap the range; undated reference rows pass
+      and (p_start is null or d.metadata->>'date_end' is null
+           or (d.metadata->>'date_end')::date >= p_start)
+      and (p_end is null or d.metadata->>'date_start' is null
+           or (d.metadata->>'date_start')::date <= p_end)
+      -- a row carrying an entity key must hold one of the requested ids
+      and not exists (
+          select 1
+          from jsonb_each(p_entities) as e(key, ids)
+          where d.metadata->>e.key is not null
+            and not (e.ids ? (d.metadata->>e.key))
+      )
+      and 1 - (d.embedding <=> query_embedding) > match_threshold
+    order by d.embedding <=> query_embedding
+    limit match_count;
+$$;
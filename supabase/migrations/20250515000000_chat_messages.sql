@@ -0,0 +1,14 @@
+-- Chat history backend for historyStore.js (HISTORY_STORE=supabase).
+-- One row per turn; a user can keep several named conversations.
+create table if not exists chat_messages (
+    id bigserial primary key,
+    user_id uuid not null,
+    conversation text not null default 'default',
+    role text not null check (role in ('system', 'user', 'assistant')),
+    content text not null,
+    metadata jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists chat_messages_conversation_idx
+    on chat_messages (user_id, conversation, created_at, id);
@@ -0,0 +1,12 @@
+-- Running conversation summaries for historyStore.js (HISTORY_STORE=supabase).
+-- One row per conversation; `through` is the created_at of the last turn the
+-- summary covers (null when it covers only turns without timestamps).
+create table if not exists chat_summaries (
+    user_id uuid not null,
+    conversation text not null default 'default',
+    content text not null,
+    through timestamptz,
+    turns integer not null default 0,
+    updated_at timestamptz not null default now(),
+    primary key (user_id, conversation)
+);
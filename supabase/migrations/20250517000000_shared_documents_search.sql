@@ -0,0 +1,49 @@
+-- Let match_documents_filtered search *shared* documents: a null p_user_id
+-- now matches rows whose user_id is null (the financial_kb glossary) instead
+-- of nothing.  Used by knowledgeBase.js to retrieve formulas by similarity.
+-- Behaviour for a real user id is unchanged.
+create or replace function match_documents_filtered(
+    p_user_id uuid,
+    query_embedding vector(1536),
+    match_threshold float,
+    match_count int,
+    p_tables text[] default null,
+    p_start date default null,
+    p_end date default null,
+    p_entities jsonb default '{}'::jsonb -- e.g. {"vendor_id": ["…"]}
+)
+returns table (
+    source_table text,
+    source_id text,
+    content text,
+    metadata jsonb,
+    similarity float
+)
+language sql stable
+as $$
+    select
+        d.source_table,
+        d.source_id::text,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) as similarity
+    from documents d
+    -- null selects shared documents (financial_kb), which have no owner
+    where (d.user_id = p_user_id or (p_user_id is null and d.user_id is null))
+      and (p_tables is null or d.source_table = any (p_tables))
+      -- dated rows must overlap the range; undated reference rows pass
+      and (p_start is null or d.metadata->>'date_end' is null
+           or (d.metadata->>'date_end')::date >= p_start)
+      and (p_end is null or d.metadata->>'date_start' is null
+           or (d.metadata->>'date_start')::date <= p_end)
+      -- a row carrying an entity key must hold one of the requested ids
+      and not exists (
+          select 1
+          from jsonb_each(p_entities) as e(key, ids)
+          where d.metadata->>e.key is not null
+            and not (e.ids ? (d.metadata->>e.key))
+      )
+      and 1 - (d.embedding <=> query_embedding) > match_threshold
+    order by d.embedding <=> query_embedding
+    limit match_count;
+$$;
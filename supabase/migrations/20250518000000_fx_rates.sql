@@ -0,0 +1,22 @@
+-- Multi-currency books (currency.js).
+-- `fx_rates` holds dated rates: 1 `base_currency` = `rate` `quote_currency`
+-- on `rate_date`.  Conversions use the latest rate on or before an amount's
+-- date, directly, inverted or crossed through a third currency.
+create table if not exists fx_rates (
+    id bigserial primary key,
+    base_currency text not null check (base_currency ~ '^[A-Z]{3}$'),
+    quote_currency text not null check (quote_currency ~ '^[A-Z]{3}$'),
+    rate_date date not null,
+    rate numeric not null check (rate > 0),
+    unique (base_currency, quote_currency, rate_date)
+);
+
+-- The currency every KPI, tool result and converted amount is reported in.
+alter table profiles
+    add column if not exists reporting_currency text not null default 'USD'
+    check (reporting_currency ~ '^[A-Z]{3}$');
+
+-- Invoices and bills may be issued in a client's or vendor's currency;
+-- null means the owner's reporting currency.
+alter table invoices add column if not exists currency text;
+alter table bills add column if not exists currency text;
@@ -0,0 +1,20 @@
+-- Generated financial statements (statements.js --save), embedded by
+-- embedAll.js as summary documents.  One row per statement and reporting
+-- period; a new run for the same period replaces it.  `lines` holds the
+-- statement lines: [{ id, label, kind, amounts: [current, comparison…],
+-- change? }].
+create table if not exists financial_statements (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    statement text not null
+        check (statement in ('profit_and_loss', 'balance_sheet', 'cash_flow')),
+    title text not null,
+    period_start date not null,
+    period_end date not null,
+    compare_start date,
+    compare_end date,
+    currency text not null check (currency ~ '^[A-Z]{3}$'),
+    lines jsonb not null,
+    generated_at timestamptz not null default now(),
+    unique (user_id, statement, period_start, period_end)
+);
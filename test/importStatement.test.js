@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { planImport } from '../importStatement.js';
+
+const source = {
+    userId: 'u1',
+    accountId: 'a1',
+    file: 'statement.csv',
+    format: 'csv',
+};
+
+const entry = (date, amount, extra = {}) => ({
+    date,
+    amount,
+    description: 'Coffee',
+    line: 2,
+    ...extra,
+});
+
+describe('planImport', () => {
+    test('matches an existing row by bank id, whatever its date', () => {
+        const existing = [
+            {
+                id: 't1',
+                date: '2025-01-14',
+                amount: -4.5,
+                metadata: { fitid: 'F1' },
+            },
+        ];
+        const { rows, duplicates } = planImport(
+            [entry('2025-01-15', -4.5, { fitid: 'F1' })],
+            existing,
+            source
+        );
+        assert.equal(rows.length, 0);
+        assert.deepEqual(
+            duplicates.map((d) => [d.reason, d.existing_id]),
+            [['fitid', 't1']]
+        );
+    });
+
+    test('counts date and amount matches', () => {
+        const existing = [
+            { id: 't1', date: '2025-01-15', amount: -4.5, metadata: {} },
+        ];
+        const { rows, duplicates } = planImport(
+            [entry('2025-01-15', -4.5), entry('2025-01-15', -4.5)],
+            existing,
+            source
+        );
+        assert.equal(rows.length, 1);
+        assert.deepEqual(
+            duplicates.map((d) => [d.reason, d.existing_id]),
+            [['date and amount', 't1']]
+        );
+    });
+
+    test('never matches rows with different bank ids on date and amount', () => {
+        const existing = [
+            {
+                id: 't1',
+                date: '2025-01-15',
+                amount: -4.5,
+                metadata: { fitid: 'F1' },
+            },
+        ];
+        const { rows, duplicates } = planImport(
+            [entry('2025-01-15', -4.5, { fitid: 'F2' })],
+            existing,
+            source
+        );
+        assert.equal(rows.length, 1);
+        assert.equal(duplicates.length, 0);
+    });
+
+    test('drops a bank id repeated within the file', () => {
+        const { rows, duplicates } = planImport(
+            [
+                entry('2025-01-15', -4.5, { fitid: 'F1' }),
+                entry('2025-01-15', -4.5, { fitid: 'F1', line: 3 }),
+            ],
+            [],
+            source
+        );
+        assert.equal(rows.length, 1);
+        assert.deepEqual(
+            duplicates.map((d) => [d.reason, d.existing_id, d.entry.line]),
+            [['fitid', null, 3]]
+        );
+    });
+
+    test('records where each row came from', () => {
+        const { rows } = planImport(
+            [entry('2025-01-15', -4.5, { fitid: 'F1', line: 7 })],
+            [],
+            source
+        );
+        assert.deepEqual(rows, [
+            {
+                user_id: 'u1',
+                account_id: 'a1',
+                category_id: null,
+                date: '2025-01-15',
+                amount: -4.5,
+                description: 'Coffee',
+                metadata: {
+                    source: 'import',
+                    file: 'statement.csv',
+                    line: 7,
+                    format: 'csv',
+                    fitid: 'F1',
+                },
+            },
+        ]);
+    });
+});
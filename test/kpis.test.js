@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { loadFx, reportingCurrency } from '../currency.js';
+import { createLocalDataClient } from '../dataStore.js';
+import {
+    computeKpisFromBooks,
+    convertBooks,
+    loadBooks,
+    resolvePeriod,
+} from '../kpis.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const USER = '00000000-0000-0000-0000-000000000001';
+
+/** Golden answer labels → KPI titles. */
+const KPI_FOR_LABEL = {
+    'Runway (months)': 'Runway',
+    'Current ratio': 'Current Ratio',
+    'Working capital': 'Working Capital',
+};
+
+describe('computeKpisFromBooks on the seed books', () => {
+    let kpis;
+
+    // Seed a local data store (no Postgres, no model calls) and read it back
+    before(async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kpis-'));
+        const file = path.join(dir, 'data_store.json');
+        try {
+            execFileSync(process.execPath, ['seedAll.js'], {
+                cwd: root,
+                env: {
+                    ...process.env,
+                    DATA_STORE: 'local',
+                    DATA_STORE_FILE: file,
+                    DUMMY_USER_ID: USER,
+                },
+                stdio: 'ignore',
+            });
+            const supabase = createLocalDataClient({ file });
+            const period = await resolvePeriod(supabase, USER);
+            const books = convertBooks(
+                await loadBooks(supabase, USER, period),
+                await loadFx(supabase),
+                await reportingCurrency(supabase, USER)
+            );
+            kpis = computeKpisFromBooks(books, period);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    const golden = JSON.parse(
+        fs.readFileSync(path.join(root, 'eval/answers.golden.json'), 'utf8')
+    );
+    const cases = golden.questions.flatMap((q) =>
+        q.expected.filter((e) => KPI_FOR_LABEL[e.label])
+    );
+
+    test('the golden answers cover every KPI checked here', () => {
+        assert.deepEqual(
+            cases.map((c) => c.label).sort(),
+            Object.keys(KPI_FOR_LABEL).sort()
+        );
+    });
+
+    // KPI values are rounded to cents, so they must match exactly
+    for (const { label, value } of cases) {
+        test(`${label} is ${value}`, () => {
+            const kpi = kpis.find((k) => k.title === KPI_FOR_LABEL[label]);
+            assert.ok(kpi, `no ${KPI_FOR_LABEL[label]} KPI`);
+            assert.equal(kpi.value, value);
+        });
+    }
+});
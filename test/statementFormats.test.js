@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    CSV_PROFILES,
+    parseAmount,
+    parseCsv,
+    parseDate,
+    parseOfx,
+} from '../statementFormats.js';
+
+describe('parseDate', () => {
+    test('reads slashed dates month first by default', () => {
+        assert.equal(parseDate('03/04/2025'), '2025-03-04');
+    });
+
+    test('reads slashed dates day first with a DD/MM/YYYY format', () => {
+        assert.equal(parseDate('03/04/2025', 'DD/MM/YYYY'), '2025-04-03');
+    });
+
+    test('reads dotted dates day first', () => {
+        assert.equal(parseDate('03.04.2025'), '2025-04-03');
+    });
+
+    test('rejects a day that does not exist', () => {
+        assert.equal(parseDate('02/30/2025'), null);
+        assert.equal(parseDate('13/01/2025'), null);
+    });
+
+    test('keeps only the date of an OFX timestamp', () => {
+        assert.equal(parseDate('20250115120000[-5:EST]'), '2025-01-15');
+    });
+});
+
+describe('parseAmount', () => {
+    test('reads parentheses as negative', () => {
+        assert.equal(parseAmount('(12.50)'), -12.5);
+    });
+
+    test('reads a trailing minus as negative', () => {
+        assert.equal(parseAmount('12.50-'), -12.5);
+    });
+
+    test('reads a decimal comma with dot thousands', () => {
+        assert.equal(parseAmount('1.234,56', ','), 1234.56);
+        assert.equal(parseAmount('-12,50', ','), -12.5);
+    });
+
+    test('drops currency symbols and thousands separators', () => {
+        assert.equal(parseAmount('$1,234.56'), 1234.56);
+    });
+
+    test('returns null for blanks and text', () => {
+        assert.equal(parseAmount(''), null);
+        assert.equal(parseAmount('n/a'), null);
+    });
+});
+
+describe('parseCsv', () => {
+    test('keeps line breaks and quotes inside quoted fields', () => {
+        const text = [
+            'Date,Description,Amount',
+            '01/15/2025,"Office rent,',
+            'January ""main""",-2000.00',
+            '01/16/2025,Coffee,-4.50',
+        ].join('\n');
+        assert.deepEqual(parseCsv(text), [
+            {
+                date: '2025-01-15',
+                amount: -2000,
+                description: 'Office rent,\nJanuary "main"',
+                line: 2,
+            },
+            {
+                date: '2025-01-16',
+                amount: -4.5,
+                description: 'Coffee',
+                line: 4,
+            },
+        ]);
+    });
+
+    test('applies a profile’s date format, decimal and delimiter', () => {
+        const text = 'Date;Description;Amount\n03/04/2025;Miete;(1.200,00)\n';
+        const [entry] = parseCsv(text, {
+            ...CSV_PROFILES.generic,
+            dateFormat: 'DD/MM/YYYY',
+            decimal: ',',
+            delimiter: ';',
+        });
+        assert.equal(entry.date, '2025-04-03');
+        assert.equal(entry.amount, -1200);
+    });
+
+    test('nets debit and credit columns', () => {
+        const text = 'Date,Description,Debit,Credit\n2025-01-15,Fee,25.00,\n';
+        assert.equal(parseCsv(text)[0].amount, -25);
+    });
+
+    test('names the line of a bad date', () => {
+        const text = 'Date,Description,Amount\n2025-01-15,Ok,1\nsoon,Bad,1\n';
+        assert.throws(() => parseCsv(text), { code: 'PARSE', line: 3 });
+    });
+});
+
+describe('parseOfx', () => {
+    test('decodes entities and numbers lines', () => {
+        const text = [
+            '<OFX>',
+            '<CURDEF>USD',
+            '<BANKTRANLIST>',
+            '<STMTTRN>',
+            '<DTPOSTED>20250115',
+            '<TRNAMT>-12.50',
+            '<FITID>A1',
+            '<NAME>Smith &amp; Sons',
+            '</STMTTRN>',
+            '<STMTTRN>',
+            '<DTPOSTED>20250116',
+            '<TRNAMT>100',
+            '<FITID>A2',
+            '<NAME>Client &#39;X&#39;',
+            '</STMTTRN>',
+            '</BANKTRANLIST>',
+            '</OFX>',
+        ].join('\n');
+        const entries = parseOfx(text);
+        assert.equal(entries.currency, 'USD');
+        assert.deepEqual(
+            entries.map(({ description, line, fitid }) => ({
+                description,
+                line,
+                fitid,
+            })),
+            [
+                { description: 'Smith & Sons', line: 4, fitid: 'A1' },
+                { description: "Client 'X'", line: 10, fitid: 'A2' },
+            ]
+        );
+    });
+});
@@ -0,0 +1,364 @@
+/**
+ * Pluggable vector store for the RAG pipeline.
+ *
+ * Every consumer (embedAll.js, the query bots, countDocs.js) talks to the
+ * same small interface instead of calling Supabase directly:
+ *
+ *   upsert(docs)                       – insert or replace by (source_table, source_id)
+ *   delete(filter)                     – remove docs matching a filter
+ *   search(userId, embedding, options) – top-k cosine matches for one user
+ *                                        (`null`: shared documents)
+ *   count(filter)                      – number of stored docs
+ *   list(filter, { columns })          – stored docs *without* their vectors
+ *
+ * A *document* is `{ user_id, source_table, source_id, content, embedding }`
+ * plus the optional fingerprint `{ content_hash, embedding_model }` that lets
+ * embedAll.js skip rows whose serialised content has not changed, and
+ * filterable `metadata` (`date_start`, `date_end`, `account_id`,
+ * `category_id`, `customer_id`, `vendor_id`).
+ * Search results are `{ source_table, source_id, content, metadata,
+ * similarity }`, ordered from most to least similar.
+ *
+ * Documents without a `user_id` are *shared*: the `financial_kb` glossary
+ * is the same for everyone.  `search(null, …)` searches only those.
+ *
+ * SEARCH FILTERS
+ * --------------
+ * `search(..., { filter })` accepts hard filters produced by queryAnalysis.js:
+ *   • `tables`    – only these `source_table`s;
+ *   • `dateRange` – `{ start, end }`; dated documents must overlap it,
+ *                   undated reference rows (accounts, vendors…) still pass;
+ *   • `entities`  – e.g. `{ vendor_id: ['…'] }`; a document carrying that
+ *                   key must hold one of the ids, others are unaffected.
+ * The Supabase backend applies them inside `match_documents_filtered` (see
+ * supabase/migrations/) so the top-k is drawn from matching rows only.
+ *
+ * BACKENDS
+ * --------
+ * • **supabase** (default) – the `documents` table plus the
+ *   `match_documents` RPC (pgvector).  Production path.
+ *
+ * • **local** – an in-process store with cosine similarity computed in JS,
+ *   persisted to a JSON file.  No Postgres required; with the local data
+ *   store (dataStore.js) the embed → ask pipeline runs on a laptop or in
+ *   CI.  Linear scan: fine for thousands of rows, not for millions.
+ *
+ * Select with `VECTOR_STORE=supabase|local`; the local file defaults to
+ * `vector_store.json` and can be moved with `VECTOR_STORE_FILE`.
+ * ============================================================================
+ */
+
+import fs from 'fs';
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * @typedef {Object} VectorStore
+ * @property {string} name – Backend identifier (`supabase` or `local`).
+ * @property {(docs: Object|Object[]) => Promise<void>} upsert
+ * @property {(filter: Object) => Promise<void>} delete
+ * @property {(userId: string, embedding: number[],
+ *             options?: {count?: number, threshold?: number,
+ *                        filter?: Object})
+ *             => Promise<Object[]>} search
+ * @property {(filter?: Object) => Promise<number>} count
+ * @property {(filter?: Object, options?: {columns?: string[]}) =>
+ *           Promise<Object[]>} list
+ */
+
+/**
+ * Columns returned by `list()` – everything except the vector itself.
+ * Callers that only need fingerprints pass a subset as `columns`.
+ */
+const LIST_COLUMNS = [
+    'user_id',
+    'source_table',
+    'source_id',
+    'content',
+    'content_hash',
+    'embedding_model',
+    'metadata',
+];
+
+/** Page size for `list()`; PostgREST caps responses at 1000 rows. */
+const PAGE_SIZE = 1000;
+
+/** Persistence file of the local backend unless `VECTOR_STORE_FILE` is set. */
+const DEFAULT_LOCAL_FILE = 'vector_store.json';
+
+/**
+ * Does a document satisfy a search filter?  Shared by the local backend and
+ * the lexical side of retrieval.js so both honour identical semantics.
+ *
+ * @param {Object} doc    – Document with `source_table` and `metadata`.
+ * @param {Object} [filter] – `{ tables?, dateRange?, entities? }`.
+ * @returns {boolean}
+ */
+export function matchesFilter(doc, { tables, dateRange, entities } = {}) {
+    const meta = doc.metadata ?? {};
+    if (tables?.length && !tables.includes(doc.source_table)) return false;
+    if (dateRange) {
+        if (meta.date_end && meta.date_end < dateRange.start) return false;
+        if (meta.date_start && meta.date_start > dateRange.end) return false;
+    }
+    for (const [key, ids] of Object.entries(entities ?? {})) {
+        if (meta[key] != null && !ids.includes(String(meta[key]))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/** True when a filter would actually constrain a search. */
+function hasFilter(filter = {}) {
+    return Boolean(
+        filter.tables?.length ||
+            filter.dateRange ||
+            Object.keys(filter.entities ?? {}).length
+    );
+}
+
+/* -------------------------------------------------------------------------- */
+/* 1) Supabase backend                                                        */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Vector store backed by the Supabase `documents` table.
+ *
+ * @param {SupabaseClient} supabase – Client with write access to `documents`.
+ * @returns {VectorStore}
+ */
+export function createSupabaseStore(supabase) {
+    /** Apply `{ user_id, source_table, source_id }` equality filters. */
+    const applyFilter = (query, filter = {}) =>
+        Object.entries(filter)
+            .filter(([, v]) => v !== undefined)
+            .reduce((q, [k, v]) => q.eq(k, v), query);
+
+    return {
+        name: 'supabase',
+
+        async upsert(docs) {
+            const { error } = await supabase
+                .from('documents')
+                .upsert([].concat(docs), {
+                    onConflict: ['source_table', 'source_id'],
+                });
+            if (error) throw error;
+        },
+
+        async delete(filter) {
+            const { error } = await applyFilter(
+                supabase.from('documents').delete(),
+                filter
+            );
+            if (error) throw error;
+        },
+
+        async search(
+            userId,
+            embedding,
+            { count = 8, threshold = 0.0, filter = {} } = {}
+        ) {
+            const params = {
+                p_user_id: userId,
+                query_embedding: embedding,
+                match_threshold: threshold,
+                match_count: count,
+            };
+            // Shared documents need the filtered RPC’s null-safe user match
+            const { data, error } =
+                hasFilter(filter) || userId === null
+                    ? await supabase.rpc('match_documents_filtered', {
+                          ...params,
+                          p_tables: filter.tables?.length
+                              ? filter.tables
+                              : null,
+                          p_start: filter.dateRange?.start ?? null,
+                          p_end: filter.dateRange?.end ?? null,
+                          p_entities: filter.entities ?? {},
+                      })
+                    : await supabase.rpc('match_documents', params);
+            if (error) throw error;
+            return data.map((r) => ({
+                source_table: r.source_table,
+                source_id: r.source_id,
+                content: r.content,
+                metadata: r.metadata ?? {},
+                similarity: r.similarity,
+            }));
+        },
+
+        async count(filter) {
+            // head:true tells Supabase not to actually fetch rows
+            const { count, error } = await applyFilter(
+                supabase
+                    .from('documents')
+                    .select('*', { count: 'exact', head: true }),
+                filter
+            );
+            if (error) throw error;
+            return count;
+        },
+
+        async list(filter, { columns = LIST_COLUMNS } = {}) {
+            const out = [];
+            for (let from = 0; ; from += PAGE_SIZE) {
+                const { data, error } = await applyFilter(
+                    supabase.from('documents').select(columns.join(', ')),
+                    filter
+                )
+                    // (source_table, source_id) is the key: source_id alone
+                    // repeats across tables, so pages could skip or repeat
+                    .order('source_table')
+                    .order('source_id')
+                    .range(from, from + PAGE_SIZE - 1);
+                if (error) throw error;
+                out.push(...data);
+                if (data.length < PAGE_SIZE) return out;
+            }
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 2) Local backend                                                           */
+/* -------------------------------------------------------------------------- */
+
+/** Cosine similarity of two equal-length vectors. */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * In-process vector store, optionally persisted to a JSON file.
+ *
+ * The file is rewritten after every mutation, mirroring how chat history is
+ * kept on disk.  Pass `file: null` for a purely in-memory store.
+ *
+ * @param {Object}      [options]
+ * @param {string|null} [options.file] – JSON file used for persistence.
+ * @returns {VectorStore}
+ */
+export function createLocalStore({ file = DEFAULT_LOCAL_FILE } = {}) {
+    const key = (d) => `${d.source_table}:${d.source_id}`;
+    const docs = new Map();
+
+    if (file) {
+        try {
+            for (const d of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+                docs.set(key(d), d);
+            }
+        } catch {
+            /* ignore – fresh store */
+        }
+    }
+
+    const persist = () => {
+        if (file) fs.writeFileSync(file, JSON.stringify([...docs.values()]));
+    };
+
+    const matches = (d, filter = {}) =>
+        Object.entries(filter).every(([k, v]) => v === undefined || d[k] === v);
+
+    return {
+        name: 'local',
+
+        async upsert(batch) {
+            for (const d of [].concat(batch)) docs.set(key(d), { ...d });
+            persist();
+        },
+
+        async delete(filter) {
+            for (const [k, d] of docs) {
+                if (matches(d, filter)) docs.delete(k);
+            }
+            persist();
+        },
+
+        async search(
+            userId,
+            embedding,
+            { count = 8, threshold = 0.0, filter } = {}
+        ) {
+            return [...docs.values()]
+                .filter(
+                    (d) =>
+                        (d.user_id ?? null) === userId &&
+                        matchesFilter(d, filter)
+                )
+                .map((d) => ({
+                    source_table: d.source_table,
+                    source_id: d.source_id,
+                    content: d.content,
+                    metadata: d.metadata ?? {},
+                    similarity: cosineSimilarity(embedding, d.embedding),
+                }))
+                .filter((r) => r.similarity >= threshold)
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, count);
+        },
+
+        async count(filter) {
+            return [...docs.values()].filter((d) => matches(d, filter)).length;
+        },
+
+        async list(filter, { columns = LIST_COLUMNS } = {}) {
+            return [...docs.values()]
+                .filter((d) => matches(d, filter))
+                .map((d) => Object.fromEntries(columns.map((c) => [c, d[c]])));
+        },
+    };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 3) Factory                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/** Local stores already opened by `createVectorStore()`, by file. */
+const localStores = new Map();
+
+/**
+ * Build the vector store selected by `VECTOR_STORE` (default `supabase`).
+ *
+ * @param {Object}         [options]
+ * @param {string}         [options.kind]     – `supabase` or `local`.
+ * @param {SupabaseClient} [options.supabase] – Reused by the Supabase backend;
+ *        a service-role client is created when omitted.
+ * @param {string}         [options.file]     – Local backend persistence file.
+ * @returns {VectorStore}
+ *
+ * Local stores are shared per file: modules that each call this factory in
+ * one process (e.g. server.js importing queryBot.js and embedAll.js) must
+ * not hold separate in-memory copies that overwrite each other on save.
+ */
+export function createVectorStore({
+    kind = process.env.VECTOR_STORE || 'supabase',
+    supabase,
+    file = process.env.VECTOR_STORE_FILE,
+} = {}) {
+    if (kind === 'local') {
+        const path = file === undefined ? DEFAULT_LOCAL_FILE : file;
+        if (!localStores.has(path)) {
+            localStores.set(path, createLocalStore({ file: path }));
+        }
+        return localStores.get(path);
+    }
+    if (kind === 'supabase') {
+        return createSupabaseStore(
+            supabase ||
+                createClient(
+                    process.env.SUPABASE_URL,
+                    process.env.SUPABASE_SERVICE_ROLE_KEY
+                )
+        );
+    }
+    throw new Error(`Unknown VECTOR_STORE "${kind}"`);
+}